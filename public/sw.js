@@ -0,0 +1,108 @@
+// Service worker: keeps the app shell and the last standings/profile responses
+// so ChainWarZ opens and shows something useful offline.
+//
+//   shell  index.html plus the hashed /assets/* it references, cached on
+//          install; navigations are network-first and fall back to it
+//   data   backend GETs for leaderboards, profiles and identities, network-first;
+//          offline the last copy is served with an X-Cached-At header (ms since
+//          epoch) so the page can say how old it is
+//
+// Bump VERSION when the caching rules change; old caches are dropped on activate.
+
+const VERSION = "v1";
+const SHELL_CACHE = `chainwarz-shell-${VERSION}`;
+const DATA_CACHE = `chainwarz-data-${VERSION}`;
+const MAX_DATA_ENTRIES = 150;
+
+const SHELL = ["/", "/manifest.json", "/icon.svg"];
+const DATA_PATHS = [
+  "/api/chains",
+  "/api/seasons",
+  "/api/leaderboard/",
+  "/api/profile/",
+  "/api/factions",
+  "/api/farcaster/user",
+];
+
+// index.html names the bundles Vite built; cache those with it.
+async function precacheShell() {
+  const cache = await caches.open(SHELL_CACHE);
+  await cache.addAll(SHELL);
+  const html = await (await cache.match("/")).text();
+  const assets = [...html.matchAll(/(?:src|href)="(\/assets\/[^"]+)"/g)].map((m) => m[1]);
+  await cache.addAll([...new Set(assets)]);
+}
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(precacheShell().then(() => self.skipWaiting()));
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    (async () => {
+      const keep = [SHELL_CACHE, DATA_CACHE];
+      for (const key of await caches.keys()) if (!keep.includes(key)) await caches.delete(key);
+      await self.clients.claim();
+    })()
+  );
+});
+
+async function trim(cache) {
+  const keys = await cache.keys();
+  for (const req of keys.slice(0, Math.max(0, keys.length - MAX_DATA_ENTRIES))) await cache.delete(req);
+}
+
+async function networkFirstData(request) {
+  const cache = await caches.open(DATA_CACHE);
+  try {
+    const res = await fetch(request);
+    if (res.ok) {
+      const headers = new Headers(res.headers);
+      headers.set("X-Cached-At", String(Date.now()));
+      const body = await res.clone().arrayBuffer();
+      await cache.delete(request);
+      await cache.put(request, new Response(body, { status: res.status, statusText: res.statusText, headers }));
+      trim(cache);
+    }
+    return res;
+  } catch (err) {
+    const hit = await cache.match(request);
+    if (hit) return hit;
+    throw err;
+  }
+}
+
+async function networkFirstPage(request) {
+  try {
+    return await fetch(request);
+  } catch (err) {
+    const cache = await caches.open(SHELL_CACHE);
+    const hit = (await cache.match(request)) || (await cache.match("/"));
+    if (hit) return hit;
+    throw err;
+  }
+}
+
+async function cacheFirst(request) {
+  const cache = await caches.open(SHELL_CACHE);
+  const hit = await cache.match(request);
+  if (hit) return hit;
+  const res = await fetch(request);
+  if (res.ok) cache.put(request, res.clone());
+  return res;
+}
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  if (request.method !== "GET") return;
+  const url = new URL(request.url);
+
+  if (request.mode === "navigate" && url.origin === self.location.origin) {
+    event.respondWith(networkFirstPage(request));
+  } else if (url.origin === self.location.origin && url.pathname.startsWith("/assets/")) {
+    // hashed file names: a cached copy is always current
+    event.respondWith(cacheFirst(request));
+  } else if (DATA_PATHS.some((p) => url.pathname.startsWith(p)) && !url.searchParams.has("format")) {
+    event.respondWith(networkFirstData(request));
+  }
+});
@@ -0,0 +1,67 @@
+const { config } = require("./server/config");
+const { CHAINS } = require("./server/chains");
+const { createStore } = require("./server/store");
+const { createFarcaster } = require("./server/farcaster");
+const { createIndexer } = require("./server/indexer");
+const { createApp } = require("./server/app");
+const { createAuth } = require("./server/auth");
+const { createLive } = require("./server/live");
+const { createOg } = require("./server/og");
+const { createNotifications, httpSender, logSender } = require("./server/notifications");
+
+const store = createStore({ file: config.dataFile || null, reorgDepth: config.reorgDepth });
+const farcaster = createFarcaster({ store });
+const notifySender = config.notifySender === "log" ? logSender() : httpSender();
+const notifications = createNotifications({
+  store,
+  chains: CHAINS,
+  sender: notifySender,
+  // notifications open the app; the Vite dev server when nothing is configured
+  appUrl: config.appUrl || config.publicUrl || "http://localhost:3000",
+});
+const live = createLive({ store, farcaster, chains: CHAINS, onOvertake: notifications.onOvertake });
+
+const indexer = createIndexer({
+  chains: CHAINS,
+  store,
+  onStrikes: async (chainKey, strikes) => {
+    // link new strikers to their FID first so the feed and boards merge wallets
+    await farcaster.resolveAddresses(strikes.map((s) => s.from));
+    live.onStrikes(chainKey, strikes);
+    notifications.onStrikes(chainKey, strikes);
+  },
+  onRemoved: (chainKey) => live.onRemoved(chainKey),
+});
+
+const app = createApp({
+  config,
+  chains: CHAINS,
+  store,
+  farcaster,
+  auth: createAuth(),
+  live,
+  og: createOg(),
+  notifications,
+  notifySender,
+});
+
+const server = app.listen(config.port, () => {
+  console.log(`ChainWarZ backend listening on :${config.port}`);
+  for (const c of Object.values(CHAINS)) console.log(`  ${c.key}: ${c.indexRpcUrl} → ${c.contractAddress}`);
+  console.log(`  farcaster: ${farcaster.enabled ? config.farcasterSource : "off"}`);
+  console.log(`  sign-in domains: ${config.siweDomains.join(", ")}`);
+  if (!config.neynarApiKey) console.warn("  miniapp webhooks: refused (set NEYNAR_API_KEY to check app keys)");
+  if (!config.publicUrl) console.warn("  share pages: links from the Host header, not cached (set PUBLIC_URL)");
+  indexer.start();
+  notifications.start();
+});
+
+const shutdown = () => {
+  indexer.stop();
+  notifications.stop();
+  live.close();
+  store.flush();
+  server.close(() => process.exit(0));
+};
+process.on("SIGINT", shutdown);
+process.on("SIGTERM", shutdown);
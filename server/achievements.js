@@ -0,0 +1,193 @@
+// Achievements computed from a player's strike history. Nothing is stored:
+// every badge is derived from indexed strikes (and frozen season standings),
+// so a reorg or a wallet link/unlink is reflected on the next request.
+//
+// Days are UTC days. A player is a FID (all linked wallets) or a bare wallet.
+
+const { ALL_CHAINS, rangedStandings, findRow } = require("./leaderboard");
+const { publicSeason } = require("./seasons");
+const { dayOf, dailyRuns } = require("./days");
+
+const MILESTONES = [
+  { count: 1, name: "First Blood" },
+  { count: 10, name: "Veteran" },
+  { count: 50, name: "Siege Master" },
+  { count: 100, name: "Centurion" },
+];
+
+const STREAKS = [
+  { days: 3, name: "Three-Day March" },
+  { days: 7, name: "Week of War" },
+  { days: 30, name: "Unbroken Siege" },
+];
+
+const DAWN_STRIKES = [
+  { count: 1, name: "Dawn Raider" },
+  { count: 10, name: "Herald of Dawn" },
+];
+
+const TOP_FINISHES = [
+  { count: 1, name: "Season Elite" },
+  { count: 3, name: "Hall of Fame" },
+];
+
+function achievement({ id, group, name, description, chain = null }, current, target, unlockedAt) {
+  const earned = current >= target;
+  return {
+    id,
+    group,
+    name,
+    description,
+    chain,
+    earned,
+    unlockedAt: earned && unlockedAt !== null ? new Date(unlockedAt * 1000).toISOString() : null,
+    progress: { current: Math.min(current, target), target },
+  };
+}
+
+// The timestamp at which `count` was reached in an ascending list, or null.
+const nth = (timestamps, count) => (timestamps.length >= count ? timestamps[count - 1] : null);
+
+function milestoneAchievements(chains, mine) {
+  const out = [];
+  for (const chain of Object.values(chains)) {
+    const times = mine.filter((s) => s.chain === chain.key).map((s) => s.timestamp);
+    for (const m of MILESTONES) {
+      out.push(
+        achievement(
+          {
+            id: `${chain.key}-${m.count}`,
+            group: "milestone",
+            name: `${m.name} (${chain.name})`,
+            description: m.count === 1 ? `Land your first strike on ${chain.name}` : `Land ${m.count} strikes on ${chain.name}`,
+            chain: chain.key,
+          },
+          times.length,
+          m.count,
+          nth(times, m.count)
+        )
+      );
+    }
+  }
+  return out;
+}
+
+function streakAchievements(mine) {
+  const reachedAt = new Map();
+  let best = 0;
+  for (const { firstAt, run } of dailyRuns(mine)) {
+    best = Math.max(best, run);
+    if (!reachedAt.has(run)) reachedAt.set(run, firstAt);
+  }
+
+  return STREAKS.map((s) =>
+    achievement(
+      { id: `streak-${s.days}`, group: "streak", name: s.name, description: `Strike on ${s.days} days in a row` },
+      best,
+      s.days,
+      reachedAt.get(s.days) ?? null
+    )
+  );
+}
+
+// Strikes on two different chains within one day.
+function twoFrontsAchievement(mine) {
+  const byDay = new Map();
+  for (const s of mine) {
+    const d = dayOf(s.timestamp);
+    if (!byDay.has(d)) byDay.set(d, new Map());
+    const firsts = byDay.get(d);
+    if (!firsts.has(s.chain)) firsts.set(s.chain, s.timestamp);
+  }
+
+  let most = 0;
+  let unlockedAt = null;
+  for (const firsts of byDay.values()) {
+    most = Math.max(most, firsts.size);
+    if (unlockedAt === null && firsts.size >= 2) unlockedAt = [...firsts.values()].sort((a, b) => a - b)[1];
+  }
+
+  return achievement(
+    { id: "two-fronts", group: "daily", name: "War on Two Fronts", description: "Strike on two chains in the same day" },
+    most,
+    2,
+    unlockedAt
+  );
+}
+
+// The day's first strike across every chain belongs to the player.
+function dawnAchievements(allStrikes, owns) {
+  const firsts = new Map();
+  for (const s of allStrikes) {
+    const d = dayOf(s.timestamp);
+    const cur = firsts.get(d);
+    if (!cur || s.timestamp < cur.timestamp) firsts.set(d, s);
+  }
+  const times = [...firsts.values()]
+    .filter((s) => owns(s.from))
+    .map((s) => s.timestamp)
+    .sort((a, b) => a - b);
+
+  return DAWN_STRIKES.map((d) =>
+    achievement(
+      {
+        id: `dawn-${d.count}`,
+        group: "daily",
+        name: d.name,
+        description: d.count === 1 ? "Land the first strike of a day" : `Land the first strike of the day ${d.count} times`,
+      },
+      times.length,
+      d.count,
+      nth(times, d.count)
+    )
+  );
+}
+
+// Top-10 finishes on the all-chains board of ended seasons.
+function topFinishAchievements(store, chains, seasons, who, now) {
+  const chainKeys = Object.keys(chains);
+  const finishes = [];
+  for (const s of seasons) {
+    const season = publicSeason(s, now);
+    if (season.status !== "ended") continue;
+    const range = { from: s.start / 1000, to: s.end / 1000 };
+    const row = findRow(store, rangedStandings(store, chainKeys, ALL_CHAINS, range, season), who);
+    if (row && row.rank <= 10) finishes.push(range.to);
+  }
+
+  return TOP_FINISHES.map((t) =>
+    achievement(
+      {
+        id: `top10-${t.count}`,
+        group: "season",
+        name: t.name,
+        description: t.count === 1 ? "Finish a season in the top 10" : `Finish ${t.count} seasons in the top 10`,
+      },
+      finishes.length,
+      t.count,
+      nth(finishes, t.count)
+    )
+  );
+}
+
+// { earned, total, achievements: [{ id, group, name, description, chain,
+//   earned, unlockedAt, progress: { current, target } }] }
+function achievementsFor({ store, chains }, seasons, { fid = null, address = null }, now = Date.now()) {
+  const addresses = new Set(fid !== null ? store.addressesForFid(fid) : [address.toLowerCase()]);
+  const owns = (a) => addresses.has(a);
+
+  const allStrikes = Object.keys(chains).flatMap((key) => store.strikesFor(key));
+  const mine = allStrikes.filter((s) => owns(s.from)).sort((a, b) => a.timestamp - b.timestamp);
+
+  const achievements = [
+    ...milestoneAchievements(chains, mine),
+    ...streakAchievements(mine),
+    twoFrontsAchievement(mine),
+    ...dawnAchievements(allStrikes, owns),
+    ...topFinishAchievements(store, chains, seasons, { fid, address }, now),
+  ];
+
+  return { earned: achievements.filter((a) => a.earned).length, total: achievements.length, achievements };
+}
+
+module.exports = { achievementsFor };
@@ -0,0 +1,70 @@
+const express = require("express");
+const cors = require("cors");
+const { chainRoutes } = require("./routes/chains");
+const { leaderboardRoutes } = require("./routes/leaderboard");
+const { profileRoutes } = require("./routes/profile");
+const { farcasterRoutes } = require("./routes/farcaster");
+const { linkRoutes } = require("./routes/links");
+const { liveRoutes } = require("./routes/live");
+const { factionRoutes } = require("./routes/factions");
+const { shareRoutes } = require("./routes/share");
+const { notificationRoutes } = require("./routes/notifications");
+const { rateLimit } = require("./rateLimit");
+
+// TRUST_PROXY is a hop count, true/false, or a list of addresses/subnets.
+function trustProxyValue(raw) {
+  if (/^\d+$/.test(raw)) return Number(raw);
+  if (raw === "true" || raw === "false") return raw === "true";
+  return raw;
+}
+
+// ctx: { config, chains, store, farcaster, auth, live, og, notifications, notifySender }
+function createApp(ctx) {
+  const app = express();
+  if (ctx.config.trustProxy) app.set("trust proxy", trustProxyValue(ctx.config.trustProxy));
+  app.use(cors({ exposedHeaders: ["ETag", "RateLimit-Limit", "RateLimit-Remaining", "RateLimit-Reset", "Retry-After"] }));
+  app.use(express.json());
+
+  // Farcaster clients post webhooks from a handful of shared IPs; those are
+  // verified by signature instead.
+  const isWebhook = (req) => req.path === "/miniapp/webhook";
+  const windowMs = ctx.config.rateLimitWindowMs;
+  app.use("/api", rateLimit({ windowMs, max: ctx.config.rateLimitMax, skip: isWebhook }));
+  app.use(
+    "/api",
+    rateLimit({
+      windowMs,
+      max: ctx.config.rateLimitWriteMax,
+      skip: (req) => req.method === "GET" || req.method === "OPTIONS" || isWebhook(req),
+    })
+  );
+
+  app.get("/health", (req, res) => res.json({ ok: true }));
+
+  // share pages and card images live outside /api: their URLs end up in casts.
+  // Each one can mean a Farcaster lookup and a card render, and ?v= gets past
+  // any cache, so they get their own, tighter limit.
+  app.use(["/share", "/og"], rateLimit({ windowMs, max: ctx.config.rateLimitShareMax }));
+  app.use(shareRoutes(ctx));
+
+  app.use("/api", chainRoutes(ctx));
+  app.use("/api", leaderboardRoutes(ctx));
+  app.use("/api", profileRoutes(ctx));
+  app.use("/api", farcasterRoutes(ctx));
+  app.use("/api", linkRoutes(ctx));
+  app.use("/api", liveRoutes(ctx));
+  app.use("/api", factionRoutes(ctx));
+  app.use("/api", notificationRoutes(ctx));
+
+  app.use((req, res) => res.status(404).json({ error: "Not found" }));
+
+  // eslint-disable-next-line no-unused-vars
+  app.use((err, req, res, next) => {
+    console.error("[api]", err);
+    res.status(500).json({ error: "Internal error" });
+  });
+
+  return app;
+}
+
+module.exports = { createApp };
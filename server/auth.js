@@ -0,0 +1,61 @@
+const crypto = require("crypto");
+
+// Single-use sign-in nonces and short-lived FID sessions, both in memory: a
+// restart just means signing in again.
+
+const NONCE_TTL_MS = 10 * 60 * 1000;
+const SESSION_TTL_MS = 24 * 60 * 60 * 1000;
+
+function createAuth() {
+  const nonces = new Map(); // nonce -> expiresAt
+  const sessions = new Map(); // token -> { fid, expiresAt }
+
+  const sweep = (map, now) => {
+    for (const [k, v] of map) if ((v.expiresAt ?? v) < now) map.delete(k);
+  };
+
+  const sessionFor = (req) => {
+    const token = (req.get("authorization") || "").replace(/^Bearer\s+/i, "");
+    const session = token && sessions.get(token);
+    return session && session.expiresAt >= Date.now() ? session : null;
+  };
+
+  return {
+    issueNonce() {
+      const now = Date.now();
+      sweep(nonces, now);
+      // alphanumeric, as EIP-4361 requires
+      const nonce = crypto.randomBytes(12).toString("hex");
+      nonces.set(nonce, now + NONCE_TTL_MS);
+      return nonce;
+    },
+
+    consumeNonce(nonce) {
+      const expiresAt = nonces.get(nonce);
+      nonces.delete(nonce);
+      return !!expiresAt && expiresAt >= Date.now();
+    },
+
+    createSession(fid) {
+      const now = Date.now();
+      sweep(sessions, now);
+      const token = crypto.randomBytes(24).toString("hex");
+      const session = { fid: Number(fid), expiresAt: now + SESSION_TTL_MS };
+      sessions.set(token, session);
+      return { token, ...session };
+    },
+
+    // The session for `Authorization: Bearer <token>`, or null.
+    sessionFor,
+
+    // Express middleware: requires `Authorization: Bearer <token>`, sets req.session.
+    requireSession(req, res, next) {
+      const session = sessionFor(req);
+      if (!session) return res.status(401).json({ error: "Sign in required" });
+      req.session = session;
+      next();
+    },
+  };
+}
+
+module.exports = { createAuth };
@@ -0,0 +1,39 @@
+// Re-indexes a chain from a given block into the persistent store.
+// Stop the server first: both write the same data file.
+//
+//   npm run backfill -- <chain> <fromBlock> [toBlock]
+
+const { config } = require("./config");
+const { CHAINS, CHAIN_KEYS } = require("./chains");
+const { createStore } = require("./store");
+const { createIndexer } = require("./indexer");
+
+async function main() {
+  const [chainKey, fromRaw, toRaw] = process.argv.slice(2);
+  const fromBlock = Number(fromRaw);
+  const toBlock = toRaw === undefined ? null : Number(toRaw);
+
+  if (!CHAINS[chainKey] || !Number.isInteger(fromBlock) || fromBlock < 0 || (toBlock !== null && !Number.isInteger(toBlock))) {
+    console.error(`Usage: npm run backfill -- <${CHAIN_KEYS.join("|")}> <fromBlock> [toBlock]`);
+    process.exit(1);
+  }
+
+  const store = createStore({ file: config.dataFile || null, reorgDepth: config.reorgDepth });
+  const indexer = createIndexer({ chains: CHAINS, store });
+
+  try {
+    const last = await indexer.backfill(chainKey, fromBlock, toBlock, (cursor) => {
+      console.log(`[backfill:${chainKey}] indexed through ${cursor}`);
+      store.flush();
+    });
+    console.log(`[backfill:${chainKey}] done at block ${last}, ${store.strikesFor(chainKey).length} strike(s) stored`);
+  } finally {
+    store.flush();
+    indexer.stop();
+  }
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,50 @@
+const crypto = require("crypto");
+
+// Response snapshots for hot read endpoints. A snapshot is a serialised JSON
+// body with a strong ETag. It is served until it is `ttlMs` old or the store's
+// revision moves (a new strike, reorg, link or pledge), whichever comes first;
+// the TTL covers what changes with time alone, like rolling 24h windows.
+
+const etagOf = (body) => `"${crypto.createHash("sha1").update(body).digest("base64url")}"`;
+
+function createSnapshotCache({ store, ttlMs, max = 500 }) {
+  const entries = new Map(); // key -> { at, revision, body, etag }
+  const inflight = new Map(); // key -> Promise<entry>, so a burst computes once
+
+  return {
+    async get(key, compute) {
+      const hit = entries.get(key);
+      if (hit && hit.revision === store.revision() && Date.now() - hit.at < ttlMs) return hit;
+      if (inflight.has(key)) return inflight.get(key);
+
+      const build = (async () => {
+        const revision = store.revision();
+        const body = JSON.stringify(await compute());
+        const entry = { at: Date.now(), revision, body, etag: etagOf(body) };
+        entries.delete(key);
+        if (entries.size >= max) entries.delete(entries.keys().next().value);
+        entries.set(key, entry);
+        return entry;
+      })().finally(() => inflight.delete(key));
+      inflight.set(key, build);
+      return build;
+    },
+  };
+}
+
+// Sends `{ body, etag }` as JSON, or 304 when the client's If-None-Match has
+// it. no-cache: browsers keep the body but revalidate every time, which costs
+// a 304 when nothing changed.
+function sendSnapshot(req, res, { body, etag }) {
+  res.set("etag", etag).set("cache-control", "no-cache");
+  if (req.fresh) return res.status(304).end();
+  res.type("application/json").send(body);
+}
+
+// sendSnapshot for a body computed on the spot.
+function sendJsonWithEtag(req, res, value) {
+  const body = JSON.stringify(value);
+  sendSnapshot(req, res, { body, etag: etagOf(body) });
+}
+
+module.exports = { createSnapshotCache, sendSnapshot, sendJsonWithEtag };
@@ -0,0 +1,65 @@
+const fs = require("fs");
+const path = require("path");
+const { chainEnv } = require("./config");
+
+// The chain registry lives in chains.json (shared with the frontend bundle as
+// its offline default). CHAINS_FILE points at another registry; CHAINS_DISABLED
+// is a comma-separated list of keys to switch off.
+//
+// Per-chain env overrides (see config.js) only affect this server: RPC_URL is
+// what the indexer talks to, CONTRACT_ADDRESS / START_BLOCK what it indexes.
+
+const CHAINS_FILE = process.env.CHAINS_FILE || path.join(__dirname, "..", "chains.json");
+
+function disabledKeys() {
+  return (process.env.CHAINS_DISABLED || "")
+    .split(",")
+    .map((k) => k.trim())
+    .filter(Boolean);
+}
+
+function readRegistry() {
+  const raw = JSON.parse(fs.readFileSync(CHAINS_FILE, "utf8"));
+  const disabled = disabledKeys();
+  const chains = {};
+  for (const [key, chain] of Object.entries(raw)) {
+    const startBlock = chainEnv(key, "START_BLOCK");
+    chains[key] = {
+      ...chain,
+      key,
+      valueWei: BigInt(chain.valueWei),
+      contractAddress: (chainEnv(key, "CONTRACT_ADDRESS") || chain.contractAddress).toLowerCase(),
+      enabled: chain.enabled !== false && !disabled.includes(key),
+      indexRpcUrl: chainEnv(key, "RPC_URL") || chain.rpcUrl,
+      // null → start from the head at first boot
+      startBlock: startBlock !== undefined ? Number(startBlock) : null,
+    };
+  }
+  return chains;
+}
+
+// Every chain known at boot; the indexer runs for all of them.
+const CHAINS = readRegistry();
+const CHAIN_KEYS = Object.keys(CHAINS);
+
+// The registry as served to clients. The file is re-read when it changes so a
+// chain can be switched off (`"enabled": false`) without restarting.
+let served = { mtimeMs: 0, chains: CHAINS };
+
+function currentRegistry() {
+  try {
+    const { mtimeMs } = fs.statSync(CHAINS_FILE);
+    if (mtimeMs !== served.mtimeMs) served = { mtimeMs, chains: readRegistry() };
+  } catch (err) {
+    console.error("[chains] failed to reload registry:", err.message);
+  }
+  return served.chains;
+}
+
+// JSON-safe public view (no bigint, no server-only fields).
+function publicChain(chain) {
+  const { indexRpcUrl, startBlock, valueWei, ...rest } = chain;
+  return { ...rest, valueWei: valueWei.toString() };
+}
+
+module.exports = { CHAINS, CHAIN_KEYS, currentRegistry, publicChain };
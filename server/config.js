@@ -0,0 +1,91 @@
+// Runtime configuration, read once from the environment.
+//
+// Per-chain overrides use the chain key in upper case, e.g. for a local anvil node:
+//   BASE_RPC_URL=http://127.0.0.1:8545 BASE_CONTRACT_ADDRESS=0x… BASE_START_BLOCK=0
+
+const path = require("path");
+
+function envNumber(name, fallback) {
+  const raw = process.env[name];
+  if (raw === undefined || raw === "") return fallback;
+  const n = Number(raw);
+  return Number.isFinite(n) ? n : fallback;
+}
+
+function chainEnv(chainKey, name) {
+  const v = process.env[`${chainKey.toUpperCase()}_${name}`];
+  return v === undefined || v === "" ? undefined : v;
+}
+
+function listEnv(name, fallback) {
+  const list = (process.env[name] || "")
+    .split(",")
+    .map((d) => d.trim())
+    .filter(Boolean);
+  return list.length ? list : fallback;
+}
+
+// "example.com:8443" for "https://example.com:8443/app", as a SIWE domain.
+function hostOf(url) {
+  try {
+    return new URL(url).host;
+  } catch {
+    throw new Error(`Invalid URL ${url}; set SIWE_DOMAINS explicitly`);
+  }
+}
+
+const config = {
+  port: envNumber("PORT", 3001),
+
+  // Persistent strike store (JSON file); set to "" to keep everything in memory
+  dataFile: process.env.DATA_FILE ?? "data/chainwarz.json",
+
+  // Indexer
+  pollIntervalMs: envNumber("INDEXER_POLL_MS", 4000),
+  maxBlocksPerTick: envNumber("INDEXER_MAX_BLOCKS", 50),
+  reorgDepth: envNumber("INDEXER_REORG_DEPTH", 12),
+  // Recipients of recent plain transfers kept per chain to find strikers' funders
+  fundingMemory: envNumber("INDEXER_FUNDING_MEMORY", 100000),
+
+  // Farcaster identity (optional; without a source identities are simply unavailable).
+  // FARCASTER_SOURCE: "neynar" (needs the key), "mock" (users from
+  // FARCASTER_MOCK_FILE, for offline development) or "none"
+  neynarApiKey: process.env.NEYNAR_API_KEY || "",
+  farcasterSource: process.env.FARCASTER_SOURCE || (process.env.NEYNAR_API_KEY ? "neynar" : "none"),
+  farcasterMockFile: process.env.FARCASTER_MOCK_FILE || path.join(__dirname, "fixtures", "farcaster-users.json"),
+  identityTtlMs: envNumber("IDENTITY_TTL_MS", 10 * 60 * 1000),
+  // Hub used to check miniapp webhook app keys (with the Neynar key)
+  farcasterHubUrl: (process.env.FARCASTER_HUB_URL || "https://hub-api.neynar.com").replace(/\/$/, ""),
+
+  // Miniapp notifications: "http" posts to the clients' notification servers,
+  // "log" only prints them and keeps them at /api/notifications/outbox
+  notifySender: process.env.NOTIFY_SENDER === "log" ? "log" : "http",
+  // Hosts of the Farcaster clients' notification servers (comma-separated);
+  // webhook events naming any other notification URL are ignored
+  notificationHosts: listEnv("NOTIFICATION_HOSTS", ["api.farcaster.xyz", "api.warpcast.com"]),
+
+  // Sharing: this backend's public URL (defaults to the request's host, and
+  // share pages then aren't publicly cacheable) and the frontend URL share
+  // embeds launch (defaults to the backend's own URL)
+  publicUrl: (process.env.PUBLIC_URL || "").replace(/\/$/, ""),
+  appUrl: (process.env.APP_URL || "").replace(/\/$/, ""),
+
+  // Leaderboard snapshots are rebuilt at most this often (sooner when a strike lands)
+  leaderboardTtlMs: envNumber("LEADERBOARD_TTL_MS", 15000),
+
+  // Per-IP rate limits on /api: requests per window, and the lower cap for writes
+  rateLimitWindowMs: envNumber("RATE_LIMIT_WINDOW_MS", 60 * 1000),
+  rateLimitMax: envNumber("RATE_LIMIT_MAX", 300),
+  rateLimitWriteMax: envNumber("RATE_LIMIT_WRITE_MAX", 30),
+  // and on /share and /og, which look players up and render cards per request
+  rateLimitShareMax: envNumber("RATE_LIMIT_SHARE_MAX", 60),
+  // Express "trust proxy" setting, so limits apply to the client IP behind a
+  // load balancer (e.g. "1" for one hop); unset trusts nothing
+  trustProxy: process.env.TRUST_PROXY || "",
+
+  // Hosts sign-in messages may name (comma-separated); defaults to the host
+  // the frontend is served from, so messages signed for other sites are refused
+  siweDomains: listEnv("SIWE_DOMAINS", [hostOf(process.env.APP_URL || process.env.PUBLIC_URL || "http://localhost:3000")]),
+};
+
+module.exports = { config, chainEnv, envNumber };
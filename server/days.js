@@ -0,0 +1,28 @@
+// UTC days over strike timestamps (seconds), shared by history.js and
+// achievements.js.
+
+const DAY = 24 * 60 * 60;
+const dayOf = (timestamp) => Math.floor(timestamp / DAY);
+
+// Every UTC day with a strike, oldest first, as { day, firstAt, run }: the
+// day's first strike time and the length of the run of consecutive strike
+// days ending on it.
+function dailyRuns(strikes) {
+  const firsts = new Map();
+  for (const s of strikes) {
+    const d = dayOf(s.timestamp);
+    if (!firsts.has(d) || s.timestamp < firsts.get(d)) firsts.set(d, s.timestamp);
+  }
+
+  let run = 0;
+  let prev = null;
+  return [...firsts.keys()]
+    .sort((a, b) => a - b)
+    .map((day) => {
+      run = prev !== null && day === prev + 1 ? run + 1 : 1;
+      prev = day;
+      return { day, firstAt: firsts.get(day), run };
+    });
+}
+
+module.exports = { DAY, dayOf, dailyRuns };
@@ -0,0 +1,29 @@
+import { describe, expect, it } from "vitest";
+import { DAY, dailyRuns } from "./days";
+
+const at = (day, hour = 0) => ({ timestamp: day * DAY + hour * 3600 });
+
+describe("dailyRuns", () => {
+  it("numbers each strike day within its run of consecutive days", () => {
+    const strikes = [at(10, 5), at(11), at(12), at(14), at(15)];
+    expect(dailyRuns(strikes).map((r) => [r.day, r.run])).toEqual([
+      [10, 1],
+      [11, 2],
+      [12, 3],
+      [14, 1],
+      [15, 2],
+    ]);
+  });
+
+  it("keeps the first strike of each day whatever order the strikes come in", () => {
+    const runs = dailyRuns([at(11, 9), at(10, 20), at(11, 3), at(10, 7)]);
+    expect(runs).toEqual([
+      { day: 10, firstAt: at(10, 7).timestamp, run: 1 },
+      { day: 11, firstAt: at(11, 3).timestamp, run: 2 },
+    ]);
+  });
+
+  it("is empty without strikes", () => {
+    expect(dailyRuns([])).toEqual([]);
+  });
+});
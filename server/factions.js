@@ -0,0 +1,72 @@
+const fs = require("fs");
+const path = require("path");
+const { ALL_CHAINS, groupKey, standings, scopedStrikes, present } = require("./leaderboard");
+
+// Faction war. Players pledge to a faction — by default one per chain, or the
+// clans listed in factions.json (or FACTIONS_FILE):
+//   [{ "key": "wolves", "name": "Wolves", "theme": "red" }]
+// Every strike a member lands on any chain after pledging counts towards the
+// faction's war score. A pledge belongs to the same identity the leaderboard
+// merges strikes by: the FID when the wallet is linked, else the wallet.
+
+const FACTIONS_FILE = process.env.FACTIONS_FILE || path.join(__dirname, "..", "factions.json");
+
+// How long a member must wait before switching sides; switching starts their
+// contribution over.
+const SWITCH_COOLDOWN_MS = 7 * 24 * 60 * 60 * 1000;
+
+function loadFactions(chains, file = FACTIONS_FILE) {
+  if (!fs.existsSync(file)) {
+    return Object.values(chains).map((c) => ({ key: c.key, name: c.name, theme: c.theme, chain: c.key }));
+  }
+  return JSON.parse(fs.readFileSync(file, "utf8"))
+    .filter((f) => typeof f.key === "string" && /^[a-z0-9-]{1,32}$/.test(f.key))
+    .map((f) => ({ key: f.key, name: f.name || f.key, theme: f.theme || "purple", chain: null }));
+}
+
+const memberKey = (store, { fid = null, address = null }) =>
+  fid !== null ? `fid:${Number(fid)}` : groupKey(store, address.toLowerCase());
+
+function membership(store, who) {
+  const pledge = store.pledgeFor(memberKey(store, who));
+  if (!pledge) return null;
+  return {
+    faction: pledge.faction,
+    pledgedAt: new Date(pledge.pledgedAt).toISOString(),
+    switchableAt: new Date(pledge.pledgedAt + SWITCH_COOLDOWN_MS).toISOString(),
+  };
+}
+
+// Standings of one faction's members, counting only strikes since each pledged.
+function factionStandings(store, chains, factionKey, range) {
+  const strikes = scopedStrikes(store, Object.keys(chains), ALL_CHAINS, range).filter((s) => {
+    const pledge = store.pledgeFor(groupKey(store, s.from));
+    return pledge?.faction === factionKey && s.timestamp * 1000 >= pledge.pledgedAt;
+  });
+  return standings(store, strikes);
+}
+
+// { total, factions: [{ key, name, theme, chain, score, share, members, mvp }] }
+// `share` is the faction's fraction of all war strikes (0 when nobody scored).
+async function warScore({ store, farcaster, chains }, factions, range) {
+  const members = new Map();
+  for (const p of store.pledges()) members.set(p.faction, (members.get(p.faction) || 0) + 1);
+
+  const scored = factions.map((f) => {
+    const rows = factionStandings(store, chains, f.key, range);
+    return { ...f, score: rows.reduce((n, r) => n + r.txCount, 0), members: members.get(f.key) || 0, top: rows[0] };
+  });
+
+  const users = await farcaster.getUsers(scored.filter((f) => f.top?.fid != null).map((f) => f.top.fid));
+  const total = scored.reduce((n, f) => n + f.score, 0);
+  return {
+    total,
+    factions: scored.map(({ top, ...f }) => ({
+      ...f,
+      share: total ? f.score / total : 0,
+      mvp: top ? present(top, users) : null,
+    })),
+  };
+}
+
+module.exports = { SWITCH_COOLDOWN_MS, loadFactions, memberKey, membership, factionStandings, warScore };
@@ -0,0 +1,207 @@
+const fs = require("fs");
+const { config } = require("./config");
+
+// node-fetch v3 is ESM-only
+const fetch = (...args) => import("node-fetch").then(({ default: f }) => f(...args));
+
+const NEYNAR_API = "https://api.neynar.com/v2/farcaster";
+
+// Bounds on the in-memory identity caches; the oldest entries go first.
+const USER_CACHE_SIZE = 10000;
+const ADDRESS_CACHE_SIZE = 50000;
+
+// Normalises a Neynar user into the shape the frontend reads
+// (displayName / pfpUrl / bio / farcasterUrl).
+function toIdentity(u) {
+  return {
+    fid: u.fid,
+    username: u.username || null,
+    displayName: u.display_name || u.username || null,
+    pfpUrl: u.pfp_url || null,
+    bio: u.profile?.bio?.text || "",
+    farcasterUrl: u.username ? `https://farcaster.xyz/${u.username}` : null,
+    addresses: (u.verified_addresses?.eth_addresses || []).map((a) => a.toLowerCase()),
+    custodyAddress: u.custody_address ? u.custody_address.toLowerCase() : null,
+  };
+}
+
+// Identity sources return Neynar-shaped users:
+//   byFids(fids) → users, byUsername(name) → user | null,
+//   byAddresses(addresses) → users verified for any of them
+
+function neynarSource(apiKey) {
+  const neynar = async (path) => {
+    const res = await fetch(`${NEYNAR_API}${path}`, {
+      headers: { accept: "application/json", "x-api-key": apiKey },
+    });
+    if (!res.ok) throw new Error(`Neynar ${res.status}`);
+    return res.json();
+  };
+
+  return {
+    async byFids(fids) {
+      return (await neynar(`/user/bulk?fids=${fids.join(",")}`))?.users || [];
+    },
+    async byUsername(name) {
+      try {
+        return (await neynar(`/user/by_username?username=${encodeURIComponent(name)}`))?.user || null;
+      } catch (err) {
+        if (err.message === "Neynar 404") return null;
+        throw err;
+      }
+    },
+    async byAddresses(addresses) {
+      try {
+        const data = await neynar(`/user/bulk-by-address?addresses=${addresses.join(",")}`);
+        return Object.values(data || {}).flatMap((list) => (Array.isArray(list) ? list : []));
+      } catch (err) {
+        // 404 just means none of them has a Farcaster account
+        if (err.message === "Neynar 404") return [];
+        throw err;
+      }
+    },
+  };
+}
+
+// Users from a JSON file (an array of Neynar-shaped users) for offline
+// development and tests; FARCASTER_SOURCE=mock.
+function mockSource(file) {
+  const users = JSON.parse(fs.readFileSync(file, "utf8"));
+  const verified = (u) => (u.verified_addresses?.eth_addresses || []).map((a) => a.toLowerCase());
+  return {
+    async byFids(fids) {
+      return users.filter((u) => fids.includes(u.fid));
+    },
+    async byUsername(name) {
+      return users.find((u) => u.username === name) || null;
+    },
+    async byAddresses(addresses) {
+      const wanted = new Set(addresses);
+      return users.filter((u) => verified(u).some((a) => wanted.has(a)));
+    },
+  };
+}
+
+// The source config asks for, or null when identities are unavailable.
+function configuredSource() {
+  if (config.farcasterSource === "mock") return mockSource(config.farcasterMockFile);
+  if (config.farcasterSource === "neynar" && config.neynarApiKey) return neynarSource(config.neynarApiKey);
+  return null;
+}
+
+// Sets `key` as the newest entry of `map`, evicting the oldest past `max`.
+function put(map, max, key, value) {
+  map.delete(key);
+  if (map.size >= max) map.delete(map.keys().next().value);
+  map.set(key, value);
+}
+
+// Identities are cached for config.identityTtlMs (up to `maxUsers` of them, and
+// `maxAddresses` looked-up addresses); a failed refresh serves the stale copy
+// while it is still cached.
+function createFarcaster({
+  store,
+  source = configuredSource(),
+  maxUsers = USER_CACHE_SIZE,
+  maxAddresses = ADDRESS_CACHE_SIZE,
+}) {
+  const users = new Map(); // fid -> { at, value }
+  const lookedUp = new Map(); // address -> at
+
+  const fresh = (at) => Date.now() - at < config.identityTtlMs;
+
+  const remember = (identity) => {
+    put(users, maxUsers, identity.fid, { at: Date.now(), value: identity });
+    for (const a of identity.addresses) store.linkAddress(a, identity.fid);
+  };
+
+  return {
+    enabled: !!source,
+
+    async getUser(fid) {
+      const key = Number(fid);
+      const cached = users.get(key);
+      if (cached && fresh(cached.at)) return cached.value;
+      if (!source) return null;
+
+      try {
+        const [u] = await source.byFids([key]);
+        if (!u) return null;
+        const identity = toIdentity(u);
+        remember(identity);
+        return identity;
+      } catch (err) {
+        console.error("[farcaster] user lookup failed:", err.message);
+        return cached?.value || null;
+      }
+    },
+
+    // By username (fname, without the @), or null when nobody has it.
+    async getUserByUsername(username) {
+      const name = username.toLowerCase();
+      for (const { at, value } of users.values()) {
+        if (value.username === name && fresh(at)) return value;
+      }
+      if (!source) return null;
+
+      try {
+        const u = await source.byUsername(name);
+        if (!u) return null;
+        const identity = toIdentity(u);
+        remember(identity);
+        return identity;
+      } catch (err) {
+        console.error("[farcaster] username lookup failed:", err.message);
+        return null;
+      }
+    },
+
+    // Bulk variant of getUser: Map(fid -> identity) for the FIDs that resolve.
+    async getUsers(fids) {
+      const out = new Map();
+      const missing = [];
+      for (const fid of new Set(fids.map(Number))) {
+        const cached = users.get(fid);
+        if (cached && fresh(cached.at)) out.set(fid, cached.value);
+        else missing.push(fid);
+      }
+      if (!source) return out;
+
+      for (let i = 0; i < missing.length; i += 100) {
+        const batch = missing.slice(i, i + 100);
+        try {
+          for (const u of await source.byFids(batch)) {
+            const identity = toIdentity(u);
+            remember(identity);
+            out.set(identity.fid, identity);
+          }
+        } catch (err) {
+          console.error("[farcaster] bulk user lookup failed:", err.message);
+          for (const fid of batch) if (users.has(fid)) out.set(fid, users.get(fid).value);
+        }
+      }
+      return out;
+    },
+
+    // Links any verified addresses among `addresses` to their FID.
+    async resolveAddresses(addresses) {
+      if (!source) return;
+      const pending = [...new Set(addresses.map((a) => a.toLowerCase()))].filter((a) => {
+        const at = lookedUp.get(a);
+        return !at || !fresh(at);
+      });
+
+      for (let i = 0; i < pending.length; i += 350) {
+        const batch = pending.slice(i, i + 350);
+        try {
+          for (const u of await source.byAddresses(batch)) remember(toIdentity(u));
+          for (const a of batch) put(lookedUp, maxAddresses, a, Date.now());
+        } catch (err) {
+          console.error("[farcaster] address lookup failed:", err.message);
+        }
+      }
+    },
+  };
+}
+
+module.exports = { createFarcaster, neynarSource, mockSource };
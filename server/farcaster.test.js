@@ -0,0 +1,52 @@
+import { describe, expect, it } from "vitest";
+import { createStore } from "./store";
+import { createFarcaster } from "./farcaster";
+
+const address = (n) => `0x${n.toString(16).padStart(40, "0")}`;
+const user = (fid) => ({ fid, username: `user${fid}`, verified_addresses: { eth_addresses: [address(fid)] } });
+
+// A source that counts how often each FID and address is asked for.
+function countingSource() {
+  const asked = { fids: [], addresses: [] };
+  return {
+    asked,
+    async byFids(fids) {
+      asked.fids.push(...fids);
+      return fids.map(user);
+    },
+    async byUsername() {
+      return null;
+    },
+    async byAddresses(addresses) {
+      asked.addresses.push(...addresses);
+      return [];
+    },
+  };
+}
+
+describe("identity caches", () => {
+  it("keeps at most maxUsers identities, dropping the oldest", async () => {
+    const source = countingSource();
+    const farcaster = createFarcaster({ store: createStore({ file: null }), source, maxUsers: 2 });
+
+    await farcaster.getUser(1);
+    await farcaster.getUser(2);
+    await farcaster.getUser(3); // evicts 1
+    await farcaster.getUser(2);
+    await farcaster.getUser(1);
+
+    expect(source.asked.fids).toEqual([1, 2, 3, 1]);
+  });
+
+  it("keeps at most maxAddresses looked-up addresses", async () => {
+    const source = countingSource();
+    const farcaster = createFarcaster({ store: createStore({ file: null }), source, maxAddresses: 2 });
+
+    await farcaster.resolveAddresses([address(1), address(2)]);
+    await farcaster.resolveAddresses([address(1), address(2)]);
+    await farcaster.resolveAddresses([address(3)]);
+    await farcaster.resolveAddresses([address(1), address(2), address(3)]);
+
+    expect(source.asked.addresses).toEqual([address(1), address(2), address(3), address(1)]);
+  });
+});
@@ -0,0 +1,111 @@
+const { formatUnits } = require("ethers");
+const { clampPage } = require("./leaderboard");
+const { DAY, dayOf, dailyRuns } = require("./days");
+
+// A player's strike log and the stats over it: strikes per UTC day and chain,
+// the current and best daily streaks, and native currency spent. Like
+// achievements.js everything is derived from indexed strikes on request.
+//
+// Every strike sends exactly the chain's valueWei (the indexer ignores any
+// other amount), so spend is count × valueWei.
+
+const isoDay = (day) => new Date(day * DAY * 1000).toISOString().slice(0, 10);
+
+const DEFAULT_DAYS = 30;
+const MAX_DAYS = 365;
+
+// Every strike from `addresses`, newest first.
+function strikesOf(store, chains, addresses) {
+  const mine = new Set(addresses);
+  return Object.keys(chains)
+    .flatMap((key) => store.strikesFor(key).filter((s) => mine.has(s.from)))
+    .sort((a, b) => b.timestamp - a.timestamp || b.blockNumber - a.blockNumber);
+}
+
+// Runs of consecutive UTC days with a strike. The current streak still counts
+// when the last strike was yesterday — today isn't over yet.
+function streaks(strikes, now) {
+  const runs = dailyRuns(strikes);
+  const last = runs.at(-1);
+  const today = dayOf(now / 1000);
+  return {
+    current: last && last.day >= today - 1 ? last.run : 0,
+    best: runs.reduce((best, r) => Math.max(best, r.run), 0),
+  };
+}
+
+// Strike counts per chain for each of the last `days` days (oldest first).
+function daily(chainKeys, strikes, days, now) {
+  const first = dayOf(now / 1000) - days + 1;
+  const out = Array.from({ length: days }, (_, i) => ({
+    date: isoDay(first + i),
+    counts: Object.fromEntries(chainKeys.map((k) => [k, 0])),
+  }));
+  for (const s of strikes) {
+    const i = dayOf(s.timestamp) - first;
+    if (i >= 0 && i < days && s.chain in out[i].counts) out[i].counts[s.chain]++;
+  }
+  return out;
+}
+
+function spent(chains, strikes) {
+  const out = {};
+  for (const chain of Object.values(chains)) {
+    const count = strikes.filter((s) => s.chain === chain.key).length;
+    const wei = chain.valueWei * BigInt(count);
+    out[chain.key] = {
+      strikes: count,
+      wei: wei.toString(),
+      amount: formatUnits(wei, chain.nativeCurrency.decimals),
+      symbol: chain.nativeCurrency.symbol,
+    };
+  }
+  return out;
+}
+
+const entry = (chains, { chain, hash, from, blockNumber, timestamp }) => ({
+  chain,
+  hash,
+  from,
+  blockNumber,
+  timestamp,
+  value: chains[chain].valueWei.toString(),
+  url: `${chains[chain].blockExplorer}/tx/${hash}`,
+});
+
+// { total, offset, limit, strikes, stats: { daily, streak: { current, best }, spent } }
+function historyFor({ store, chains }, addresses, { offset, limit, days } = {}, now = Date.now()) {
+  const all = strikesOf(store, chains, addresses);
+  const page = clampPage({ offset, limit });
+  const d = Number.parseInt(days, 10);
+  return {
+    total: all.length,
+    ...page,
+    strikes: all.slice(page.offset, page.offset + page.limit).map((s) => entry(chains, s)),
+    stats: {
+      daily: daily(Object.keys(chains), all, Number.isFinite(d) && d > 0 ? Math.min(d, MAX_DAYS) : DEFAULT_DAYS, now),
+      streak: streaks(all, now),
+      spent: spent(chains, all),
+    },
+  };
+}
+
+// The whole log as CSV, newest first.
+function historyCsv({ store, chains }, addresses) {
+  const rows = strikesOf(store, chains, addresses).map((s) => {
+    const chain = chains[s.chain];
+    return [
+      s.chain,
+      new Date(s.timestamp * 1000).toISOString(),
+      s.blockNumber,
+      s.hash,
+      s.from,
+      formatUnits(chain.valueWei, chain.nativeCurrency.decimals),
+      chain.nativeCurrency.symbol,
+      `${chain.blockExplorer}/tx/${s.hash}`,
+    ].join(",");
+  });
+  return ["chain,time,block,tx_hash,from,value,symbol,explorer_url", ...rows].join("\n") + "\n";
+}
+
+module.exports = { historyFor, historyCsv };
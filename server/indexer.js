@@ -0,0 +1,189 @@
+const { JsonRpcProvider } = require("ethers");
+const { config } = require("./config");
+
+// Polls each chain's RPC and records every successful plain transfer of exactly
+// `valueWei` to the chain's contract address as a strike.
+//
+// The per-chain cursor is the last fully indexed block. Before moving forward
+// each tick re-checks the hashes of the last `reorgDepth` blocks and rewinds to
+// the common ancestor when the chain has reorganised.
+//
+// It also remembers the latest plain transfers it has seen into each address
+// (up to `fundingMemory` recipients per chain, in memory) so a new striker's
+// funder can be recorded for the sybil rules. Wallets funded before the
+// indexed range, or longer ago than the memory reaches, have no funder.
+
+// static network: skip chain-id detection so local dev nodes (31337) work too
+const connectRpc = (chain) => new JsonRpcProvider(chain.indexRpcUrl, Number(chain.chainIdHex), { staticNetwork: true });
+
+// `connect(chain)` returns the provider to index `chain` with (tests pass a fake).
+function createIndexer({ chains, store, onStrikes, onRemoved, connect = connectRpc }) {
+  const providers = {};
+  const timers = {};
+  const funding = {}; // chainKey -> Map(recipient -> { from, blockNumber })
+  let running = false;
+
+  const providerFor = (chain) => {
+    if (!providers[chain.key]) providers[chain.key] = connect(chain);
+    return providers[chain.key];
+  };
+
+  const isStrike = (chain, tx) =>
+    tx.to && tx.to.toLowerCase() === chain.contractAddress && tx.value === chain.valueWei;
+
+  const isFunding = (chain, tx) =>
+    tx.to && tx.data === "0x" && tx.value > 0n && tx.to.toLowerCase() !== chain.contractAddress;
+
+  const rememberFunding = (chain, transfers, blockNumber) => {
+    if (!funding[chain.key]) funding[chain.key] = new Map();
+    const seen = funding[chain.key];
+    for (const { from, to } of transfers) {
+      seen.delete(to);
+      if (seen.size >= config.fundingMemory) seen.delete(seen.keys().next().value);
+      seen.set(to, { from, blockNumber });
+    }
+  };
+
+  const recordFunders = (chain, strikes) => {
+    const seen = funding[chain.key];
+    if (!seen) return;
+    for (const s of strikes) {
+      const f = seen.get(s.from.toLowerCase());
+      if (f && !store.funderOf(chain.key, s.from)) store.setFunder(chain.key, s.from, f.from, f.blockNumber);
+    }
+  };
+
+  const scanBlock = async (chain, blockNumber) => {
+    const provider = providerFor(chain);
+    const block = await provider.getBlock(blockNumber, true);
+    if (!block) throw new Error(`Block ${blockNumber} not found on ${chain.key}`);
+
+    const found = [];
+    const transfers = [];
+    for (const tx of block.prefetchedTransactions) {
+      if (isFunding(chain, tx)) transfers.push({ from: tx.from.toLowerCase(), to: tx.to.toLowerCase() });
+      if (!isStrike(chain, tx)) continue;
+      const receipt = await provider.getTransactionReceipt(tx.hash);
+      if (!receipt || receipt.status !== 1) continue;
+      found.push({
+        chain: chain.key,
+        hash: tx.hash,
+        from: tx.from,
+        blockNumber: block.number,
+        blockHash: block.hash,
+        timestamp: block.timestamp,
+      });
+    }
+    return { blockHash: block.hash, timestamp: block.timestamp, strikes: found, transfers };
+  };
+
+  const rewind = (chain, fromBlock, reason) => {
+    const removed = store.rewind(chain.key, fromBlock);
+    // transfers seen in orphaned blocks must not name funders on the new branch
+    for (const [to, f] of funding[chain.key] || []) if (f.blockNumber >= fromBlock) funding[chain.key].delete(to);
+    console.warn(`[indexer:${chain.key}] ${reason}: rewound to ${fromBlock - 1}, dropped ${removed.length} strike(s)`);
+    if (removed.length && onRemoved) onRemoved(chain.key, removed);
+  };
+
+  // Returns the (possibly rewound) cursor.
+  const checkReorg = async (chain, cursor) => {
+    const provider = providerFor(chain);
+    const floor = Math.max(cursor - config.reorgDepth + 1, 0);
+
+    for (let n = cursor; n >= floor; n--) {
+      const known = store.getBlockHash(chain.key, n);
+      if (!known) return store.getCursor(chain.key); // nothing recorded this far back
+      const block = await provider.getBlock(n);
+      if (block && block.hash === known) {
+        if (n < cursor) rewind(chain, n + 1, `reorg detected at ${n + 1}`);
+        return store.getCursor(chain.key);
+      }
+    }
+
+    rewind(chain, floor, `no common ancestor in the last ${config.reorgDepth} blocks`);
+    return store.getCursor(chain.key);
+  };
+
+  // Indexes up to `maxBlocksPerTick` blocks, never past `until` (default: head).
+  // Returns true while there is more to index.
+  const tick = async (chain, until = null) => {
+    const provider = providerFor(chain);
+    const head = await provider.getBlockNumber();
+    const target = until === null ? head : Math.min(until, head);
+
+    let cursor = store.getCursor(chain.key);
+    if (cursor === null) {
+      cursor = (chain.startBlock ?? head) - 1;
+      store.setCursor(chain.key, cursor);
+    } else {
+      cursor = await checkReorg(chain, cursor);
+    }
+
+    const to = Math.min(target, cursor + config.maxBlocksPerTick);
+    const added = [];
+    for (let n = cursor + 1; n <= to; n++) {
+      const { blockHash, timestamp, strikes, transfers } = await scanBlock(chain, n);
+      rememberFunding(chain, transfers, n);
+      for (const s of strikes) store.addStrike(s);
+      recordFunders(chain, strikes);
+      added.push(...strikes);
+      store.setCursor(chain.key, n, blockHash, timestamp);
+    }
+
+    // the strikes are stored either way; a failing listener (feed, notifications)
+    // must not stall indexing or surface as an unhandled rejection
+    if (added.length && onStrikes) {
+      try {
+        await onStrikes(chain.key, added);
+      } catch (err) {
+        console.error(`[indexer:${chain.key}] onStrikes failed:`, err?.message || err);
+      }
+    }
+    return to < target;
+  };
+
+  const loop = async (chain) => {
+    if (!running) return;
+    let behind = false;
+    try {
+      behind = await tick(chain);
+    } catch (err) {
+      console.error(`[indexer:${chain.key}]`, err?.shortMessage || err?.message || err);
+    }
+    if (!running) return;
+    timers[chain.key] = setTimeout(() => loop(chain), behind ? 0 : config.pollIntervalMs);
+  };
+
+  return {
+    start() {
+      if (running) return;
+      running = true;
+      for (const chain of Object.values(chains)) loop(chain);
+    },
+
+    stop() {
+      running = false;
+      for (const t of Object.values(timers)) clearTimeout(t);
+      for (const p of Object.values(providers)) p.destroy();
+    },
+
+    tick: (chainKey) => tick(chains[chainKey]),
+
+    // Re-indexes `chainKey` from `fromBlock` up to `toBlock` (default: head),
+    // replacing whatever was stored for that range. The rewind drops every
+    // strike from `fromBlock` on, so blocks already indexed past `toBlock` are
+    // indexed again too.
+    async backfill(chainKey, fromBlock, toBlock = null, onProgress) {
+      const chain = chains[chainKey];
+      const indexed = store.getCursor(chainKey);
+      const until = toBlock === null || indexed === null ? toBlock : Math.max(toBlock, indexed);
+      rewind(chain, fromBlock, "backfill");
+      while (await tick(chain, until)) {
+        if (onProgress) onProgress(store.getCursor(chainKey));
+      }
+      return store.getCursor(chainKey);
+    },
+  };
+}
+
+module.exports = { createIndexer };
@@ -0,0 +1,147 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { createStore } from "./store";
+import { createIndexer } from "./indexer";
+
+const CONTRACT = "0xc0de000000000000000000000000000000000001";
+const VALUE = 1000n;
+const chain = { key: "base", chainIdHex: "0x2105", contractAddress: CONTRACT, valueWei: VALUE, startBlock: 1 };
+
+const ALICE = "0xa100000000000000000000000000000000000001";
+const BOB = "0xb100000000000000000000000000000000000001";
+const CAROL = "0xc100000000000000000000000000000000000001";
+const FUNDER = "0xf100000000000000000000000000000000000001";
+const OTHER_FUNDER = "0xf200000000000000000000000000000000000001";
+
+let txCount = 0;
+const strike = (from) => ({ hash: `0xs${++txCount}`, from, to: CONTRACT, value: VALUE, data: "0x" });
+const transfer = (from, to) => ({ hash: `0xt${++txCount}`, from, to, value: 5n, data: "0x" });
+
+// A chain the test can fork: blocks[n] = { number, hash, timestamp, prefetchedTransactions }.
+function createFakeChain(length, txsAt = {}, branch = "a") {
+  const blocks = [];
+  const fake = {
+    blocks,
+    extend(n, txs = {}, tag = branch) {
+      const from = blocks.length;
+      for (let i = from; i < from + n; i++) {
+        blocks[i] = { number: i, hash: `0x${tag}${i}`, timestamp: 1000 + i * 12, prefetchedTransactions: txs[i] || [] };
+      }
+    },
+    // Replaces every block from `n` on with a new branch of `length` blocks.
+    fork(n, length, txs = {}) {
+      blocks.length = n;
+      fake.extend(length, txs, "b");
+    },
+    provider: {
+      getBlockNumber: async () => blocks.length - 1,
+      getBlock: async (n) => blocks[n] || null,
+      getTransactionReceipt: async () => ({ status: 1 }),
+      destroy: () => {},
+    },
+  };
+  fake.extend(length, txsAt);
+  return fake;
+}
+
+const hashes = (strikes) => strikes.map((s) => s.hash).sort();
+
+describe("reorg rewind", () => {
+  let store;
+  let fake;
+  let removed;
+  let indexer;
+  const s3 = strike(ALICE);
+  const s6 = strike(BOB);
+  const s8 = strike(CAROL);
+
+  beforeEach(async () => {
+    vi.spyOn(console, "warn").mockImplementation(() => {});
+    store = createStore({ reorgDepth: 12 });
+    // Bob is funded at 5 and strikes at 6; Carol is funded at 7 and strikes at 8.
+    fake = createFakeChain(11, {
+      3: [s3],
+      5: [transfer(FUNDER, BOB)],
+      6: [s6],
+      7: [transfer(FUNDER, CAROL)],
+      8: [s8],
+    });
+    removed = [];
+    indexer = createIndexer({
+      chains: { base: chain },
+      store,
+      connect: () => fake.provider,
+      onRemoved: (key, strikes) => removed.push(...strikes),
+    });
+    await indexer.tick("base");
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it("indexes the initial chain", () => {
+    expect(store.getCursor("base")).toBe(10);
+    expect(hashes(store.strikesFor("base"))).toEqual(hashes([s3, s6, s8]));
+    expect(store.funderOf("base", BOB)).toBe(FUNDER);
+    expect(store.funderOf("base", CAROL)).toBe(FUNDER);
+    expect(store.getBlockHash("base", 10)).toBe("0xa10");
+  });
+
+  it("drops strikes, funders and block hashes at or above the rewind point", () => {
+    const dropped = store.rewind("base", 7);
+    expect(hashes(dropped)).toEqual(hashes([s8]));
+    expect(store.getCursor("base")).toBe(6);
+    expect(hashes(store.strikesFor("base"))).toEqual(hashes([s3, s6]));
+    expect(store.funderOf("base", BOB)).toBe(FUNDER);
+    expect(store.funderOf("base", CAROL)).toBeNull();
+    expect(store.getBlockHash("base", 6)).toBe("0xa6");
+    expect(store.getBlockHash("base", 7)).toBeNull();
+  });
+
+  it("rewinds to the fork and re-indexes the new branch", async () => {
+    // From block 7 on a new branch: Carol is funded by someone else and strikes
+    // at 9 instead of 8, and Alice strikes again at 12.
+    const s9 = strike(CAROL);
+    const s12 = strike(ALICE);
+    fake.fork(7, 6, { 7: [transfer(OTHER_FUNDER, CAROL)], 9: [s9], 12: [s12] });
+
+    await indexer.tick("base");
+
+    expect(hashes(removed)).toEqual(hashes([s8]));
+    expect(store.getCursor("base")).toBe(12);
+    expect(hashes(store.strikesFor("base"))).toEqual(hashes([s3, s6, s9, s12]));
+    expect(store.strikesFor("base").find((s) => s.hash === s9.hash)).toMatchObject({ blockNumber: 9, blockHash: "0xb9" });
+    expect(store.funderOf("base", BOB)).toBe(FUNDER);
+    expect(store.funderOf("base", CAROL)).toBe(OTHER_FUNDER);
+    expect(store.getBlockHash("base", 6)).toBe("0xa6");
+    for (let n = 7; n <= 12; n++) expect(store.getBlockHash("base", n)).toBe(`0xb${n}`);
+  });
+
+  it("forgets funding seen only on the orphaned branch", async () => {
+    // Carol's funding transfer is gone on the new branch but she still strikes.
+    const s9 = strike(CAROL);
+    fake.fork(7, 4, { 9: [s9] });
+
+    await indexer.tick("base");
+
+    expect(hashes(store.strikesFor("base"))).toEqual(hashes([s3, s6, s9]));
+    expect(store.funderOf("base", CAROL)).toBeNull();
+  });
+
+  it("leaves the index alone when the recorded hashes still match", async () => {
+    fake.extend(2, { 11: [strike(BOB)] });
+    await indexer.tick("base");
+
+    expect(removed).toEqual([]);
+    expect(store.getCursor("base")).toBe(12);
+    expect(store.strikesFor("base")).toHaveLength(4);
+  });
+
+  it("keeps strikes past the end of a bounded backfill", async () => {
+    const last = await indexer.backfill("base", 5, 6);
+
+    expect(last).toBe(10);
+    expect(hashes(store.strikesFor("base"))).toEqual(hashes([s3, s6, s8]));
+    expect(store.funderOf("base", CAROL)).toBe(FUNDER);
+  });
+});
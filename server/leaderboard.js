@@ -0,0 +1,209 @@
+// Aggregates raw strikes into standings, per chain or across every chain
+// ("all"), optionally within a time range. Wallets linked to the same FID are
+// merged into one entry (walletCount > 1). Entries carry the sybil flags of
+// their wallets (see sybil.js).
+
+const { detectSybils, flagRows } = require("./sybil");
+
+const ALL_CHAINS = "all";
+
+const DEFAULT_PAGE_SIZE = 25;
+const MAX_PAGE_SIZE = 100;
+
+function groupKey(store, address) {
+  const fid = store.fidForAddress(address);
+  return fid !== null ? `fid:${fid}` : `addr:${address}`;
+}
+
+// Strikes for one chain or all of them, with `from` / `to` (unix seconds,
+// `to` exclusive) applied when set.
+function scopedStrikes(store, chainKeys, scope, { from = null, to = null } = {}) {
+  const keys = scope === ALL_CHAINS ? chainKeys : [scope];
+  const out = [];
+  for (const key of keys) {
+    for (const s of store.strikesFor(key)) {
+      if (from !== null && s.timestamp < from) continue;
+      if (to !== null && s.timestamp >= to) continue;
+      out.push(s);
+    }
+  }
+  return out;
+}
+
+function standings(store, strikes) {
+  const groups = new Map();
+  for (const s of strikes) {
+    const key = groupKey(store, s.from);
+    let g = groups.get(key);
+    if (!g) {
+      g = { fid: store.fidForAddress(s.from), wallets: new Map(), txCount: 0, firstAt: s.timestamp };
+      groups.set(key, g);
+    }
+    g.txCount++;
+    g.wallets.set(s.from, (g.wallets.get(s.from) || 0) + 1);
+    if (s.timestamp < g.firstAt) g.firstAt = s.timestamp;
+  }
+
+  // ties go to whoever got there first
+  return [...groups.values()]
+    .sort((a, b) => b.txCount - a.txCount || a.firstAt - b.firstAt)
+    .map((g, i) => ({
+      rank: i + 1,
+      fid: g.fid,
+      // the wallet that struck most represents the group
+      address: [...g.wallets.entries()].sort((a, b) => b[1] - a[1])[0][0],
+      addresses: [...g.wallets.keys()],
+      walletCount: g.wallets.size,
+      txCount: g.txCount,
+    }));
+}
+
+// Search by FID ("123"), address prefix ("0xab…") or username / display name.
+function matcher(q, users) {
+  const needle = q.trim().toLowerCase().replace(/^@/, "");
+  if (!needle) return null;
+  if (/^\d+$/.test(needle)) return (row) => row.fid === Number(needle);
+  if (needle.startsWith("0x")) return (row) => row.addresses.some((a) => a.startsWith(needle));
+  return (row) => {
+    const u = row.fid !== null ? users.get(row.fid) : null;
+    return !!u && [u.username, u.displayName].some((v) => v && v.toLowerCase().includes(needle));
+  };
+}
+
+const isUsernameSearch = (q) => !!q && !/^\d+$/.test(q.trim()) && !q.trim().toLowerCase().startsWith("0x");
+
+function present(row, users) {
+  const user = row.fid !== null ? users.get(row.fid) : null;
+  const { addresses, ...rest } = row;
+  return { ...rest, username: user?.username || null, pfpUrl: user?.pfpUrl || null };
+}
+
+// The row for a player identified by FID or wallet (a linked wallet resolves to its FID).
+function findRow(store, rows, { fid, address }) {
+  const f = fid ?? (address ? store.fidForAddress(address) : null);
+  if (f !== null && f !== undefined) return rows.find((r) => r.fid === Number(f)) || null;
+  const a = address?.toLowerCase();
+  return (a && rows.find((r) => r.fid === null && r.address === a)) || null;
+}
+
+function clampPage({ offset, limit }) {
+  const o = Number.parseInt(offset, 10);
+  const l = Number.parseInt(limit, 10);
+  return {
+    offset: Number.isFinite(o) && o > 0 ? o : 0,
+    limit: Number.isFinite(l) && l > 0 ? Math.min(l, MAX_PAGE_SIZE) : DEFAULT_PAGE_SIZE,
+  };
+}
+
+// All-time standings for a scope, rebuilt only when the store's revision
+// moves (a strike, reorg or link); boards, profile ranks and share cards all
+// read these instead of re-aggregating every strike per request.
+const allTimeCache = new WeakMap(); // store -> Map(scope -> { revision, rows })
+
+function allTimeStandings(store, chainKeys, scope) {
+  if (!allTimeCache.has(store)) allTimeCache.set(store, new Map());
+  const cache = allTimeCache.get(store);
+  const hit = cache.get(scope);
+  if (hit && hit.revision === store.revision()) return hit.rows;
+  const rows = standings(store, scopedStrikes(store, chainKeys, scope));
+  cache.set(scope, { revision: store.revision(), rows });
+  return rows;
+}
+
+// Standings for a scope and range. An ended season's standings are frozen the
+// first time they are asked for once the index has passed the season's end,
+// so later wallet links don't rewrite history.
+function rangedStandings(store, chainKeys, scope, range, season) {
+  if (range.from === null && range.to === null) return allTimeStandings(store, chainKeys, scope);
+  const keys = scope === ALL_CHAINS ? chainKeys : [scope];
+  const indexedPastEnd = keys.every((k) => (store.getCursorTime(k) ?? 0) >= range.to);
+  if (season?.status !== "ended" || !indexedPastEnd) {
+    return standings(store, scopedStrikes(store, chainKeys, scope, range));
+  }
+
+  const key = `${scope}:season:${season.id}`;
+  let rows = store.getSnapshot(key);
+  if (!rows) {
+    rows = standings(store, scopedStrikes(store, chainKeys, scope, range));
+    store.saveSnapshot(key, rows);
+  }
+  return rows;
+}
+
+// One page of already-computed standings: { total, offset, limit, entries, me }
+// `total` counts players matching `q` (all players without one). `me` is the
+// requesting player's own row plus `gapToNext`: strikes needed to pass the rank above.
+async function standingsPage({ store, farcaster }, rows, { offset, limit, q = "", fid, address } = {}) {
+  const page = clampPage({ offset, limit });
+
+  const users = isUsernameSearch(q)
+    ? await farcaster.getUsers(rows.filter((r) => r.fid !== null).map((r) => r.fid))
+    : new Map();
+
+  const match = matcher(q, users);
+  const filtered = match ? rows.filter(match) : rows;
+  const slice = filtered.slice(page.offset, page.offset + page.limit);
+
+  const mine = fid || address ? findRow(store, rows, { fid, address }) : null;
+  const wanted = [...slice, mine].filter((r) => r && r.fid !== null && !users.has(r.fid)).map((r) => r.fid);
+  for (const [k, v] of await farcaster.getUsers(wanted)) users.set(k, v);
+
+  let me = null;
+  if (mine) {
+    const above = mine.rank > 1 ? rows[mine.rank - 2] : null;
+    me = { ...present(mine, users), gapToNext: above ? above.txCount - mine.txCount + 1 : null };
+  }
+
+  return {
+    total: filtered.length,
+    offset: page.offset,
+    limit: page.limit,
+    entries: slice.map((r) => present(r, users)),
+    me,
+  };
+}
+
+// Standings rows with `flagged` / `flags` from the scope's strikes in `range`.
+function flaggedStandings(store, chainKeys, scope, range, season, rules) {
+  const rows = rangedStandings(store, chainKeys, scope, range, season);
+  const flags = detectSybils(
+    scopedStrikes(store, chainKeys, scope, range),
+    { fidForAddress: (a) => store.fidForAddress(a), funderOf: (chain, a) => store.funderOf(chain, a) },
+    rules
+  );
+  return flagRows(rows, flags);
+}
+
+// One page of standings for a chain key or "all": { chain, verified, ...standingsPage }
+// With `verified` flagged players are left out and the rest re-ranked.
+async function leaderboardPage(ctx, scope, { range, season = null, rules, verified = false, ...query } = {}) {
+  let rows = flaggedStandings(ctx.store, Object.keys(ctx.chains), scope, range, season, rules);
+  if (verified) rows = rows.filter((r) => !r.flagged).map((r, i) => ({ ...r, rank: i + 1 }));
+  return { chain: scope, verified, ...(await standingsPage(ctx, rows, query)) };
+}
+
+// A player's all-time row on one chain, or null.
+function rowOf(store, chainKey, who) {
+  return findRow(store, allTimeStandings(store, [chainKey], chainKey), who);
+}
+
+function rankOf(store, chainKey, who) {
+  return rowOf(store, chainKey, who)?.rank ?? null;
+}
+
+module.exports = {
+  ALL_CHAINS,
+  groupKey,
+  standings,
+  scopedStrikes,
+  allTimeStandings,
+  rangedStandings,
+  flaggedStandings,
+  findRow,
+  present,
+  clampPage,
+  standingsPage,
+  leaderboardPage,
+  rowOf,
+  rankOf,
+};
@@ -0,0 +1,130 @@
+const { ALL_CHAINS, standings, scopedStrikes } = require("./leaderboard");
+
+// Server-Sent Events hub. The indexer reports new / dropped strikes here; every
+// connected client gets:
+//   strike   { chain, hash, from, fid, name, timestamp }
+//   overtake { chain, rank, player: { fid, address, name }, overtaken: { … } }
+//   ranks    { chains: [...] }  — standings changed, refetch those boards
+// Overtakes are found by diffing the top of each board before and after a batch,
+// and are also handed to `onOvertake` (notifications) whether or not anyone is
+// connected.
+
+const HEARTBEAT_MS = 25 * 1000;
+const WATCHED_RANKS = 100;
+const MAX_OVERTAKES_PER_BATCH = 5;
+
+const shortAddr = (a) => `${a.slice(0, 6)}…${a.slice(-4)}`;
+const rowKey = (r) => (r.fid !== null ? `fid:${r.fid}` : `addr:${r.address}`);
+
+function createLive({ store, farcaster, chains, onOvertake = () => {} }) {
+  const clients = new Set();
+  const chainKeys = Object.keys(chains);
+  let nextId = 1;
+  let heartbeat = null;
+
+  const top = (scope) => standings(store, scopedStrikes(store, chainKeys, scope)).slice(0, WATCHED_RANKS);
+  // scope -> top rows as of the last broadcast
+  const lastTop = {};
+  for (const scope of [ALL_CHAINS, ...chainKeys]) lastTop[scope] = top(scope);
+
+  const nameOf = async ({ fid, address }) => {
+    const user = fid !== null && fid !== undefined ? await farcaster.getUser(fid) : null;
+    return user?.username ? `@${user.username}` : shortAddr(address);
+  };
+
+  const send = (event, data) => {
+    const frame = `id: ${nextId++}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+    for (const res of clients) res.write(frame);
+  };
+
+  const player = async (row) => ({ fid: row.fid, address: row.address, name: await nameOf(row) });
+
+  const diffRanks = async (scope) => {
+    const before = lastTop[scope];
+    const after = top(scope);
+    lastTop[scope] = after;
+
+    const prevRank = new Map(before.map((r) => [rowKey(r), r.rank]));
+    const events = [];
+    for (const row of after) {
+      const was = prevRank.get(rowKey(row)) ?? Infinity;
+      if (row.rank >= was) continue;
+      // whoever held this rank before has been pushed down by `row`
+      const displaced = before[row.rank - 1];
+      if (!displaced || rowKey(displaced) === rowKey(row)) continue;
+      events.push({ chain: scope, rank: row.rank, player: await player(row), overtaken: await player(displaced) });
+      if (events.length >= MAX_OVERTAKES_PER_BATCH) break;
+    }
+    return events;
+  };
+
+  const ranksChanged = async (chainKey) => {
+    for (const scope of [chainKey, ALL_CHAINS]) {
+      for (const e of await diffRanks(scope)) {
+        send("overtake", e);
+        await onOvertake(e);
+      }
+    }
+    send("ranks", { chains: [chainKey, ALL_CHAINS] });
+  };
+
+  return {
+    // Express handler for GET /api/live
+    handler(req, res) {
+      res.set({
+        "Content-Type": "text/event-stream",
+        "Cache-Control": "no-cache",
+        Connection: "keep-alive",
+        "X-Accel-Buffering": "no",
+      });
+      res.flushHeaders();
+      res.write("retry: 5000\n\n");
+
+      clients.add(res);
+      if (!heartbeat) heartbeat = setInterval(() => clients.forEach((c) => c.write(": ping\n\n")), HEARTBEAT_MS);
+
+      req.on("close", () => {
+        clients.delete(res);
+        if (!clients.size) {
+          clearInterval(heartbeat);
+          heartbeat = null;
+        }
+      });
+    },
+
+    async onStrikes(chainKey, strikes) {
+      try {
+        for (const s of strikes) {
+          const fid = store.fidForAddress(s.from);
+          send("strike", {
+            chain: chainKey,
+            hash: s.hash,
+            from: s.from,
+            fid,
+            name: await nameOf({ fid, address: s.from }),
+            timestamp: s.timestamp,
+          });
+        }
+        await ranksChanged(chainKey);
+      } catch (err) {
+        console.error("[live]", err.message);
+      }
+    },
+
+    async onRemoved(chainKey) {
+      try {
+        await ranksChanged(chainKey);
+      } catch (err) {
+        console.error("[live]", err.message);
+      }
+    },
+
+    close() {
+      clearInterval(heartbeat);
+      for (const res of clients) res.end();
+      clients.clear();
+    },
+  };
+}
+
+module.exports = { createLive };
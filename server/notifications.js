@@ -0,0 +1,206 @@
+const { ALL_CHAINS, rangedStandings, findRow } = require("./leaderboard");
+const { loadSeasons, publicSeason } = require("./seasons");
+const { rankFor } = require("./ranks");
+const { config } = require("./config");
+
+// node-fetch v3 is ESM-only
+const fetch = (...args) => import("node-fetch").then(({ default: f }) => f(...args));
+
+// Miniapp notifications. Farcaster clients hand us a token and a notification
+// server URL per FID (see routes/notifications.js); we notify on:
+//   rankUp     — a strike lifts the player to a new rank (ranks.json)
+//   overtaken  — someone takes the player's place on a board (from live.js)
+//   seasonEnd  — a season's final standings are in
+// Each kind can be switched off per FID. Delivery goes through a sender so it
+// can be swapped for logSender() locally.
+
+// Limits from the miniapp notification spec
+const MAX_TOKENS_PER_REQUEST = 100;
+const MAX_TITLE = 32;
+const MAX_BODY = 128;
+
+// Being overtaken again and again in a busy minute shouldn't buzz a phone each time.
+const OVERTAKE_COOLDOWN_MS = 10 * 60 * 1000;
+const SEASON_CHECK_MS = 60 * 1000;
+// A season that ended longer ago than this (say, before a deploy) is not announced.
+const SEASON_NOTIFY_WINDOW_MS = 3 * 24 * 60 * 60 * 1000;
+
+const clip = (s, max) => (s.length > max ? `${s.slice(0, max - 1)}…` : s);
+
+// Only https URLs on a known client host are ever posted to.
+function isNotificationUrl(url, hosts = config.notificationHosts) {
+  try {
+    const u = new URL(url);
+    return u.protocol === "https:" && hosts.includes(u.host);
+  } catch {
+    return false;
+  }
+}
+
+// Posts to the client's notification server; returns the tokens it rejected.
+function httpSender() {
+  return {
+    async send(url, notification) {
+      if (!isNotificationUrl(url)) throw new Error(`Refusing notification URL ${url}`);
+      const res = await fetch(url, {
+        method: "POST",
+        headers: { "content-type": "application/json" },
+        body: JSON.stringify(notification),
+      });
+      if (!res.ok) throw new Error(`Notification server ${res.status}`);
+      const { result } = await res.json();
+      return { invalidTokens: result?.invalidTokens || [] };
+    },
+  };
+}
+
+// Keeps the latest notifications in memory (newest first) instead of delivering them.
+function logSender({ max = 100 } = {}) {
+  const outbox = [];
+  return {
+    outbox,
+    async send(url, notification) {
+      console.log(`[notify] ${notification.tokens.length} token(s): ${notification.title} — ${notification.body}`);
+      outbox.unshift({ url, ...notification, sentAt: new Date().toISOString() });
+      outbox.length = Math.min(outbox.length, max);
+      return { invalidTokens: [] };
+    },
+  };
+}
+
+// appUrl: the frontend; notifications open it (it must be the miniapp's domain).
+function createNotifications({ store, chains, sender, appUrl }) {
+  const chainKeys = Object.keys(chains);
+  const lastOvertaken = new Map(); // fid -> at
+  let seasonTimer = null;
+
+  // Sends to every token the FID has unless it opted out of `kind`. Returns
+  // how many tokens it went to.
+  const notify = async (fid, kind, { id, title, body, path = "" }) => {
+    if (!store.getNotificationPrefs(fid)[kind]) return 0;
+
+    const byUrl = new Map();
+    for (const t of store.notificationTokens(fid)) {
+      if (!byUrl.has(t.url)) byUrl.set(t.url, []);
+      byUrl.get(t.url).push(t.token);
+    }
+
+    let sent = 0;
+    for (const [url, tokens] of byUrl) {
+      for (let i = 0; i < tokens.length; i += MAX_TOKENS_PER_REQUEST) {
+        const chunk = tokens.slice(i, i + MAX_TOKENS_PER_REQUEST);
+        try {
+          const { invalidTokens } = await sender.send(url, {
+            notificationId: id,
+            title: clip(title, MAX_TITLE),
+            body: clip(body, MAX_BODY),
+            targetUrl: `${appUrl}${path}`,
+            tokens: chunk,
+          });
+          if (invalidTokens.length) store.dropNotificationTokens(invalidTokens);
+          sent += chunk.length;
+        } catch (err) {
+          console.error("[notify]", err.message);
+        }
+      }
+    }
+    return sent;
+  };
+
+  const totalFor = (fid) =>
+    store.addressesForFid(fid).reduce((n, a) => n + chainKeys.reduce((m, k) => m + store.countFor(k, a), 0), 0);
+
+  const checkSeasons = async (now = Date.now()) => {
+    for (const s of loadSeasons()) {
+      const season = publicSeason(s, now);
+      if (season.status !== "ended" || now - s.end > SEASON_NOTIFY_WINDOW_MS) continue;
+      const range = { from: s.start / 1000, to: s.end / 1000 };
+      // wait until every chain is indexed past the end, so the standings are final
+      if (!chainKeys.every((k) => (store.getCursorTime(k) ?? 0) >= range.to)) continue;
+      if (!store.markNotified(`season:${s.id}`)) continue;
+
+      const rows = rangedStandings(store, chainKeys, ALL_CHAINS, range, season);
+      for (const fid of store.notifiableFids()) {
+        const row = findRow(store, rows, { fid });
+        await notify(fid, "seasonEnd", {
+          id: `season-end-${s.id}`,
+          path: "/leaderboard",
+          title: `${s.name} is over`,
+          body: row
+            ? `You finished #${row.rank} with ${row.txCount} strike${row.txCount === 1 ? "" : "s"}.`
+            : "The final standings are in. A new war begins.",
+        });
+      }
+    }
+  };
+
+  return {
+    notify,
+    checkSeasons,
+
+    // A verified webhook event (see webhook.js).
+    handleEvent({ fid, appKey, event, notificationDetails }) {
+      if ((event === "miniapp_added" || event === "notifications_enabled") && notificationDetails) {
+        store.saveNotificationToken(fid, appKey, notificationDetails);
+      } else if (event === "miniapp_removed" || event === "notifications_disabled") {
+        store.removeNotificationToken(fid, appKey);
+      }
+    },
+
+    // Rank-ups: each striker's total before and after the batch.
+    async onStrikes(chainKey, strikes) {
+      try {
+        const batch = new Map(); // fid -> strikes in this batch
+        for (const s of strikes) {
+          const fid = store.fidForAddress(s.from);
+          if (fid !== null) batch.set(fid, (batch.get(fid) || 0) + 1);
+        }
+        for (const [fid, n] of batch) {
+          if (!store.notificationTokens(fid).length) continue;
+          const total = totalFor(fid);
+          const before = rankFor(total - n);
+          const after = rankFor(total);
+          if (after.min <= before.min) continue;
+          await notify(fid, "rankUp", {
+            id: `rank-up-${after.min}`,
+            path: `/p/${fid}`,
+            title: `You're now a ${after.name}!`,
+            body: `${total} strikes and counting. Keep climbing.`,
+          });
+        }
+      } catch (err) {
+        console.error("[notify]", err.message);
+      }
+    },
+
+    // An overtake event from live.js.
+    async onOvertake({ chain, rank, player, overtaken }) {
+      const fid = overtaken.fid;
+      if (fid === null || fid === undefined || !store.notificationTokens(fid).length) return;
+      const now = Date.now();
+      if (now - (lastOvertaken.get(fid) || 0) < OVERTAKE_COOLDOWN_MS) return;
+      lastOvertaken.set(fid, now);
+
+      const where = chain === ALL_CHAINS ? "overall" : `on ${chains[chain]?.name || chain}`;
+      await notify(fid, "overtaken", {
+        id: `overtaken-${chain}-${rank}-${Math.floor(now / OVERTAKE_COOLDOWN_MS)}`,
+        path: "/leaderboard",
+        title: "You've been overtaken",
+        body: `${player.name} took #${rank} ${where}. Strike back!`,
+      });
+    },
+
+    start() {
+      const tick = () => checkSeasons().catch((err) => console.error("[notify]", err.message));
+      tick();
+      seasonTimer = setInterval(tick, SEASON_CHECK_MS);
+    },
+
+    stop() {
+      clearInterval(seasonTimer);
+      seasonTimer = null;
+    },
+  };
+}
+
+module.exports = { createNotifications, httpSender, logSender, isNotificationUrl };
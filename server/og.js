@@ -0,0 +1,198 @@
+const path = require("path");
+const dns = require("dns");
+const https = require("https");
+const net = require("net");
+const { Resvg } = require("@resvg/resvg-js");
+const { config } = require("./config");
+
+// Share cards rendered in-process: an SVG template rasterised to PNG by resvg
+// with bundled DejaVu fonts, so nothing depends on an image service or on the
+// fonts installed on the host. The player's pfp is fetched and inlined.
+//
+// pfp URLs are player-controlled, so the fetch only goes to https hosts on
+// public addresses and follows no redirects; anything else renders the
+// initial instead.
+
+// node-fetch v3 is ESM-only
+const fetch = (...args) => import("node-fetch").then(({ default: f }) => f(...args));
+
+const FONT_DIR = path.join(path.dirname(require.resolve("dejavu-fonts-ttf/package.json")), "ttf");
+const FONT = {
+  fontFiles: [path.join(FONT_DIR, "DejaVuSans.ttf"), path.join(FONT_DIR, "DejaVuSans-Bold.ttf")],
+  loadSystemFonts: false,
+  defaultFontFamily: "DejaVu Sans",
+};
+
+// Farcaster embeds are 3:2.
+const WIDTH = 1200;
+const HEIGHT = 800;
+
+// Hex versions of the Tailwind theme colours in src/chains.js.
+const THEME_COLORS = {
+  blue: { text: "#93c5fd", border: "#1d4ed8" },
+  green: { text: "#86efac", border: "#15803d" },
+  purple: { text: "#d8b4fe", border: "#7e22ce" },
+  orange: { text: "#fdba74", border: "#c2410c" },
+  red: { text: "#fca5a5", border: "#b91c1c" },
+};
+
+const PFP_TYPES = ["image/png", "image/jpeg", "image/gif", "image/webp"];
+const PFP_MAX_BYTES = 2 * 1024 * 1024;
+const PFP_TIMEOUT_MS = 3000;
+const PFP_CACHE_SIZE = 500;
+
+// Loopback, private, link-local, CGNAT, multicast and reserved ranges. IPv4-mapped
+// IPv6 addresses (::ffff:a.b.c.d) are checked against the IPv4 rules.
+const BLOCKED = new net.BlockList();
+for (const [prefix, bits] of [
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["224.0.0.0", 4],
+  ["240.0.0.0", 4],
+]) {
+  BLOCKED.addSubnet(prefix, bits, "ipv4");
+}
+for (const [prefix, bits] of [
+  ["::", 127], // unspecified and loopback
+  ["64:ff9b::", 96], // NAT64
+  ["fc00::", 7],
+  ["fe80::", 10],
+  ["ff00::", 8],
+]) {
+  BLOCKED.addSubnet(prefix, bits, "ipv6");
+}
+
+function isPublicAddress(address) {
+  const family = net.isIP(address);
+  return family !== 0 && !BLOCKED.check(address, family === 4 ? "ipv4" : "ipv6");
+}
+
+// dns.lookup for the pfp agent, failing when any address the host resolves to
+// isn't public. Checked at connect time, so a host can't pass a check and then
+// resolve elsewhere.
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+    const refused = addresses.find((a) => !isPublicAddress(a.address));
+    if (refused || !addresses.length) {
+      const reason = new Error(`${hostname} resolves to ${refused ? refused.address : "nothing"}, not a public address`);
+      return callback(Object.assign(reason, { code: "EADDRNOTPUBLIC" }));
+    }
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+const pfpAgent = new https.Agent({ lookup: publicLookup });
+
+// Whether `url` may be fetched as a pfp: https, and an IP literal (which skips
+// the lookup) must be public.
+function isPfpUrl(url) {
+  let u;
+  try {
+    u = new URL(url);
+  } catch {
+    return false;
+  }
+  if (u.protocol !== "https:" || u.username || u.password) return false;
+  const host = u.hostname.replace(/^\[|\]$/g, "");
+  return !net.isIP(host) || isPublicAddress(host);
+}
+
+const escapeXml = (s) =>
+  String(s).replace(/[&<>"']/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&apos;" })[c]);
+
+const clip = (s, max) => (s.length > max ? `${s.slice(0, max - 1)}…` : s);
+
+function toPng(svg) {
+  return new Resvg(svg, { font: FONT }).render().asPng();
+}
+
+function createOg() {
+  const pfps = new Map(); // url -> { at, dataUri }
+
+  // The pfp as a data: URI, or null when it can't be fetched or isn't an image.
+  const pfpDataUri = async (url) => {
+    if (!url || !isPfpUrl(url)) return null;
+    const hit = pfps.get(url);
+    if (hit && Date.now() - hit.at < config.identityTtlMs) return hit.dataUri;
+
+    let dataUri = null;
+    try {
+      const ctrl = new AbortController();
+      const timer = setTimeout(() => ctrl.abort(), PFP_TIMEOUT_MS);
+      // a redirect comes back as a non-ok response rather than being followed
+      const res = await fetch(url, { signal: ctrl.signal, size: PFP_MAX_BYTES, agent: pfpAgent, redirect: "manual" });
+      clearTimeout(timer);
+      const type = (res.headers.get("content-type") || "").split(";")[0].trim();
+      if (res.ok && PFP_TYPES.includes(type)) {
+        dataUri = `data:${type};base64,${Buffer.from(await res.arrayBuffer()).toString("base64")}`;
+      }
+    } catch {}
+
+    if (pfps.size >= PFP_CACHE_SIZE) pfps.delete(pfps.keys().next().value);
+    pfps.set(url, { at: Date.now(), dataUri });
+    return dataUri;
+  };
+
+  // player: { displayName, username, pfpUrl, rank: { name, color }, total,
+  //           counts: [{ name, theme, count }] }
+  const renderCard = async (player) => {
+    const pfp = await pfpDataUri(player.pfpUrl);
+    const initial = escapeXml((player.displayName || "?").slice(0, 1).toUpperCase());
+
+    const gap = 24;
+    const boxWidth = (WIDTH - 160 - gap * (player.counts.length - 1)) / Math.max(player.counts.length, 1);
+    const boxes = player.counts
+      .map((c, i) => {
+        const x = 80 + i * (boxWidth + gap);
+        const color = THEME_COLORS[c.theme] || THEME_COLORS.blue;
+        return `
+    <rect x="${x}" y="470" width="${boxWidth}" height="200" rx="24" fill="#000" stroke="${color.border}" stroke-width="3"/>
+    <text x="${x + 32}" y="528" font-size="32" fill="#9ca3af">${escapeXml(clip(c.name, 20))} strikes</text>
+    <text x="${x + 32}" y="630" font-size="96" font-weight="bold" fill="${color.text}">${c.count}</text>`;
+      })
+      .join("");
+
+    const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${WIDTH}" height="${HEIGHT}" viewBox="0 0 ${WIDTH} ${HEIGHT}">
+    <defs><clipPath id="pfp"><circle cx="190" cy="290" r="110"/></clipPath></defs>
+    <rect width="${WIDTH}" height="${HEIGHT}" fill="#030712"/>
+    <rect x="24" y="24" width="${WIDTH - 48}" height="${HEIGHT - 48}" rx="32" fill="none" stroke="#1f2937" stroke-width="3"/>
+    <text x="80" y="120" font-size="44" font-weight="bold" fill="#f3f4f6">ChainWarZ</text>
+    <text x="${WIDTH - 80}" y="120" font-size="32" fill="#6b7280" text-anchor="end">${player.total} strikes</text>
+    ${
+      pfp
+        ? `<image href="${pfp}" x="80" y="180" width="220" height="220" clip-path="url(#pfp)" preserveAspectRatio="xMidYMid slice"/>`
+        : `<circle cx="190" cy="290" r="110" fill="#111827"/><text x="190" y="322" font-size="96" font-weight="bold" fill="#9ca3af" text-anchor="middle">${initial}</text>`
+    }
+    <circle cx="190" cy="290" r="110" fill="none" stroke="#374151" stroke-width="4"/>
+    <text x="340" y="260" font-size="64" font-weight="bold" fill="#f9fafb">${escapeXml(clip(player.displayName, 24))}</text>
+    ${player.username ? `<text x="340" y="312" font-size="34" fill="#9ca3af">@${escapeXml(clip(player.username, 32))}</text>` : ""}
+    <text x="340" y="380" font-size="48" font-weight="bold" fill="${player.rank.color}">${escapeXml(player.rank.name)}</text>
+    ${boxes}
+    <text x="80" y="740" font-size="28" fill="#6b7280">Battle for supremacy across chains</text>
+</svg>`;
+    return toPng(svg);
+  };
+
+  // 200×200 splash shown while the miniapp launches.
+  let splash = null;
+  const renderSplash = () =>
+    splash ||
+    (splash = toPng(`<svg xmlns="http://www.w3.org/2000/svg" width="200" height="200" viewBox="0 0 200 200">
+    <rect width="200" height="200" fill="#000"/>
+    <path d="M100 28 L160 52 V100 C160 136 134 160 100 174 C66 160 40 136 40 100 V52 Z" fill="none" stroke="#d1d5db" stroke-width="8"/>
+    <text x="100" y="118" font-size="44" font-weight="bold" fill="#f9fafb" text-anchor="middle">CW</text>
+</svg>`));
+
+  return { renderCard, renderSplash };
+}
+
+module.exports = { createOg, escapeXml, isPfpUrl, publicLookup };
@@ -0,0 +1,10 @@
+// The rank ladder shared with the frontend (ranks.json): a player's rank
+// follows their total strikes across every chain.
+const RANKS = require("../ranks.json");
+
+function rankFor(totalStrikes) {
+  for (let i = RANKS.length - 1; i >= 0; i--) if (totalStrikes >= RANKS[i].min) return RANKS[i];
+  return RANKS[0];
+}
+
+module.exports = { RANKS, rankFor };
@@ -0,0 +1,38 @@
+// Per-IP rate limiting with fixed windows, kept in memory (one process).
+// Behind a proxy set TRUST_PROXY so req.ip is the client rather than the proxy.
+// Responses carry RateLimit-Limit / -Remaining / -Reset; over the limit is a
+// 429 with Retry-After.
+
+function rateLimit({ windowMs, max, skip = () => false }) {
+  const hits = new Map(); // ip -> { count, resetAt }
+  let sweepAt = 0;
+
+  return (req, res, next) => {
+    if (max <= 0 || skip(req)) return next();
+
+    const now = Date.now();
+    if (now >= sweepAt) {
+      for (const [ip, h] of hits) if (h.resetAt <= now) hits.delete(ip);
+      sweepAt = now + windowMs;
+    }
+
+    let h = hits.get(req.ip);
+    if (!h || h.resetAt <= now) {
+      h = { count: 0, resetAt: now + windowMs };
+      hits.set(req.ip, h);
+    }
+    h.count++;
+
+    const reset = Math.ceil((h.resetAt - now) / 1000);
+    res.set("RateLimit-Limit", String(max));
+    res.set("RateLimit-Remaining", String(Math.max(0, max - h.count)));
+    res.set("RateLimit-Reset", String(reset));
+    if (h.count > max) {
+      res.set("Retry-After", String(reset));
+      return res.status(429).json({ error: "Too many requests, slow down." });
+    }
+    next();
+  };
+}
+
+module.exports = { rateLimit };
@@ -0,0 +1,30 @@
+const express = require("express");
+const { currentRegistry, publicChain } = require("../chains");
+const { allTimeStandings } = require("../leaderboard");
+const { sendJsonWithEtag } = require("../cache");
+
+function chainRoutes(ctx) {
+  const router = express.Router();
+  const { store, chains } = ctx;
+
+  router.get("/chains", (req, res) => {
+    const out = {};
+    for (const [key, chain] of Object.entries(currentRegistry())) out[key] = publicChain(chain);
+    res.json(out);
+  });
+
+  // Indexed strikes and players per chain, all time: { [key]: { strikes, players } }
+  router.get("/chains/stats", (req, res) => {
+    const chainKeys = Object.keys(chains);
+    const out = {};
+    for (const key of chainKeys) {
+      const rows = allTimeStandings(store, chainKeys, key);
+      out[key] = { strikes: rows.reduce((n, r) => n + r.txCount, 0), players: rows.length };
+    }
+    sendJsonWithEtag(req, res, out);
+  });
+
+  return router;
+}
+
+module.exports = { chainRoutes };
@@ -0,0 +1,108 @@
+const express = require("express");
+const { loadSeasons, resolveWindow, WindowError } = require("../seasons");
+const { standingsPage } = require("../leaderboard");
+const { verifySiwe, SiweError } = require("../siwe");
+const { SWITCH_COOLDOWN_MS, loadFactions, memberKey, membership, factionStandings, warScore } = require("../factions");
+
+function pledgeStatement(faction) {
+  return `Pledge to the ${faction.name} faction on ChainWarZ.`;
+}
+
+function factionRoutes(ctx) {
+  const router = express.Router();
+  const { store, chains, auth, config } = ctx;
+
+  const scopeOf = (req, res) => {
+    try {
+      return resolveWindow({ window: req.query.window, season: req.query.season }, loadSeasons());
+    } catch (err) {
+      if (err instanceof WindowError) {
+        res.status(400).json({ error: err.message });
+        return null;
+      }
+      throw err;
+    }
+  };
+
+  const whoOf = (query) => ({
+    fid: /^\d+$/.test(query.fid || "") ? Number(query.fid) : null,
+    address: typeof query.address === "string" ? query.address : null,
+  });
+
+  // War score per faction. ?window / ?season as on the leaderboard; ?fid or
+  // ?address adds `me`: that player's pledge.
+  router.get("/factions", async (req, res, next) => {
+    try {
+      const scope = scopeOf(req, res);
+      if (!scope) return;
+      const who = whoOf(req.query);
+      const war = await warScore(ctx, loadFactions(chains), scope.range);
+      const me = who.fid !== null || who.address ? membership(store, who) : null;
+      res.json({ ...war, me, window: scope.window, season: scope.season });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  router.get("/factions/:faction/leaderboard", async (req, res, next) => {
+    try {
+      const faction = loadFactions(chains).find((f) => f.key === req.params.faction);
+      if (!faction) return res.status(404).json({ error: `Unknown faction: ${req.params.faction}` });
+      const scope = scopeOf(req, res);
+      if (!scope) return;
+
+      const { offset, limit, q } = req.query;
+      const rows = factionStandings(store, chains, faction.key, scope.range);
+      const page = await standingsPage(ctx, rows, {
+        offset,
+        limit,
+        q: typeof q === "string" ? q.slice(0, 64) : "",
+        ...whoOf(req.query),
+      });
+      res.json({ faction: faction.key, ...page, window: scope.window, season: scope.season });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  // Pledge with an FID session (Authorization: Bearer), or with a SIWE message
+  // carrying pledgeStatement() from the wallet itself.
+  router.post("/factions/pledge", async (req, res, next) => {
+    try {
+      const { faction: key, message, signature } = req.body || {};
+      const faction = loadFactions(chains).find((f) => f.key === key);
+      if (!faction) return res.status(400).json({ error: `Unknown faction: ${key}` });
+
+      let who;
+      const session = auth.sessionFor(req);
+      if (session) {
+        who = { fid: session.fid };
+      } else {
+        const msg = verifySiwe(message, signature, { domains: config.siweDomains });
+        if (!auth.consumeNonce(msg.nonce)) throw new SiweError("Unknown or expired nonce");
+        if (msg.statement !== pledgeStatement(faction)) {
+          return res.status(400).json({ error: "Message does not pledge to this faction" });
+        }
+        who = { address: msg.address };
+      }
+
+      const member = memberKey(store, who);
+      const current = store.pledgeFor(member);
+      if (current?.faction === faction.key) return res.json({ member, ...membership(store, who) });
+      if (current && Date.now() < current.pledgedAt + SWITCH_COOLDOWN_MS) {
+        const until = new Date(current.pledgedAt + SWITCH_COOLDOWN_MS).toISOString();
+        return res.status(409).json({ error: `You can switch factions after ${until}` });
+      }
+
+      store.pledge(member, faction.key);
+      res.json({ member, ...membership(store, who) });
+    } catch (err) {
+      if (err instanceof SiweError) return res.status(401).json({ error: err.message });
+      next(err);
+    }
+  });
+
+  return router;
+}
+
+module.exports = { factionRoutes, pledgeStatement };
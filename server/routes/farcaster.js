@@ -0,0 +1,43 @@
+const express = require("express");
+const { parseFid } = require("./profile");
+const { sendJsonWithEtag } = require("../cache");
+
+// fnames are lowercase letters, digits and hyphens (up to 16); ENS names end in .eth.
+const USERNAME = /^(?:[a-z0-9][a-z0-9-]{0,15}|[a-z0-9][a-z0-9.-]*\.eth)$/;
+
+function farcasterRoutes(ctx) {
+  const router = express.Router();
+
+  // ?username=<fname> → the user, so lookups by name can go on to /profile/fid/:fid.
+  router.get("/farcaster/user", async (req, res, next) => {
+    try {
+      const username = String(req.query.username || "")
+        .trim()
+        .replace(/^@/, "")
+        .toLowerCase();
+      if (!USERNAME.test(username)) return res.status(400).json({ error: "Invalid username" });
+      if (!ctx.farcaster.enabled) return res.status(503).json({ error: "Farcaster lookups are not configured" });
+      const user = await ctx.farcaster.getUserByUsername(username);
+      if (!user) return res.status(404).json({ error: "User not found" });
+      res.json(user);
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  router.get("/farcaster/user/:fid", async (req, res, next) => {
+    try {
+      const fid = parseFid(req.params.fid);
+      if (fid === null) return res.status(400).json({ error: "Invalid fid" });
+      const user = await ctx.farcaster.getUser(fid);
+      if (!user) return res.status(404).json({ error: "User not found" });
+      sendJsonWithEtag(req, res, user);
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  return router;
+}
+
+module.exports = { farcasterRoutes };
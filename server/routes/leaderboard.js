@@ -0,0 +1,56 @@
+const express = require("express");
+const { ALL_CHAINS, leaderboardPage } = require("../leaderboard");
+const { loadSeasons, publicSeason, resolveWindow, WindowError } = require("../seasons");
+const { loadSybilRules } = require("../sybil");
+const { createSnapshotCache, sendSnapshot, sendJsonWithEtag } = require("../cache");
+
+function leaderboardRoutes(ctx) {
+  const router = express.Router();
+  const snapshots = createSnapshotCache({ store: ctx.store, ttlMs: ctx.config.leaderboardTtlMs });
+
+  router.get("/seasons", (req, res) => {
+    const now = Date.now();
+    sendJsonWithEtag(req, res, loadSeasons().map((s) => publicSeason(s, now)));
+  });
+
+  // :chain is a chain key or "all" (combined strikes across every chain).
+  // ?window=24h|7d|30d|all or ?season=<id> narrows the time range;
+  // ?verified=1 leaves out players the sybil rules flag.
+  router.get("/leaderboard/:chain", async (req, res, next) => {
+    try {
+      const { chain } = req.params;
+      if (chain !== ALL_CHAINS && !ctx.chains[chain]) return res.status(404).json({ error: `Unknown chain: ${chain}` });
+      const { offset, limit, q, fid, address, window, season, verified } = req.query;
+
+      let scope;
+      try {
+        scope = resolveWindow({ window, season }, loadSeasons());
+      } catch (err) {
+        if (err instanceof WindowError) return res.status(400).json({ error: err.message });
+        throw err;
+      }
+
+      const query = {
+        offset,
+        limit,
+        q: typeof q === "string" ? q.slice(0, 64) : "",
+        fid: /^\d+$/.test(fid || "") ? Number(fid) : null,
+        address: typeof address === "string" ? address.toLowerCase() : null,
+        verified: verified === "1" || verified === "true",
+      };
+      const key = JSON.stringify([chain, scope.window, scope.season?.id ?? null, query]);
+      const snapshot = await snapshots.get(key, async () => {
+        const rules = loadSybilRules();
+        const page = await leaderboardPage(ctx, chain, { ...query, rules, range: scope.range, season: scope.season });
+        return { ...page, window: scope.window, season: scope.season };
+      });
+      sendSnapshot(req, res, snapshot);
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  return router;
+}
+
+module.exports = { leaderboardRoutes };
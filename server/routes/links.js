@@ -0,0 +1,93 @@
+const express = require("express");
+const { isAddress } = require("ethers");
+const { verifySiwe, fidFromResources, SiweError } = require("../siwe");
+
+// Wallet linking. A player first proves control of an FID (Sign In With
+// Farcaster from the miniapp, or SIWE from a wallet already linked to it) and
+// gets a session; each extra wallet then signs a SIWE message naming that FID.
+
+function linkStatement(fid) {
+  return `Link this wallet to Farcaster FID ${fid} on ChainWarZ.`;
+}
+
+function linkRoutes(ctx) {
+  const router = express.Router();
+  const { store, farcaster, auth, config } = ctx;
+
+  const verify = (req) => {
+    const { message, signature } = req.body || {};
+    const parsed = verifySiwe(message, signature, { domains: config.siweDomains });
+    if (!auth.consumeNonce(parsed.nonce)) throw new SiweError("Unknown or expired nonce");
+    return parsed;
+  };
+
+  const handle = (fn) => async (req, res, next) => {
+    try {
+      await fn(req, res);
+    } catch (err) {
+      if (err instanceof SiweError) return res.status(401).json({ error: err.message });
+      next(err);
+    }
+  };
+
+  router.get("/auth/nonce", (req, res) => res.json({ nonce: auth.issueNonce() }));
+
+  // Sign In With Farcaster (sdk.actions.signIn): signed by the FID's custody
+  // address or one of its linked wallets.
+  router.post(
+    "/auth/farcaster",
+    handle(async (req, res) => {
+      const msg = verify(req);
+      const fid = fidFromResources(msg.resources);
+      if (!fid) return res.status(400).json({ error: "Message has no farcaster://fid resource" });
+
+      const user = await farcaster.getUser(fid);
+      const signers = new Set([user?.custodyAddress, ...store.addressesForFid(fid)].filter(Boolean));
+      if (!signers.has(msg.address)) return res.status(403).json({ error: "Signer does not control this FID" });
+
+      res.json(auth.createSession(fid));
+    })
+  );
+
+  // SIWE from a wallet that is already linked to an FID.
+  router.post(
+    "/auth/wallet",
+    handle(async (req, res) => {
+      const msg = verify(req);
+      const fid = store.fidForAddress(msg.address);
+      if (fid === null) return res.status(403).json({ error: "This wallet is not linked to a Farcaster account" });
+      res.json(auth.createSession(fid));
+    })
+  );
+
+  router.post(
+    "/links",
+    auth.requireSession,
+    handle(async (req, res) => {
+      const { fid } = req.session;
+      const msg = verify(req);
+      if (msg.statement !== linkStatement(fid) || fidFromResources(msg.resources) !== fid) {
+        return res.status(400).json({ error: "Message does not link to your FID" });
+      }
+
+      const current = store.fidForAddress(msg.address);
+      if (current !== null && current !== fid) {
+        return res.status(409).json({ error: `Wallet is linked to FID ${current}` });
+      }
+
+      store.linkAddress(msg.address, fid, "siwe");
+      res.json({ fid, links: store.linksForFid(fid) });
+    })
+  );
+
+  router.delete("/links/:address", auth.requireSession, (req, res) => {
+    const { fid } = req.session;
+    if (!isAddress(req.params.address)) return res.status(400).json({ error: "Invalid address" });
+    if (!store.unlinkAddress(req.params.address, fid)) return res.status(404).json({ error: "Wallet is not linked to your FID" });
+    res.json({ fid, links: store.linksForFid(fid) });
+  });
+
+  return router;
+}
+
+module.exports = { linkRoutes, linkStatement };
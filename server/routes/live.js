@@ -0,0 +1,12 @@
+const express = require("express");
+
+function liveRoutes(ctx) {
+  const router = express.Router();
+
+  // Server-Sent Events: strikes, overtakes and rank-change hints (see live.js).
+  router.get("/live", ctx.live.handler);
+
+  return router;
+}
+
+module.exports = { liveRoutes };
@@ -0,0 +1,54 @@
+const express = require("express");
+const { parseWebhookEvent, WebhookError } = require("../webhook");
+const { DEFAULT_NOTIFICATION_PREFS } = require("../store");
+
+function notificationRoutes(ctx) {
+  const router = express.Router();
+  const { store, auth, notifications, notifySender } = ctx;
+
+  // The miniapp manifest's webhookUrl: clients report adds / removes and
+  // notification tokens here.
+  router.post("/miniapp/webhook", async (req, res, next) => {
+    try {
+      const event = await parseWebhookEvent(req.body);
+      notifications.handleEvent(event);
+      res.json({ ok: true });
+    } catch (err) {
+      if (err instanceof WebhookError) return res.status(400).json({ error: err.message });
+      next(err);
+    }
+  });
+
+  const settings = (fid) => ({
+    fid,
+    enabled: store.notificationTokens(fid).length > 0,
+    prefs: store.getNotificationPrefs(fid),
+  });
+
+  router.get("/notifications/settings", auth.requireSession, (req, res) => {
+    res.json(settings(req.session.fid));
+  });
+
+  // Body: any of { rankUp, overtaken, seasonEnd } as booleans.
+  router.put("/notifications/settings", auth.requireSession, (req, res) => {
+    const prefs = {};
+    for (const key of Object.keys(DEFAULT_NOTIFICATION_PREFS)) {
+      const v = req.body?.[key];
+      if (v === undefined) continue;
+      if (typeof v !== "boolean") return res.status(400).json({ error: `${key} must be true or false` });
+      prefs[key] = v;
+    }
+    store.setNotificationPrefs(req.session.fid, prefs);
+    res.json(settings(req.session.fid));
+  });
+
+  // What the local sender would have delivered (NOTIFY_SENDER=log only).
+  router.get("/notifications/outbox", (req, res) => {
+    if (!notifySender.outbox) return res.status(404).json({ error: "Not found" });
+    res.json(notifySender.outbox);
+  });
+
+  return router;
+}
+
+module.exports = { notificationRoutes };
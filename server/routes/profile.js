@@ -0,0 +1,137 @@
+const express = require("express");
+const { isAddress } = require("ethers");
+const { rankOf } = require("../leaderboard");
+const { achievementsFor } = require("../achievements");
+const { historyFor, historyCsv } = require("../history");
+const { loadSeasons } = require("../seasons");
+const { membership } = require("../factions");
+const { sendJsonWithEtag } = require("../cache");
+
+function parseFid(raw) {
+  const fid = Number(raw);
+  return Number.isInteger(fid) && fid > 0 ? fid : null;
+}
+
+const RECENT_STRIKES = 10;
+
+function profileRoutes(ctx) {
+  const router = express.Router();
+  const { store, farcaster, chains } = ctx;
+
+  // The latest strikes from any of `addresses`, newest first.
+  const recentStrikes = (addresses) => {
+    const mine = new Set(addresses);
+    return Object.keys(chains)
+      .flatMap((key) => store.strikesFor(key).filter((s) => mine.has(s.from)))
+      .sort((a, b) => b.timestamp - a.timestamp)
+      .slice(0, RECENT_STRIKES)
+      .map(({ chain, hash, from, blockNumber, timestamp }) => ({ chain, hash, from, blockNumber, timestamp }));
+  };
+
+  // Merged counts over every wallet linked to the FID.
+  router.get("/profile/fid/:fid", async (req, res, next) => {
+    try {
+      const fid = parseFid(req.params.fid);
+      if (fid === null) return res.status(400).json({ error: "Invalid fid" });
+
+      const user = await farcaster.getUser(fid);
+      const wallets = store.linksForFid(fid).map((link) => {
+        const counts = {};
+        for (const key of Object.keys(chains)) counts[key] = store.countFor(key, link.address);
+        return { ...link, txCount: counts };
+      });
+      const addresses = wallets.map((w) => w.address);
+
+      const txCount = {};
+      const rank = {};
+      for (const key of Object.keys(chains)) {
+        txCount[key] = wallets.reduce((n, w) => n + w.txCount[key], 0);
+        rank[key] = rankOf(store, key, { fid });
+      }
+
+      sendJsonWithEtag(req, res, {
+        fid,
+        addresses,
+        wallets,
+        walletCount: addresses.length,
+        txCount,
+        rank,
+        faction: membership(store, { fid }),
+        recentStrikes: recentStrikes(addresses),
+        user,
+      });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  // Counts for a single wallet.
+  router.get("/profile/:address", async (req, res, next) => {
+    try {
+      if (!isAddress(req.params.address)) return res.status(400).json({ error: "Invalid address" });
+      const address = req.params.address.toLowerCase();
+      const fid = store.fidForAddress(address);
+
+      const txCount = {};
+      const rank = {};
+      for (const key of Object.keys(chains)) {
+        txCount[key] = store.countFor(key, address);
+        rank[key] = rankOf(store, key, { fid, address });
+      }
+
+      sendJsonWithEtag(req, res, {
+        address,
+        fid,
+        txCount,
+        rank,
+        faction: membership(store, { fid, address }),
+        recentStrikes: recentStrikes([address]),
+      });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  // Earned and locked badges with progress, for a FID or a single wallet.
+  router.get("/profile/fid/:fid/achievements", (req, res) => {
+    const fid = parseFid(req.params.fid);
+    if (fid === null) return res.status(400).json({ error: "Invalid fid" });
+    res.json({ fid, ...achievementsFor(ctx, loadSeasons(), { fid }) });
+  });
+
+  router.get("/profile/:address/achievements", (req, res) => {
+    if (!isAddress(req.params.address)) return res.status(400).json({ error: "Invalid address" });
+    const address = req.params.address.toLowerCase();
+    // a linked wallet earns for its FID, same as on the leaderboard
+    const fid = store.fidForAddress(address);
+    res.json({ address, fid, ...achievementsFor(ctx, loadSeasons(), fid !== null ? { fid } : { address }) });
+  });
+
+  // Every strike with daily counts, streaks and spend; ?format=csv downloads
+  // the full log instead.
+  const sendHistory = (req, res, name, addresses) => {
+    if (req.query.format === "csv") {
+      return res
+        .set("content-type", "text/csv; charset=utf-8")
+        .set("content-disposition", `attachment; filename="chainwarz-${name}.csv"`)
+        .send(historyCsv(ctx, addresses));
+    }
+    res.json(historyFor(ctx, addresses, req.query));
+  };
+
+  router.get("/profile/fid/:fid/history", (req, res) => {
+    const fid = parseFid(req.params.fid);
+    if (fid === null) return res.status(400).json({ error: "Invalid fid" });
+    sendHistory(req, res, `fid-${fid}`, store.addressesForFid(fid));
+  });
+
+  router.get("/profile/:address/history", (req, res) => {
+    if (!isAddress(req.params.address)) return res.status(400).json({ error: "Invalid address" });
+    const address = req.params.address.toLowerCase();
+    sendHistory(req, res, address, [address]);
+  });
+
+  return router;
+}
+
+module.exports = { profileRoutes, parseFid };
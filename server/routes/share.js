@@ -0,0 +1,134 @@
+const express = require("express");
+const { isAddress } = require("ethers");
+const { parseFid } = require("./profile");
+const { rankFor } = require("../ranks");
+const { rowOf } = require("../leaderboard");
+const { escapeXml } = require("../og");
+
+// Share links for casts: /share/fid/:fid and /share/address/:address are tiny
+// HTML pages carrying the `fc:miniapp` embed (image + "launch ChainWarZ"
+// button) and Open Graph tags; both the button and a browser visit land on the
+// player's page in the app. /og/... renders the card image itself.
+
+const shortAddr = (a) => `${a.slice(0, 6)}…${a.slice(-4)}`;
+
+function shareRoutes(ctx) {
+  const router = express.Router();
+  const { store, farcaster, chains, config, og } = ctx;
+
+  const baseUrl = (req) => config.publicUrl || `${req.protocol}://${req.get("host")}`;
+  const appUrl = (req) => config.appUrl || baseUrl(req);
+  // Without PUBLIC_URL the page's links come from the Host header, which the
+  // client controls: such a page must not land in a shared cache.
+  const pageCacheControl = config.publicUrl ? "public, max-age=300" : "private, no-store";
+
+  // The player a share link names, with merged counts and rank; null when the
+  // id is malformed.
+  const playerFor = async (kind, id) => {
+    let fid;
+    let address = null;
+    if (kind === "fid") {
+      fid = parseFid(id);
+      if (fid === null) return null;
+    } else {
+      if (!isAddress(id)) return null;
+      address = id.toLowerCase();
+      fid = store.fidForAddress(address);
+    }
+
+    // looking the user up also links their verified wallets
+    const user = fid !== null ? await farcaster.getUser(fid) : null;
+
+    // the merged counts are the player's rows in the cached standings
+    const counts = Object.values(chains).map((c) => ({
+      key: c.key,
+      name: c.name,
+      theme: c.theme,
+      count: rowOf(store, c.key, { fid, address })?.txCount ?? 0,
+    }));
+    const total = counts.reduce((n, c) => n + c.count, 0);
+
+    return {
+      fid,
+      address,
+      displayName: user?.displayName || user?.username || (address ? shortAddr(address) : `FID ${fid}`),
+      username: user?.username || null,
+      pfpUrl: user?.pfpUrl || null,
+      rank: rankFor(total),
+      counts,
+      total,
+    };
+  };
+
+  router.get("/og/:kind(fid|address)/:id.png", async (req, res, next) => {
+    try {
+      const player = await playerFor(req.params.kind, req.params.id);
+      if (!player) return res.status(400).json({ error: `Invalid ${req.params.kind}` });
+      const png = await og.renderCard(player);
+      res.set("content-type", "image/png").set("cache-control", "public, max-age=300").send(png);
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  router.get("/og/splash.png", (req, res) => {
+    res.set("content-type", "image/png").set("cache-control", "public, max-age=86400").send(og.renderSplash());
+  });
+
+  router.get("/share/:kind(fid|address)/:id", async (req, res, next) => {
+    try {
+      const { kind, id } = req.params;
+      const player = await playerFor(kind, id);
+      if (!player) return res.status(400).json({ error: `Invalid ${kind}` });
+
+      const base = baseUrl(req);
+      const app = appUrl(req);
+      // the embed opens the player's profile page
+      const launchUrl = `${app}${player.fid !== null ? `/p/${player.fid}` : `/a/${player.address}`}`;
+      // the total busts embed caches once the player strikes again
+      const imageUrl = `${base}/og/${kind}/${encodeURIComponent(id.toLowerCase())}.png?v=${player.total}`;
+      const title = `${player.displayName} · ${player.rank.name} on ChainWarZ`;
+      const description = `${player.total} strikes — ${player.counts.map((c) => `${c.name} ${c.count}`).join(" · ")}`;
+
+      const embed = (type) => ({
+        version: "1",
+        imageUrl,
+        button: {
+          title: "⚔️ Join the war",
+          action: {
+            type,
+            name: "ChainWarZ",
+            url: launchUrl,
+            splashImageUrl: `${base}/og/splash.png`,
+            splashBackgroundColor: "#000000",
+          },
+        },
+      });
+
+      const meta = (attr, key, value) => `<meta ${attr}="${key}" content="${escapeXml(value)}" />`;
+      res.set("content-type", "text/html; charset=utf-8").set("cache-control", pageCacheControl).send(`<!doctype html>
+<html lang="en">
+  <head>
+    <meta charset="UTF-8" />
+    <title>${escapeXml(title)}</title>
+    ${meta("property", "og:title", title)}
+    ${meta("property", "og:description", description)}
+    ${meta("property", "og:image", imageUrl)}
+    ${meta("name", "fc:miniapp", JSON.stringify(embed("launch_miniapp")))}
+    ${meta("name", "fc:frame", JSON.stringify(embed("launch_frame")))}
+    <meta http-equiv="refresh" content="0;url=${escapeXml(launchUrl)}" />
+  </head>
+  <body>
+    <a href="${escapeXml(launchUrl)}">Open ChainWarZ</a>
+  </body>
+</html>
+`);
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  return router;
+}
+
+module.exports = { shareRoutes };
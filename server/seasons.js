@@ -0,0 +1,58 @@
+const fs = require("fs");
+const path = require("path");
+
+// Leaderboard time windows. Seasons come from seasons.json (or SEASONS_FILE):
+//   [{ "id": 1, "name": "Season 1", "start": "2026-10-01T00:00:00Z", "end": "2027-01-01T00:00:00Z" }]
+// `end` is exclusive. Rolling windows are relative to now.
+
+const SEASONS_FILE = process.env.SEASONS_FILE || path.join(__dirname, "..", "seasons.json");
+
+const WINDOWS = {
+  "24h": 24 * 60 * 60,
+  "7d": 7 * 24 * 60 * 60,
+  "30d": 30 * 24 * 60 * 60,
+};
+
+function loadSeasons(file = SEASONS_FILE) {
+  if (!fs.existsSync(file)) return [];
+  const raw = JSON.parse(fs.readFileSync(file, "utf8"));
+  return raw
+    .map((s) => ({ id: Number(s.id), name: s.name || `Season ${s.id}`, start: Date.parse(s.start), end: Date.parse(s.end) }))
+    .filter((s) => Number.isInteger(s.id) && s.start < s.end)
+    .sort((a, b) => a.start - b.start);
+}
+
+function seasonStatus(season, now = Date.now()) {
+  if (now < season.start) return "upcoming";
+  return now < season.end ? "current" : "ended";
+}
+
+function publicSeason(season, now = Date.now()) {
+  return {
+    id: season.id,
+    name: season.name,
+    start: new Date(season.start).toISOString(),
+    end: new Date(season.end).toISOString(),
+    status: seasonStatus(season, now),
+  };
+}
+
+class WindowError extends Error {}
+
+// { window, season } query → { range: { from, to } in unix seconds (either may
+// be null), window, season }. Throws WindowError on bad input.
+function resolveWindow({ window, season } = {}, seasons, now = Date.now()) {
+  if (window && season) throw new WindowError("Use either window or season, not both");
+
+  if (season !== undefined && season !== null && season !== "") {
+    const s = seasons.find((x) => x.id === Number(season));
+    if (!s) throw new WindowError(`Unknown season: ${season}`);
+    return { range: { from: s.start / 1000, to: s.end / 1000 }, window: null, season: publicSeason(s, now) };
+  }
+
+  if (!window || window === "all") return { range: { from: null, to: null }, window: "all", season: null };
+  if (!WINDOWS[window]) throw new WindowError(`Unknown window: ${window} (use ${Object.keys(WINDOWS).join(", ")} or all)`);
+  return { range: { from: Math.floor(now / 1000) - WINDOWS[window], to: null }, window, season: null };
+}
+
+module.exports = { WINDOWS, loadSeasons, seasonStatus, publicSeason, resolveWindow, WindowError };
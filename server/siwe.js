@@ -0,0 +1,85 @@
+const { verifyMessage } = require("ethers");
+
+// Minimal EIP-4361 (Sign-In With Ethereum) parsing and verification. Sign In
+// With Farcaster messages use the same format with a farcaster://fid/<fid>
+// resource. Only EOA (ECDSA) signatures are supported.
+
+const HEADER = / wants you to sign in with your Ethereum account:$/;
+
+function parseSiweMessage(message) {
+  if (typeof message !== "string") return null;
+  const lines = message.split("\n");
+  if (!HEADER.test(lines[0] || "")) return null;
+
+  const out = {
+    domain: lines[0].replace(HEADER, ""),
+    address: (lines[1] || "").trim(),
+    statement: null,
+    resources: [],
+  };
+
+  let i = 2;
+  if (lines[i] === "") i++;
+  if (lines[i] !== undefined && !lines[i].startsWith("URI: ")) {
+    out.statement = lines[i];
+    i += 2; // statement + blank line
+  }
+
+  const fields = {
+    "URI: ": "uri",
+    "Version: ": "version",
+    "Chain ID: ": "chainId",
+    "Nonce: ": "nonce",
+    "Issued At: ": "issuedAt",
+    "Expiration Time: ": "expirationTime",
+    "Not Before: ": "notBefore",
+    "Request ID: ": "requestId",
+  };
+
+  for (; i < lines.length; i++) {
+    const line = lines[i];
+    if (line === "Resources:") {
+      for (i++; i < lines.length && lines[i].startsWith("- "); i++) out.resources.push(lines[i].slice(2));
+      break;
+    }
+    const prefix = Object.keys(fields).find((p) => line.startsWith(p));
+    if (prefix) out[fields[prefix]] = line.slice(prefix.length);
+  }
+
+  if (!out.address || !out.nonce || !out.uri || out.version !== "1") return null;
+  return out;
+}
+
+// FID from a farcaster://fid/<fid> resource, if present.
+function fidFromResources(resources) {
+  for (const r of resources || []) {
+    const m = /^farcaster:\/\/fid\/(\d+)$/.exec(r);
+    if (m) return Number(m[1]);
+  }
+  return null;
+}
+
+class SiweError extends Error {}
+
+// Verifies the domain (one of `domains`; none accepts nothing), time bounds and
+// signature. Returns the parsed message; throws SiweError otherwise. Nonce
+// checks are the caller's.
+function verifySiwe(message, signature, { domains = [], now = Date.now() } = {}) {
+  const parsed = parseSiweMessage(message);
+  if (!parsed) throw new SiweError("Malformed sign-in message");
+  if (!domains.includes(parsed.domain)) throw new SiweError("Sign-in message is for another domain");
+  if (parsed.expirationTime && Date.parse(parsed.expirationTime) < now) throw new SiweError("Sign-in message expired");
+  if (parsed.notBefore && Date.parse(parsed.notBefore) > now) throw new SiweError("Sign-in message not yet valid");
+
+  let signer;
+  try {
+    signer = verifyMessage(message, signature);
+  } catch {
+    throw new SiweError("Invalid signature");
+  }
+  if (signer.toLowerCase() !== parsed.address.toLowerCase()) throw new SiweError("Signature does not match address");
+
+  return { ...parsed, address: parsed.address.toLowerCase() };
+}
+
+module.exports = { parseSiweMessage, verifySiwe, fidFromResources, SiweError };
@@ -0,0 +1,112 @@
+import { afterEach, describe, expect, it, vi } from "vitest";
+import { Wallet } from "ethers";
+import { buildSiweMessage } from "../src/siwe";
+import { fidFromResources, parseSiweMessage, SiweError, verifySiwe } from "./siwe";
+import { createAuth } from "./auth";
+
+// Well-known test keys (anvil / hardhat accounts #1 and #2).
+const wallet = new Wallet("0x59c6995e998f97a5a0044966f0945389dc9e86dae88c7a8412f4603b6b78690d");
+const other = new Wallet("0x5de4111afa1a4b94908f83103eb1f1706367c2e68ca870fc3fb9a804cdfd1c2b");
+const DOMAIN = "chainwarz.xyz";
+
+const message = (overrides = {}) =>
+  buildSiweMessage({
+    domain: DOMAIN,
+    address: wallet.address,
+    statement: "Link this wallet to Farcaster FID 9001 on ChainWarZ.",
+    uri: `https://${DOMAIN}`,
+    nonce: "abc123def456",
+    resources: ["farcaster://fid/9001"],
+    ...overrides,
+  });
+
+const signed = async (overrides, signer = wallet) => {
+  const msg = message(overrides);
+  return [msg, await signer.signMessage(msg)];
+};
+
+const rejection = (fn) => {
+  try {
+    fn();
+  } catch (err) {
+    expect(err).toBeInstanceOf(SiweError);
+    return err.message;
+  }
+  throw new Error("expected a SiweError");
+};
+
+describe("verifySiwe", () => {
+  it("accepts a message signed for a configured domain", async () => {
+    const [msg, sig] = await signed();
+    const parsed = verifySiwe(msg, sig, { domains: [DOMAIN] });
+    expect(parsed).toMatchObject({ domain: DOMAIN, address: wallet.address.toLowerCase(), nonce: "abc123def456" });
+    expect(fidFromResources(parsed.resources)).toBe(9001);
+  });
+
+  it("rejects messages signed for another domain", async () => {
+    const [msg, sig] = await signed({ domain: "evil.example" });
+    expect(rejection(() => verifySiwe(msg, sig, { domains: [DOMAIN] }))).toMatch(/another domain/);
+  });
+
+  it("accepts no domain when none are configured", async () => {
+    const [msg, sig] = await signed();
+    expect(rejection(() => verifySiwe(msg, sig, { domains: [] }))).toMatch(/another domain/);
+    expect(rejection(() => verifySiwe(msg, sig))).toMatch(/another domain/);
+  });
+
+  it("rejects signatures from another key", async () => {
+    const [msg, sig] = await signed({}, other);
+    expect(rejection(() => verifySiwe(msg, sig, { domains: [DOMAIN] }))).toMatch(/does not match/);
+  });
+
+  it("rejects a signature over a different message", async () => {
+    const [, sig] = await signed();
+    const tampered = message({ statement: "Link this wallet to Farcaster FID 1 on ChainWarZ." });
+    expect(rejection(() => verifySiwe(tampered, sig, { domains: [DOMAIN] }))).toMatch(/does not match/);
+  });
+
+  it("rejects malformed signatures and messages", async () => {
+    const msg = message();
+    expect(rejection(() => verifySiwe(msg, "0xdeadbeef", { domains: [DOMAIN] }))).toMatch(/Invalid signature/);
+    expect(rejection(() => verifySiwe("hello", "0x", { domains: [DOMAIN] }))).toMatch(/Malformed/);
+    expect(parseSiweMessage(msg.replace("Version: 1", "Version: 2"))).toBeNull();
+  });
+
+  it("rejects expired and not-yet-valid messages", async () => {
+    const [expired, sig] = await signed({ expirationTime: "2024-01-01T00:00:00.000Z" });
+    expect(rejection(() => verifySiwe(expired, sig, { domains: [DOMAIN] }))).toMatch(/expired/);
+    expect(verifySiwe(expired, sig, { domains: [DOMAIN], now: Date.parse("2023-12-31T00:00:00Z") }).nonce).toBe(
+      "abc123def456",
+    );
+
+    const early = `${message({ resources: [] })}\nNot Before: 2999-01-01T00:00:00.000Z`;
+    const earlySig = await wallet.signMessage(early);
+    expect(rejection(() => verifySiwe(early, earlySig, { domains: [DOMAIN] }))).toMatch(/not yet valid/);
+  });
+});
+
+describe("sign-in nonces", () => {
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it("accepts an issued nonce once", () => {
+    const auth = createAuth();
+    const nonce = auth.issueNonce();
+    expect(nonce).toMatch(/^[0-9a-f]{24}$/);
+    expect(auth.consumeNonce(nonce)).toBe(true);
+    expect(auth.consumeNonce(nonce)).toBe(false);
+  });
+
+  it("rejects unknown nonces", () => {
+    expect(createAuth().consumeNonce("abc123def456")).toBe(false);
+  });
+
+  it("rejects nonces older than ten minutes", () => {
+    vi.useFakeTimers();
+    const auth = createAuth();
+    const nonce = auth.issueNonce();
+    vi.advanceTimersByTime(10 * 60 * 1000 + 1);
+    expect(auth.consumeNonce(nonce)).toBe(false);
+  });
+});
@@ -0,0 +1,283 @@
+const fs = require("fs");
+const path = require("path");
+
+// Strike store, optionally persisted to a JSON file. Addresses are always
+// stored lower-cased.
+//
+// Layout on disk:
+//   { version, chains: { [key]: { cursor, blocks: { [n]: hash }, strikes: { [hash]: strike }, funders } }, links, unlinked }
+// `blocks` keeps the hashes of the most recent indexed blocks so the indexer
+// can detect reorgs; it is pruned to `reorgDepth` entries. `funders` maps a
+// striker to the address whose transfer first funded it, { funder, blockNumber }
+// (see sybil.js).
+//
+// links: address -> { fid, source, linkedAt }, where source is "verified"
+// (Farcaster verification) or "siwe" (linked by the player in-app).
+// unlinked: address -> fid the player removed; verifications don't re-add it.
+// snapshots: frozen standings (e.g. an ended season's final table) by key.
+// pledges: member -> { faction, pledgedAt }, where member is "fid:<n>" or
+// "addr:<address>" (the same keys the leaderboard groups strikes by).
+// notifications: fid -> { tokens: { [appKey]: { token, url, addedAt } }, prefs }
+// with one token per Farcaster client (app key); notified: one-off
+// notifications already sent (e.g. "season:1"), by key.
+
+const VERSION = 1;
+
+const DEFAULT_NOTIFICATION_PREFS = { rankUp: true, overtaken: true, seasonEnd: true };
+
+function emptyState() {
+  return {
+    version: VERSION,
+    chains: {},
+    links: {},
+    unlinked: {},
+    snapshots: {},
+    pledges: {},
+    notifications: {},
+    notified: {},
+  };
+}
+
+function readState(file) {
+  if (!file || !fs.existsSync(file)) return emptyState();
+  const state = JSON.parse(fs.readFileSync(file, "utf8"));
+  if (state.version !== VERSION) throw new Error(`Unsupported store version ${state.version} in ${file}`);
+  // early files stored links as address -> fid
+  for (const [a, link] of Object.entries(state.links || {})) {
+    if (typeof link === "number") state.links[a] = { fid: link, source: "verified", linkedAt: null };
+  }
+  return { unlinked: {}, snapshots: {}, pledges: {}, notifications: {}, notified: {}, ...state };
+}
+
+function createStore({ file = null, reorgDepth = 12, flushDelayMs = 1000 } = {}) {
+  const state = readState(file);
+  let flushTimer = null;
+  // Bumped by every change that affects what the API serves (strikes, links,
+  // snapshots, pledges) — not by cursor moves — so response caches know when
+  // they are stale.
+  let revision = 0;
+
+  const chainState = (chainKey) => {
+    if (!state.chains[chainKey]) state.chains[chainKey] = { cursor: null, blocks: {}, strikes: {}, funders: {} };
+    const c = state.chains[chainKey];
+    if (!c.funders) c.funders = {};
+    return c;
+  };
+
+  const notificationState = (fid) => {
+    const f = Number(fid);
+    if (!state.notifications[f]) state.notifications[f] = { tokens: {}, prefs: {} };
+    return state.notifications[f];
+  };
+
+  const flush = () => {
+    clearTimeout(flushTimer);
+    flushTimer = null;
+    if (!file) return;
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const tmp = `${file}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(state));
+    fs.renameSync(tmp, file);
+  };
+
+  const changed = () => {
+    if (!file || flushTimer) return;
+    flushTimer = setTimeout(flush, flushDelayMs);
+  };
+
+  const touched = () => {
+    revision++;
+    changed();
+  };
+
+  return {
+    flush,
+
+    revision() {
+      return revision;
+    },
+
+    getCursor(chainKey) {
+      return chainState(chainKey).cursor;
+    },
+
+    // Records `blockNumber` as indexed. `blockHash` is kept for reorg checks,
+    // `timestamp` tells how far in time the index reaches.
+    setCursor(chainKey, blockNumber, blockHash = null, timestamp = null) {
+      const c = chainState(chainKey);
+      c.cursor = blockNumber;
+      if (timestamp !== null) c.cursorTime = timestamp;
+      if (blockHash) c.blocks[blockNumber] = blockHash;
+      for (const n of Object.keys(c.blocks)) if (Number(n) <= blockNumber - reorgDepth) delete c.blocks[n];
+      changed();
+    },
+
+    getCursorTime(chainKey) {
+      return chainState(chainKey).cursorTime ?? null;
+    },
+
+    getBlockHash(chainKey, blockNumber) {
+      return chainState(chainKey).blocks[blockNumber] || null;
+    },
+
+    // Drops everything indexed at or above `blockNumber` and moves the cursor
+    // just below it. Returns the removed strikes.
+    rewind(chainKey, blockNumber) {
+      const c = chainState(chainKey);
+      const removed = [];
+      for (const [hash, s] of Object.entries(c.strikes)) {
+        if (s.blockNumber >= blockNumber) {
+          removed.push(s);
+          delete c.strikes[hash];
+        }
+      }
+      for (const n of Object.keys(c.blocks)) if (Number(n) >= blockNumber) delete c.blocks[n];
+      for (const [a, f] of Object.entries(c.funders)) if (f.blockNumber >= blockNumber) delete c.funders[a];
+      c.cursor = blockNumber - 1;
+      touched();
+      return removed;
+    },
+
+    addStrike(strike) {
+      chainState(strike.chain).strikes[strike.hash] = { ...strike, from: strike.from.toLowerCase() };
+      touched();
+    },
+
+    strikesFor(chainKey) {
+      return Object.values(chainState(chainKey).strikes);
+    },
+
+    // Keeps the first funder recorded for `address`.
+    setFunder(chainKey, address, funder, blockNumber) {
+      const c = chainState(chainKey);
+      const a = address.toLowerCase();
+      if (c.funders[a]) return;
+      c.funders[a] = { funder: funder.toLowerCase(), blockNumber };
+      touched();
+    },
+
+    funderOf(chainKey, address) {
+      return chainState(chainKey).funders[address.toLowerCase()]?.funder ?? null;
+    },
+
+    countFor(chainKey, address) {
+      const a = address.toLowerCase();
+      let n = 0;
+      for (const s of Object.values(chainState(chainKey).strikes)) if (s.from === a) n++;
+      return n;
+    },
+
+    // Returns false when the link was refused (a verification for a wallet the
+    // player unlinked).
+    linkAddress(address, fid, source = "verified") {
+      const a = address.toLowerCase();
+      const f = Number(fid);
+      if (source === "verified" && state.unlinked[a] === f) return false;
+      if (state.links[a]?.fid === f && (state.links[a].source === source || source === "verified")) return true;
+      state.links[a] = { fid: f, source, linkedAt: Date.now() };
+      delete state.unlinked[a];
+      touched();
+      return true;
+    },
+
+    unlinkAddress(address, fid) {
+      const a = address.toLowerCase();
+      if (state.links[a]?.fid !== Number(fid)) return false;
+      delete state.links[a];
+      state.unlinked[a] = Number(fid);
+      touched();
+      return true;
+    },
+
+    fidForAddress(address) {
+      return state.links[address.toLowerCase()]?.fid ?? null;
+    },
+
+    addressesForFid(fid) {
+      return Object.keys(state.links).filter((a) => state.links[a].fid === Number(fid));
+    },
+
+    getSnapshot(key) {
+      return state.snapshots[key] || null;
+    },
+
+    saveSnapshot(key, value) {
+      state.snapshots[key] = value;
+      touched();
+    },
+
+    pledge(member, faction) {
+      state.pledges[member] = { faction, pledgedAt: Date.now() };
+      touched();
+      return state.pledges[member];
+    },
+
+    pledgeFor(member) {
+      return state.pledges[member] || null;
+    },
+
+    pledges() {
+      return Object.entries(state.pledges).map(([member, p]) => ({ member, ...p }));
+    },
+
+    saveNotificationToken(fid, appKey, { token, url }) {
+      const n = notificationState(fid);
+      n.tokens[appKey] = { token, url, addedAt: Date.now() };
+      changed();
+    },
+
+    removeNotificationToken(fid, appKey) {
+      const n = state.notifications[Number(fid)];
+      if (!n?.tokens[appKey]) return;
+      delete n.tokens[appKey];
+      changed();
+    },
+
+    // Drops tokens a notification server reported as invalid.
+    dropNotificationTokens(tokens) {
+      const dead = new Set(tokens);
+      for (const n of Object.values(state.notifications)) {
+        for (const [appKey, t] of Object.entries(n.tokens)) if (dead.has(t.token)) delete n.tokens[appKey];
+      }
+      changed();
+    },
+
+    notificationTokens(fid) {
+      return Object.values(state.notifications[Number(fid)]?.tokens || {});
+    },
+
+    // FIDs with at least one notification token.
+    notifiableFids() {
+      return Object.entries(state.notifications)
+        .filter(([, n]) => Object.keys(n.tokens).length)
+        .map(([fid]) => Number(fid));
+    },
+
+    getNotificationPrefs(fid) {
+      return { ...DEFAULT_NOTIFICATION_PREFS, ...state.notifications[Number(fid)]?.prefs };
+    },
+
+    setNotificationPrefs(fid, prefs) {
+      const n = notificationState(fid);
+      n.prefs = { ...DEFAULT_NOTIFICATION_PREFS, ...n.prefs, ...prefs };
+      changed();
+      return n.prefs;
+    },
+
+    // Returns false when `key` was already marked.
+    markNotified(key) {
+      if (state.notified[key]) return false;
+      state.notified[key] = Date.now();
+      changed();
+      return true;
+    },
+
+    linksForFid(fid) {
+      return Object.entries(state.links)
+        .filter(([, l]) => l.fid === Number(fid))
+        .map(([address, l]) => ({ address, ...l }));
+    },
+  };
+}
+
+module.exports = { createStore, DEFAULT_NOTIFICATION_PREFS };
@@ -0,0 +1,116 @@
+const fs = require("fs");
+const path = require("path");
+
+// Heuristics for bot farms. A strike is a plain transfer, so nothing stops one
+// operator from spreading strikes over thousands of wallets; these rules mark
+// the patterns that give it away. Flags are advisory: flagged players stay on
+// the boards, the frontend can hide them ("verified only").
+//
+// Rules come from sybil.json (or SYBIL_FILE), merged over DEFAULT_RULES:
+//   sharedFunder   at least `minWallets` strikers got their first funds from
+//                  the same address (as seen by the indexer, see indexer.js);
+//                  `ignore` lists funders that fund everyone (exchanges, bridges)
+//   regularTiming  a wallet with at least `minStrikes` strikes whose gaps vary
+//                  by less than `maxJitter` (standard deviation / mean)
+//   noFid          a wallet never linked to a FID with at least `minStrikes`
+// Any rule can be switched off with "enabled": false.
+
+const SYBIL_FILE = process.env.SYBIL_FILE || path.join(__dirname, "..", "sybil.json");
+
+const DEFAULT_RULES = {
+  sharedFunder: { enabled: true, minWallets: 5, ignore: [] },
+  regularTiming: { enabled: true, minStrikes: 10, maxJitter: 0.05 },
+  noFid: { enabled: true, minStrikes: 50 },
+};
+
+function loadSybilRules(file = SYBIL_FILE) {
+  const raw = fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, "utf8")) : {};
+  const rules = {};
+  for (const [name, defaults] of Object.entries(DEFAULT_RULES)) rules[name] = { ...defaults, ...raw[name] };
+  return rules;
+}
+
+const short = (a) => `${a.slice(0, 6)}…${a.slice(-4)}`;
+
+function sharedFunder(byWallet, { funderOf }, { minWallets, ignore = [] }) {
+  const ignored = new Set(ignore.map((a) => a.toLowerCase()));
+  const funded = new Map(); // "chain:funder" -> wallets
+  for (const [address, strikes] of byWallet) {
+    for (const chain of new Set(strikes.map((s) => s.chain))) {
+      const funder = funderOf(chain, address);
+      if (!funder || ignored.has(funder)) continue;
+      const key = `${chain}:${funder}`;
+      if (!funded.has(key)) funded.set(key, new Set());
+      funded.get(key).add(address);
+    }
+  }
+
+  const out = [];
+  for (const [key, wallets] of funded) {
+    if (wallets.size < minWallets) continue;
+    const funder = key.slice(key.indexOf(":") + 1);
+    const reason = `Funded by ${short(funder)} along with ${wallets.size - 1} other striking wallets`;
+    for (const address of wallets) out.push([address, reason]);
+  }
+  return out;
+}
+
+function regularTiming(byWallet, helpers, { minStrikes, maxJitter }) {
+  const out = [];
+  for (const [address, strikes] of byWallet) {
+    if (strikes.length < minStrikes) continue;
+    const times = strikes.map((s) => s.timestamp).sort((a, b) => a - b);
+    const gaps = times.slice(1).map((t, i) => t - times[i]);
+    const mean = gaps.reduce((n, g) => n + g, 0) / gaps.length;
+    if (mean <= 0) continue;
+    const sd = Math.sqrt(gaps.reduce((n, g) => n + (g - mean) ** 2, 0) / gaps.length);
+    if (sd / mean <= maxJitter) out.push([address, `Strikes every ~${Math.round(mean)}s like clockwork`]);
+  }
+  return out;
+}
+
+function noFid(byWallet, { fidForAddress }, { minStrikes }) {
+  const out = [];
+  for (const [address, strikes] of byWallet) {
+    if (strikes.length >= minStrikes && fidForAddress(address) === null) {
+      out.push([address, `${strikes.length} strikes from a wallet not linked to Farcaster`]);
+    }
+  }
+  return out;
+}
+
+const RULES = { sharedFunder, regularTiming, noFid };
+
+// Map(address -> [{ rule, reason }]) for the wallets behind `strikes` that
+// trip an enabled rule. `fidForAddress(address)` and `funderOf(chain, address)`
+// are the store's lookups.
+function detectSybils(strikes, { fidForAddress, funderOf }, rules = DEFAULT_RULES) {
+  const byWallet = new Map();
+  for (const s of strikes) {
+    if (!byWallet.has(s.from)) byWallet.set(s.from, []);
+    byWallet.get(s.from).push(s);
+  }
+
+  const flags = new Map();
+  for (const [name, check] of Object.entries(RULES)) {
+    const options = rules[name];
+    if (!options?.enabled) continue;
+    for (const [address, reason] of check(byWallet, { fidForAddress, funderOf }, options)) {
+      if (!flags.has(address)) flags.set(address, []);
+      flags.get(address).push({ rule: name, reason });
+    }
+  }
+  return flags;
+}
+
+// Adds `flagged` and `flags` (one per rule, from any of the entry's wallets)
+// to standings rows.
+function flagRows(rows, flags) {
+  return rows.map((row) => {
+    const byRule = new Map();
+    for (const a of row.addresses) for (const f of flags.get(a) || []) if (!byRule.has(f.rule)) byRule.set(f.rule, f);
+    return { ...row, flagged: byRule.size > 0, flags: [...byRule.values()] };
+  });
+}
+
+module.exports = { DEFAULT_RULES, loadSybilRules, detectSybils, flagRows };
@@ -0,0 +1,117 @@
+import { describe, expect, it } from "vitest";
+import fixture from "./fixtures/sybil-strikes.json";
+import { DEFAULT_RULES, detectSybils, flagRows } from "./sybil";
+import { createStore } from "./store";
+import { leaderboardPage, standings } from "./leaderboard";
+
+const FARM_FUNDER = "0xf00d000000000000000000000000000000000001";
+const EXCHANGE = "0xcb00000000000000000000000000000000000001";
+const farm = Object.keys(fixture.funders.base).filter((a) => fixture.funders.base[a] === FARM_FUNDER);
+const exchangeFunded = Object.keys(fixture.funders.base).filter((a) => fixture.funders.base[a] === EXCHANGE);
+const clock = "0xc100000000000000000000000000000000000001";
+const human = "0xa100000000000000000000000000000000000001";
+const grinder = "0xd100000000000000000000000000000000000001";
+const casual = "0xe100000000000000000000000000000000000001";
+
+const lookups = {
+  fidForAddress: (a) => fixture.links[a] ?? null,
+  funderOf: (chain, a) => fixture.funders[chain]?.[a] ?? null,
+};
+
+const rulesWith = (overrides) => {
+  const rules = {};
+  for (const [name, options] of Object.entries(DEFAULT_RULES)) rules[name] = { ...options, ...overrides[name] };
+  return rules;
+};
+
+const rulesOf = (flags, address) => (flags.get(address) || []).map((f) => f.rule).sort();
+
+describe("detectSybils", () => {
+  const flags = detectSybils(fixture.strikes, lookups);
+
+  it("flags wallets funded from one source", () => {
+    expect(farm).toHaveLength(6);
+    for (const a of farm) expect(rulesOf(flags, a)).toEqual(["sharedFunder"]);
+    expect(flags.get(farm[0])[0].reason).toMatch(/0xf00d.*5 other/);
+  });
+
+  it("flags machine-regular timing", () => {
+    expect(rulesOf(flags, clock)).toEqual(["regularTiming"]);
+    expect(flags.get(clock)[0].reason).toMatch(/~60s/);
+  });
+
+  it("flags busy wallets never linked to a FID", () => {
+    expect(rulesOf(flags, grinder)).toEqual(["noFid"]);
+    expect(flags.has(casual)).toBe(false);
+  });
+
+  it("leaves ordinary players alone", () => {
+    expect(flags.has(human)).toBe(false);
+  });
+
+  it("skips ignored funders", () => {
+    for (const a of exchangeFunded) expect(rulesOf(flags, a)).toEqual(["sharedFunder"]);
+    const ignoring = detectSybils(fixture.strikes, lookups, rulesWith({ sharedFunder: { ignore: [EXCHANGE] } }));
+    for (const a of exchangeFunded) expect(ignoring.has(a)).toBe(false);
+    expect(rulesOf(ignoring, farm[0])).toEqual(["sharedFunder"]);
+  });
+
+  it("honours thresholds and disabled rules", () => {
+    const strict = detectSybils(
+      fixture.strikes,
+      lookups,
+      rulesWith({ sharedFunder: { minWallets: 7 }, regularTiming: { enabled: false }, noFid: { minStrikes: 4 } })
+    );
+    expect(strict.has(farm[0])).toBe(false);
+    expect(strict.has(clock)).toBe(false);
+    expect(rulesOf(strict, casual)).toEqual(["noFid"]);
+  });
+});
+
+describe("flagRows", () => {
+  it("flags an entry when any of its wallets is flagged, once per rule", () => {
+    const flags = new Map([
+      ["0x01", [{ rule: "noFid", reason: "a" }]],
+      ["0x02", [{ rule: "noFid", reason: "b" }, { rule: "regularTiming", reason: "c" }]],
+    ]);
+    const [merged, clean] = flagRows(
+      [
+        { rank: 1, addresses: ["0x01", "0x02"] },
+        { rank: 2, addresses: ["0x03"] },
+      ],
+      flags
+    );
+    expect(merged.flagged).toBe(true);
+    expect(merged.flags.map((f) => f.rule)).toEqual(["noFid", "regularTiming"]);
+    expect(clean).toMatchObject({ flagged: false, flags: [] });
+  });
+});
+
+describe("leaderboardPage", () => {
+  const store = createStore();
+  for (const [a, fid] of Object.entries(fixture.links)) store.linkAddress(a, fid);
+  for (const [chain, funders] of Object.entries(fixture.funders)) {
+    for (const [a, funder] of Object.entries(funders)) store.setFunder(chain, a, funder, 0);
+  }
+  for (const s of fixture.strikes) store.addStrike(s);
+  const ctx = { store, chains: { base: {} }, farcaster: { getUsers: async () => new Map() } };
+  const range = { from: null, to: null };
+
+  it("exposes flags on entries", async () => {
+    const page = await leaderboardPage(ctx, "base", { range, limit: 100 });
+    const grinderRow = page.entries.find((e) => e.address === grinder);
+    expect(grinderRow.flagged).toBe(true);
+    expect(grinderRow.flags[0].rule).toBe("noFid");
+    expect(page.entries.find((e) => e.fid === 42).flagged).toBe(false);
+  });
+
+  it("re-ranks verified players only", async () => {
+    const all = standings(store, store.strikesFor("base"));
+    const page = await leaderboardPage(ctx, "base", { range, limit: 100, verified: true });
+    expect(page.verified).toBe(true);
+    expect(page.total).toBe(2); // the human and the casual wallet
+    expect(page.entries.map((e) => e.rank)).toEqual([1, 2]);
+    expect(page.entries[0].fid).toBe(42);
+    expect(all.length).toBeGreaterThan(page.total);
+  });
+});
@@ -0,0 +1,73 @@
+const crypto = require("crypto");
+const { config } = require("./config");
+const { isNotificationUrl } = require("./notifications");
+
+// Farcaster miniapp webhook events. Clients POST a JSON Farcaster Signature:
+//   { header, payload, signature }   (each base64url)
+// header:  { fid, type: "app_key", key }   — the Ed25519 app key that signed
+// payload: { event, notificationDetails? } — miniapp_added, miniapp_removed,
+//          notifications_enabled, notifications_disabled
+// The signature covers "<header>.<payload>". The app key must also be one of
+// the FID's on-chain signers (checked through the hub with the Neynar key), so
+// nobody can register tokens for someone else's FID; without a key every event
+// is refused. Notification URLs must be https on a known client host
+// (NOTIFICATION_HOSTS), since the server later posts to them.
+
+// node-fetch v3 is ESM-only
+const fetch = (...args) => import("node-fetch").then(({ default: f }) => f(...args));
+
+const EVENTS = ["miniapp_added", "miniapp_removed", "notifications_enabled", "notifications_disabled"];
+
+// DER prefix turning a raw 32-byte Ed25519 public key into SPKI
+const ED25519_SPKI_PREFIX = Buffer.from("302a300506032b6570032100", "hex");
+
+class WebhookError extends Error {}
+
+const decode = (part) => {
+  try {
+    return JSON.parse(Buffer.from(part, "base64url").toString("utf8"));
+  } catch {
+    throw new WebhookError("Malformed webhook body");
+  }
+};
+
+function verifySignature(header, payload, signature, appKey) {
+  const raw = Buffer.from(appKey.replace(/^0x/, ""), "hex");
+  if (raw.length !== 32) throw new WebhookError("Invalid app key");
+  const key = crypto.createPublicKey({ key: Buffer.concat([ED25519_SPKI_PREFIX, raw]), format: "der", type: "spki" });
+  return crypto.verify(null, Buffer.from(`${header}.${payload}`), key, Buffer.from(signature, "base64url"));
+}
+
+// Is `appKey` an active signer of `fid`? Needs the Neynar key.
+async function isSignerOf(fid, appKey) {
+  if (!config.neynarApiKey) throw new WebhookError("App keys can't be checked: NEYNAR_API_KEY is not set");
+  const res = await fetch(`${config.farcasterHubUrl}/v1/onChainSignersByFid?fid=${fid}`, {
+    headers: { accept: "application/json", "x-api-key": config.neynarApiKey },
+  });
+  if (!res.ok) throw new Error(`Hub ${res.status}`);
+  const { events = [] } = await res.json();
+  return events.some(
+    (e) => e.signerEventBody?.key?.toLowerCase() === appKey.toLowerCase() && e.signerEventBody.eventType === "SIGNER_EVENT_TYPE_ADD"
+  );
+}
+
+// Verified { fid, appKey, event, notificationDetails }. Throws WebhookError.
+async function parseWebhookEvent(body) {
+  const { header, payload, signature } = body || {};
+  if (![header, payload, signature].every((p) => typeof p === "string")) throw new WebhookError("Malformed webhook body");
+
+  const h = decode(header);
+  const p = decode(payload);
+  if (!Number.isInteger(h.fid) || h.fid <= 0 || h.type !== "app_key" || typeof h.key !== "string") {
+    throw new WebhookError("Unsupported webhook header");
+  }
+  if (!verifySignature(header, payload, signature, h.key)) throw new WebhookError("Bad webhook signature");
+  if (!EVENTS.includes(p.event)) throw new WebhookError(`Unknown event: ${p.event}`);
+  if (!(await isSignerOf(h.fid, h.key))) throw new WebhookError("App key is not a signer of this FID");
+
+  const d = p.notificationDetails;
+  const notificationDetails = d && typeof d.token === "string" && isNotificationUrl(d.url) ? d : null;
+  return { fid: h.fid, appKey: h.key.toLowerCase(), event: p.event, notificationDetails };
+}
+
+module.exports = { parseWebhookEvent, WebhookError };
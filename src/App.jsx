@@ -1,186 +1,161 @@
-import React, { useEffect, useMemo, useState } from "react";
-import { Wallet, ExternalLink, Shield, Swords, Crown } from "lucide-react";
+import React, { useEffect, useMemo, useRef, useState } from "react";
+import { Wallet, ExternalLink, Shield, Swords, Crown, Flag, Share2 } from "lucide-react";
 import { sdk } from "@farcaster/miniapp-sdk";
-
-const BACKEND_URL =
-  import.meta.env.VITE_BACKEND_URL || "https://chainwarz-backend-production.up.railway.app";
-
-const CHAINS = {
-  base: {
-    key: "base",
-    chainIdHex: "0x2105", // 8453
-    name: "Base",
-    rpcUrl: "https://mainnet.base.org",
-    blockExplorer: "https://basescan.org",
-    contractAddress: "0xB2B23e69b9d811D3D43AD473f90A171D18b19aab",
-    // ✅ EXACT: 0.000001337 ETH
-    valueWei: 1337000000000n, // hex: 0x1374b68fa00
-    strikeLabel: "0.000001337 ETH",
-    nativeCurrency: { name: "ETH", symbol: "ETH", decimals: 18 },
-  },
-  hyperevm: {
-    key: "hyperevm",
-    chainIdHex: "0x3e7", // 999
-    name: "HyperEVM",
-    rpcUrl: "https://rpc.hyperliquid.xyz/evm",
-    blockExplorer: "https://hyperevmscan.io",
-    contractAddress: "0x044A0B2D6eF67F5B82e51ec7229D84C0e83C8f02",
-    valueWei: 133700000000000n, // 0.0001337 HYPE
-    strikeLabel: "0.0001337 HYPE",
-    nativeCurrency: { name: "HYPE", symbol: "HYPE", decimals: 18 },
-  },
-};
-
-const RANKS = [
-  { name: "Squire", min: 0, className: "text-gray-300" },
-  { name: "Knight", min: 1, className: "text-blue-300" },
-  { name: "Knight Captain", min: 5, className: "text-purple-300" },
-  { name: "Baron", min: 10, className: "text-yellow-300" },
-  { name: "Duke", min: 25, className: "text-orange-300" },
-  { name: "Warlord", min: 50, className: "text-red-300" },
-  { name: "Legendary Champion", min: 100, className: "text-pink-300" },
-];
-
-function getRank(totalStrikes) {
-  for (let i = RANKS.length - 1; i >= 0; i--) if (totalStrikes >= RANKS[i].min) return RANKS[i];
-  return RANKS[0];
-}
-
-function shortAddr(a) {
-  if (!a) return "";
-  return `${a.slice(0, 6)}…${a.slice(-4)}`;
+import { DEFAULT_CHAINS, fetchChains, totalOf, findChainById } from "./chains";
+import { useStrikeTracker } from "./useStrikeTracker";
+import { applyOptimistic, awaitingBackend } from "./optimistic";
+import { rememberedWallet } from "./useInjectedWallets";
+import { useLiveFeed } from "./useLiveFeed";
+import { classifyError } from "./walletErrors";
+import { formatNative } from "./preflight";
+import { readClient } from "./rpc";
+import { useChainStatus } from "./useChainStatus";
+import { useRoute, TAB_PATHS } from "./useRoute";
+import { api, BACKEND_URL } from "./api";
+import { shortAddr, resolveIdentity } from "./identity";
+import * as wallet from "./wallet";
+import { initMiniApp } from "./miniapp";
+import { useOnline } from "./useOnline";
+import { getRank } from "./ranks";
+import { useWallet } from "./useWallet";
+import { useProfile } from "./useProfile";
+import { useLeaderboards } from "./useLeaderboards";
+import { useLinking } from "./useLinking";
+import { useWar } from "./useWar";
+import { useNotifications } from "./useNotifications";
+import { LiveFeed } from "./components/LiveFeed";
+import { AchievementsCard } from "./components/AchievementsCard";
+import { LastUpdated } from "./components/LastUpdated";
+import { PlayerLookup } from "./components/PlayerLookup";
+import { PlayerProfile } from "./components/PlayerProfile";
+import { BattlefieldCard } from "./components/BattlefieldCard";
+import { HistoryCard } from "./components/HistoryCard";
+import { StrikeCard } from "./components/StrikeCard";
+import { StrikeList } from "./components/StrikeList";
+import { NotificationsCard } from "./components/NotificationsCard";
+import { LinkedWalletsCard } from "./components/LinkedWalletsCard";
+import { Leaderboards } from "./components/Leaderboards";
+import { FactionWar } from "./components/FactionWar";
+
+function batchSummary(chainName, r) {
+  const parts = [`${r.sent}/${r.count} strikes sent on ${chainName}`];
+  if (r.rejected) parts.push(`${r.rejected} cancelled`);
+  if (r.failed) parts.push(`${r.failed} failed`);
+  if (r.skipped) parts.push(`${r.skipped} skipped`);
+  const summary = parts.join(", ") + ".";
+  return r.error ? `${summary} ${r.error.message}` : summary;
 }
 
 export default function App() {
-  const [activeTab, setActiveTab] = useState("game");
+  const [route, navigate] = useRoute();
+  const activeTab = route.tab;
+  const setActiveTab = (tab) => navigate(TAB_PATHS[tab]);
   const [status, setStatus] = useState("");
+  // A "Try again" for the failure currently shown in `status` (cleared by the next status).
+  const [retry, setRetry] = useState(null); // { status, run }
+  const [strikeCost, setStrikeCost] = useState(null); // { chainKey, count, text }
   const [loading, setLoading] = useState(false);
+  const online = useOnline();
 
-  const [inMiniApp, setInMiniApp] = useState(false);
-
-  // Providers
-  const [fcProvider, setFcProvider] = useState(null);
-  const [browserProvider, setBrowserProvider] = useState(null);
-  const [connectedVia, setConnectedVia] = useState(null); // "farcaster" | "browser"
-
-  // Wallet state
-  const [account, setAccount] = useState(null);
-  const [currentChainId, setCurrentChainId] = useState(null);
-  const [lastTx, setLastTx] = useState(null);
-
-  // Farcaster context user
-  const [fcUser, setFcUser] = useState(null);
-
-  // Data
-  const [profileCounts, setProfileCounts] = useState({ base: 0, hyperevm: 0 });
-  const [profileIdentity, setProfileIdentity] = useState(null);
-  const [leaderboard, setLeaderboard] = useState({ base: [], hyperevm: [] });
-
-  const totalStrikes = (profileCounts.base || 0) + (profileCounts.hyperevm || 0);
-  const currentRank = useMemo(() => getRank(totalStrikes), [totalStrikes]);
-
-  const getActiveProvider = () => {
-    if (connectedVia === "farcaster" && fcProvider) return fcProvider;
-    if (connectedVia === "browser" && browserProvider) return browserProvider;
-    if (fcProvider) return fcProvider;
-    return browserProvider || null;
+  // Shows a classified wallet / RPC error with a retry.
+  const fail = (err, context, run) => {
+    const { message } = classifyError(err, context);
+    setStatus(message);
+    setRetry({ status: message, run });
   };
 
-  const refreshChainId = async () => {
-    const p = getActiveProvider();
-    if (!p?.request) return;
-    try {
-      const cid = await p.request({ method: "eth_chainId" });
-      setCurrentChainId(cid);
-    } catch {}
-  };
+  // What the hooks report progress and failures through
+  const ui = { setStatus, setLoading, fail };
 
-  const loadLeaderboards = async () => {
-    try {
-      const [b, h] = await Promise.all([
-        fetch(`${BACKEND_URL}/api/leaderboard/base`).then((r) => r.json()),
-        fetch(`${BACKEND_URL}/api/leaderboard/hyperevm`).then((r) => r.json()),
-      ]);
-      setLeaderboard({
-        base: Array.isArray(b) ? b : [],
-        hyperevm: Array.isArray(h) ? h : [],
-      });
-    } catch {
-      setLeaderboard({ base: [], hyperevm: [] });
-    }
-  };
+  // Farcaster host and its context user
+  const [inMiniApp, setInMiniApp] = useState(false);
+  const [fcUser, setFcUser] = useState(null);
+  const hostFid = inMiniApp ? fcUser?.fid || null : null;
 
-  // ✅ New: load merged counts by FID (when inside Farcaster host)
-  const loadCountsForFid = async (fid) => {
-    try {
-      const r = await fetch(`${BACKEND_URL}/api/profile/fid/${fid}`);
-      const data = await r.json();
-      setProfileCounts({
-        base: data?.txCount?.base || 0,
-        hyperevm: data?.txCount?.hyperevm || 0,
-      });
-      if (data?.user) setProfileIdentity(data.user);
-    } catch {
-      setProfileCounts({ base: 0, hyperevm: 0 });
-    }
-  };
+  // Chain registry (bundled default until the backend answers)
+  const [chains, setChains] = useState(DEFAULT_CHAINS);
+  const chainList = useMemo(() => Object.values(chains), [chains]);
 
-  const loadCountsForAddress = async (addr) => {
-    try {
-      const r = await fetch(`${BACKEND_URL}/api/profile/${addr}`);
-      const data = await r.json();
-      setProfileCounts({
-        base: data?.txCount?.base || 0,
-        hyperevm: data?.txCount?.hyperevm || 0,
-      });
-    } catch {
-      setProfileCounts({ base: 0, hyperevm: 0 });
-    }
+  const [lastTx, setLastTx] = useState(null);
+  const [rankUp, setRankUp] = useState(null); // the rank just reached, until shared or dismissed
+
+  // Strike × N
+  const [strikeCount, setStrikeCount] = useState(1);
+  const [batch, setBatch] = useState(null); // { chainKey, items: [{ status, hash, error }] }
+
+  // Inside the host the counts are merged by FID, else they are the wallet's.
+  const profile = useProfile({ chains });
+  const {
+    fcProvider,
+    setFcProvider,
+    browserWallets,
+    browserWallet,
+    showWalletPicker,
+    connectedVia,
+    account,
+    currentChainId,
+    getActiveProvider,
+    refreshChainId,
+    requestAccounts,
+    connectBrowser,
+    onConnectBrowser,
+  } = useWallet({
+    ui,
+    onConnect: (addr) => (hostFid ? profile.loadFid(hostFid) : profile.loadCountsForAddress(addr)),
+  });
+  const boards = useLeaderboards({ chains, fid: hostFid, account });
+  const { loadLeaderboards } = boards;
+
+  // Cached standings and profiles are dropped once we know they moved (the
+  // live feed, a settled strike, a link change); otherwise they are served
+  // from the request cache.
+  const invalidateBoards = api.invalidateBoards;
+  const invalidateProfiles = api.invalidateProfiles;
+
+  const refreshCounts = () => {
+    invalidateProfiles();
+    if (hostFid) profile.loadCountsForFid(hostFid);
+    else if (account) profile.loadCountsForAddress(account);
   };
 
-  const loadFarcasterIdentityByFid = async (fid) => {
-    try {
-      const res = await fetch(`${BACKEND_URL}/api/farcaster/user/${fid}`);
-      if (!res.ok) return null;
-      return await res.json();
-    } catch {
-      return null;
-    }
-  };
+  const linking = useLinking({
+    ui,
+    account,
+    getActiveProvider,
+    currentChainId,
+    inMiniApp,
+    fcUser,
+    onLinksChanged: async (fid) => {
+      invalidateBoards();
+      refreshCounts();
+      await profile.loadLinkedWallets(fid);
+      loadLeaderboards();
+    },
+  });
+  const { session, linkFid } = linking;
+  const war = useWar({ ui, seasons: boards.seasons, fid: hostFid, account, getActiveProvider, linking });
+  const notifications = useNotifications({ ui, linking });
 
   // INIT
   useEffect(() => {
     const init = async () => {
-      // Browser wallet
-      if (typeof window !== "undefined" && window.ethereum) setBrowserProvider(window.ethereum);
+      const registry = await fetchChains(BACKEND_URL);
+      setChains(registry);
 
       // Miniapp context + Farcaster provider
       try {
-        const mini = await sdk.isInMiniApp();
-        setInMiniApp(!!mini);
-
-        if (mini) {
-          const ctx = await sdk.context; // ✅ this is the key: actually use the returned context
-          setFcUser(ctx?.user || null);
-
-          await sdk.actions.ready();
-
-          const caps = await sdk.getCapabilities();
-          if (caps.includes("wallet.getEthereumProvider")) {
-            const p = await sdk.wallet.getEthereumProvider();
-            if (p) setFcProvider(p);
-          }
-
-          // ✅ Immediately hydrate identity & merged counts via FID
-          if (ctx?.user?.fid) {
-            const ident = await loadFarcasterIdentityByFid(ctx.user.fid);
-            if (ident) setProfileIdentity(ident);
-            await loadCountsForFid(ctx.user.fid);
-          }
-        }
+        const mini = await initMiniApp();
+        setInMiniApp(mini.inMiniApp);
+        setFcUser(mini.user);
+        notifications.setNotificationsOn(mini.notificationsOn);
+        if (mini.provider) setFcProvider(mini.provider);
+
+        // Immediately hydrate identity & merged counts via FID
+        if (mini.user?.fid) await profile.loadFid(mini.user.fid);
       } catch {}
 
-      loadLeaderboards();
+      loadLeaderboards(registry);
+      boards.loadSeasons();
     };
 
     init();
@@ -191,170 +166,207 @@ export default function App() {
   // - If in MiniApp and we have fid → always show merged-by-fid counts
   // - Else → address-only counts
   useEffect(() => {
-    const run = async () => {
-      if (inMiniApp && fcUser?.fid) {
-        const ident = await loadFarcasterIdentityByFid(fcUser.fid);
-        if (ident) setProfileIdentity(ident);
-        await loadCountsForFid(fcUser.fid);
-      } else if (account) {
-        await loadCountsForAddress(account);
-      }
-    };
-    run();
+    if (hostFid) profile.loadFid(hostFid);
+    else if (account) profile.loadCountsForAddress(account);
     // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [account, inMiniApp, fcUser?.fid]);
+  }, [account, hostFid]);
 
-  const requestAccounts = async (provider, viaLabel) => {
-    if (!provider?.request) {
-      setStatus("No wallet provider found.");
-      return null;
-    }
+  useEffect(() => {
+    if (session?.fid && !hostFid) profile.loadLinkedWallets(session.fid);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [session?.fid, hostFid]);
+
+  // Counts and leaderboards only move once a strike's receipt lands.
+  const { strikes, track, dismiss, patch } = useStrikeTracker({
+    getProvider: (strike) => readClient(chains[strike.chainKey]),
+    onSettled: (strike) => {
+      const name = chains[strike.chainKey]?.name || strike.chainKey;
+      if (strike.status === "confirmed") setStatus(`Strike confirmed on ${name}!`);
+      else if (strike.status === "failed") setStatus(`Strike on ${name} reverted — it did not count.`);
+      else if (strike.status === "replaced") setStatus(`Strike on ${name} was replaced in your wallet.`);
+
+      // a replacement may itself have been a (sped-up) strike
+      if (strike.status !== "failed") {
+        invalidateBoards();
+        loadLeaderboards();
+        refreshCounts();
+      }
+    },
+  });
 
-    try {
-      setLoading(true);
-      setStatus(viaLabel === "farcaster" ? "Connecting Farcaster wallet…" : "Connecting browser wallet…");
+  // Back online: what we showed may be old, and strike checks resume in the
+  // tracker; fetch everything again.
+  const wasOnline = useRef(online);
+  useEffect(() => {
+    if (online && !wasOnline.current) {
+      invalidateBoards();
+      invalidateProfiles();
+      loadLeaderboards();
+      refreshCounts();
+    }
+    wasOnline.current = online;
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [online]);
 
-      const accounts = await provider.request({ method: "eth_requestAccounts" });
-      const addr = accounts?.[0];
-      if (!addr) {
-        setStatus("No account returned.");
-        return null;
-      }
+  // Whose counts are on screen: the merged FID inside the host, else the wallet.
+  const ownerKey = hostFid ? `fid:${hostFid}` : account ? account.toLowerCase() : null;
+  const myStrikes = useMemo(() => strikes.filter((s) => s.owner && s.owner === ownerKey), [strikes, ownerKey]);
 
-      setAccount(addr);
-      setConnectedVia(viaLabel);
-      setStatus("Connected.");
+  // profileCounts is what the backend said; shownCounts adds strikes it hasn't seen yet.
+  const { profileCounts } = profile;
+  const optimistic = applyOptimistic(chains, profileCounts, myStrikes);
+  const shownCounts = optimistic.counts;
 
-      await refreshChainId();
+  const totalStrikes = totalOf(chains, shownCounts);
+  const currentRank = useMemo(() => getRank(totalStrikes), [totalStrikes]);
 
-      // ✅ If in host, prefer fid-based merge totals + identity
-      if (inMiniApp && fcUser?.fid) {
-        const ident = await loadFarcasterIdentityByFid(fcUser.fid);
-        if (ident) setProfileIdentity(ident);
-        await loadCountsForFid(fcUser.fid);
-      } else {
-        await loadCountsForAddress(addr);
-      }
+  // A rank-up is a higher rank reached while one of our own strikes is in
+  // flight (not the jump when the backend's counts first load).
+  const seenRank = useRef({ owner: null, rank: null });
+  const unconfirmedTotal = totalOf(chains, optimistic.unconfirmed);
+  useEffect(() => {
+    const prev = seenRank.current;
+    seenRank.current = { owner: ownerKey, rank: currentRank };
+    if (prev.owner !== ownerKey) setRankUp(null);
+    else if (prev.rank && currentRank.min > prev.rank.min && unconfirmedTotal > 0) setRankUp(currentRank);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [currentRank, ownerKey]);
 
-      if (provider.on) {
-        provider.on("accountsChanged", (accs) => {
-          const a = accs?.[0] || null;
-          setAccount(a);
-        });
-        provider.on("chainChanged", () => refreshChainId());
-      }
+  const reconciledKey = optimistic.reconciled.join(",");
+  useEffect(() => {
+    if (reconciledKey) patch(reconciledKey.split(","), { reconciled: true });
+  }, [reconciledKey, patch]);
 
-      return addr;
-    } catch {
-      setStatus("Connection cancelled.");
-      return null;
-    } finally {
-      setLoading(false);
-    }
-  };
+  // Keep asking the backend until it has indexed our confirmed strikes (or they time out).
+  const waitingOnBackend = awaitingBackend(myStrikes);
+  useEffect(() => {
+    if (!waitingOnBackend) return;
+    const id = setInterval(refreshCounts, 5000);
+    return () => clearInterval(id);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [waitingOnBackend, ownerKey]);
 
-  const switchOrAddChain = async (chainKey) => {
-    const chain = CHAINS[chainKey];
-    const p = getActiveProvider();
-    if (!p?.request) throw new Error("No provider");
+  // Badges only change when the backend's counts do, so reload on those (not on every poll).
+  const backendTotal = totalOf(chains, profileCounts);
+  useEffect(() => {
+    if (activeTab === "profile") profile.loadAchievements(ownerKey);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [activeTab, ownerKey, backendTotal]);
 
-    try {
-      await p.request({ method: "wallet_switchEthereumChain", params: [{ chainId: chain.chainIdHex }] });
-    } catch (err) {
-      if (err?.code === 4902) {
-        await p.request({
-          method: "wallet_addEthereumChain",
-          params: [
-            {
-              chainId: chain.chainIdHex,
-              chainName: chain.name,
-              rpcUrls: [chain.rpcUrl],
-              blockExplorerUrls: [chain.blockExplorer],
-              nativeCurrency: chain.nativeCurrency,
-            },
-          ],
-        });
-      } else {
-        throw err;
-      }
-    }
+  useEffect(() => {
+    if (activeTab === "war") war.loadWar();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [activeTab, account, hostFid, war.warSeason?.id]);
 
-    await refreshChainId();
-  };
+  useEffect(() => {
+    if (activeTab === "profile") notifications.loadNotifySettings();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [activeTab, session?.token]);
+
+  const isMe = (row) =>
+    (!!hostFid && row.fid === hostFid) || (!!account && row.address?.toLowerCase() === account.toLowerCase());
+
+  // Chain state read directly from public RPCs, with the player's balances: the
+  // connected wallet, or before connecting, the wallets linked to their FID.
+  const { linkedWallets } = profile;
+  const liveChains = useMemo(() => chainList.filter((c) => c.enabled), [chainList]);
+  const balanceAddresses = useMemo(
+    () => (account ? [account.toLowerCase()] : linkedWallets.map((w) => w.address)),
+    [account, linkedWallets]
+  );
+  const chainStatus = useChainStatus(liveChains, balanceAddresses);
+
+  // Live feed; standings changes refetch the boards (coalesced), and polling
+  // takes over while the stream is down.
+  const ranksTimer = useRef(null);
+  const { feed, connected: liveConnected } = useLiveFeed(BACKEND_URL, {
+    onRanks: () => {
+      clearTimeout(ranksTimer.current);
+      ranksTimer.current = setTimeout(() => {
+        invalidateBoards();
+        loadLeaderboards();
+        if (activeTab === "war") war.loadWar();
+      }, 500);
+    },
+    onPoll: () => {
+      invalidateBoards();
+      loadLeaderboards();
+      if (activeTab === "war") war.loadWar();
+    },
+  });
 
-  const sendStrike = async (chainKey) => {
-    const chain = CHAINS[chainKey];
+  const sendStrike = async (chainKey, count = 1) => {
+    const chain = chains[chainKey];
     const p = getActiveProvider();
 
+    if (!chain?.enabled) return setStatus("Strikes on this chain are paused.");
     if (!account) return setStatus("Connect a wallet first.");
     if (!p?.request) return setStatus("No wallet provider available.");
 
-    try {
-      setLoading(true);
-      setStatus(`Preparing strike on ${chain.name}…`);
-
-      await switchOrAddChain(chainKey);
-
-      const valueHex = "0x" + chain.valueWei.toString(16);
+    const baseline = profileCounts[chainKey] || 0;
+    const onSent = (hash) => {
+      setLastTx({ chainKey, hash });
+      track({ hash, chainKey, chainIdHex: chain.chainIdHex, from: account, owner: ownerKey, baseline });
+    };
 
-      setStatus("Confirm the transaction in your wallet…");
-      const hash = await p.request({
-        method: "eth_sendTransaction",
-        params: [{ from: account, to: chain.contractAddress, value: valueHex, data: "0x" }],
+    const { decimals, symbol } = chain.nativeCurrency;
+    const onCost = (cost) =>
+      setStrikeCost({
+        chainKey,
+        count,
+        text: `≈ ${formatNative(cost.total, decimals)} ${symbol} (${formatNative(cost.value, decimals)} + ~${formatNative(cost.fee, decimals)} gas)`,
       });
 
-      setLastTx({ chainKey, hash });
-      setStatus("Strike sent!");
-
-      setTimeout(() => {
-        loadLeaderboards();
-        if (inMiniApp && fcUser?.fid) loadCountsForFid(fcUser.fid);
-        else if (account) loadCountsForAddress(account);
-      }, 2500);
-    } catch {
-      setStatus("Transaction cancelled or failed.");
+    try {
+      setLoading(true);
+      const result = await wallet.sendStrike({
+        provider: p,
+        reader: readClient(chain),
+        account,
+        chain,
+        count,
+        onStatus: setStatus,
+        onCost,
+        onSent,
+        onProgress: setBatch,
+      });
+      setStatus(count > 1 ? batchSummary(chain.name, result) : "Strike submitted — waiting for confirmation…");
+    } catch (err) {
+      fail(err, { chain }, () => sendStrike(chainKey, count));
     } finally {
+      // the flow may have switched the wallet's chain
+      refreshChainId(p);
       setLoading(false);
     }
   };
 
-  const explorerTxUrl = () => {
-    if (!lastTx?.hash) return "#";
-    const chain = CHAINS[lastTx.chainKey];
-    return `${chain.blockExplorer}/tx/${lastTx.hash}`;
+  // Casts the player's share card: composeCast inside the host, the web composer elsewhere.
+  const shareRank = async () => {
+    const path = hostFid ? `fid/${hostFid}` : account ? `address/${account.toLowerCase()}` : null;
+    if (!path) return setStatus("Connect a wallet to share your rank.");
+
+    const embed = `${BACKEND_URL}/share/${path}`;
+    const text = `I'm a ${currentRank.name} in ChainWarZ with ${totalStrikes} strike${totalStrikes === 1 ? "" : "s"}. ⚔️`;
+    try {
+      if (inMiniApp) {
+        await sdk.actions.composeCast({ text, embeds: [embed] });
+      } else {
+        const params = new URLSearchParams({ text });
+        params.append("embeds[]", embed);
+        window.open(`https://farcaster.xyz/~/compose?${params}`, "_blank", "noopener,noreferrer");
+      }
+      setRankUp(null);
+    } catch {
+      setStatus("Sharing cancelled.");
+    }
   };
 
-  // Identity display priority:
-  // 1) backend (by fid)
-  // 2) fc context user
-  // 3) fallback
-  const displayName =
-    profileIdentity?.displayName ||
-    profileIdentity?.display_name ||
-    fcUser?.displayName ||
-    fcUser?.username ||
-    (account ? shortAddr(account) : "Unknown");
-
-  const username =
-    (profileIdentity?.username ? `@${profileIdentity.username}` : "") ||
-    (fcUser?.username ? `@${fcUser.username}` : "");
-
-  const pfpUrl =
-    profileIdentity?.pfpUrl ||
-    profileIdentity?.pfp_url ||
-    fcUser?.pfpUrl ||
-    (account ? `https://api.dicebear.com/7.x/avataaars/svg?seed=${account}` : "");
-
-  const bio =
-    profileIdentity?.bio ||
-    profileIdentity?.profile?.bio?.text ||
-    "";
-
-  // Use farcaster.xyz link (works even if names/domains change, and avoids “warpcast is gone” drama)
-  const profileUrl =
-    profileIdentity?.farcasterUrl ||
-    (profileIdentity?.username ? `https://farcaster.xyz/${profileIdentity.username}` : null) ||
-    (fcUser?.username ? `https://farcaster.xyz/${fcUser.username}` : null);
+  // Identity: the backend's (by FID), then the host's context user, then the wallet
+  const { displayName, username, pfpUrl, bio, profileUrl } = resolveIdentity({
+    identity: profile.profileIdentity,
+    fcUser,
+    account,
+  });
 
   return (
     <div className="min-h-screen bg-black text-white">
@@ -392,11 +404,31 @@ export default function App() {
           >
             <Crown size={18} /> Leaderboard
           </button>
+          <button
+            onClick={() => setActiveTab("war")}
+            className={`flex-1 rounded-lg px-3 py-2 font-bold flex items-center justify-center gap-2 border ${
+              activeTab === "war" ? "bg-gray-900 border-gray-700" : "bg-black border-gray-900 text-gray-300"
+            }`}
+          >
+            <Flag size={18} /> War
+          </button>
         </div>
 
         {status ? (
-          <div className="mb-4 rounded-lg border border-gray-800 bg-gray-950 px-3 py-2 text-sm text-gray-200">
-            {status}
+          <div className="mb-4 flex items-center gap-3 rounded-lg border border-gray-800 bg-gray-950 px-3 py-2 text-sm text-gray-200">
+            <div className="flex-1">{status}</div>
+            {retry?.status === status ? (
+              <button
+                onClick={() => {
+                  setRetry(null);
+                  retry.run();
+                }}
+                disabled={loading}
+                className="shrink-0 text-sm font-bold underline disabled:opacity-50"
+              >
+                Try again
+              </button>
+            ) : null}
           </div>
         ) : null}
 
@@ -407,7 +439,11 @@ export default function App() {
                 <div>
                   <div className="text-xs text-gray-400">Wallet</div>
                   <div className="font-bold">{account ? shortAddr(account) : "Not connected"}</div>
-                  {currentChainId ? <div className="text-xs text-gray-400 mt-1">Chain: {currentChainId}</div> : null}
+                  {currentChainId ? (
+                    <div className="text-xs text-gray-400 mt-1">
+                      Chain: {findChainById(chains, currentChainId)?.name || currentChainId}
+                    </div>
+                  ) : null}
                 </div>
                 <Wallet className="text-gray-300" />
               </div>
@@ -424,175 +460,184 @@ export default function App() {
                 </button>
 
                 <button
-                  onClick={() => requestAccounts(browserProvider, "browser")}
-                  disabled={!browserProvider || loading}
+                  onClick={onConnectBrowser}
+                  disabled={!browserWallets.length || loading}
                   className={`flex-1 rounded-lg px-3 py-2 font-bold border ${
-                    browserProvider ? "border-gray-700 bg-gray-900" : "border-gray-900 bg-black text-gray-600"
+                    browserWallets.length ? "border-gray-700 bg-gray-900" : "border-gray-900 bg-black text-gray-600"
                   }`}
                 >
                   Connect Browser
                 </button>
               </div>
 
-              {connectedVia ? <div className="mt-2 text-xs text-gray-400">Connected via: {connectedVia}</div> : null}
-            </div>
-
-            <div className="rounded-xl border border-gray-800 bg-gray-950 p-4">
-              <div className="font-bold mb-3">Strike</div>
-
-              <button
-                onClick={() => sendStrike("base")}
-                disabled={!account || loading}
-                className="w-full rounded-xl border border-blue-700 bg-blue-950 px-4 py-3 font-extrabold mb-3 disabled:opacity-50"
-              >
-                Base — {CHAINS.base.strikeLabel}
-              </button>
-
-              <button
-                onClick={() => sendStrike("hyperevm")}
-                disabled={!account || loading}
-                className="w-full rounded-xl border border-green-700 bg-green-950 px-4 py-3 font-extrabold disabled:opacity-50"
-              >
-                HyperEVM — {CHAINS.hyperevm.strikeLabel}
-              </button>
+              {showWalletPicker ? (
+                <div className="mt-3 space-y-2">
+                  {browserWallets.map((w) => (
+                    <button
+                      key={w.info.uuid}
+                      onClick={() => connectBrowser(w)}
+                      disabled={loading}
+                      className="w-full flex items-center gap-3 rounded-lg border border-gray-800 bg-black px-3 py-2 text-left"
+                    >
+                      {w.info.icon ? (
+                        <img src={w.info.icon} alt="" className="w-6 h-6 rounded" />
+                      ) : (
+                        <Wallet size={20} className="text-gray-400" />
+                      )}
+                      <span className="flex-1 font-bold">{w.info.name}</span>
+                      {w.info.rdns === rememberedWallet() ? <span className="text-xs text-gray-500">last used</span> : null}
+                    </button>
+                  ))}
+                </div>
+              ) : null}
 
-              {lastTx?.hash ? (
-                <a
-                  href={explorerTxUrl()}
-                  target="_blank"
-                  rel="noreferrer"
-                  className="mt-3 inline-flex items-center gap-2 text-sm text-gray-200 underline"
-                >
-                  View last tx <ExternalLink size={16} />
-                </a>
+              {connectedVia ? (
+                <div className="mt-2 text-xs text-gray-400">
+                  Connected via: {connectedVia}
+                  {connectedVia === "browser" && browserWallet ? ` (${browserWallet.name})` : ""}
+                </div>
               ) : null}
             </div>
+
+            <BattlefieldCard
+              chainList={liveChains}
+              status={chainStatus}
+              stats={boards.chainStats}
+              balanceLabel={balanceAddresses.length ? (account ? "Your balance" : "Your wallets") : null}
+            />
+
+            <StrikeCard
+              chains={chains}
+              chainList={chainList}
+              account={account}
+              loading={loading}
+              count={strikeCount}
+              onCount={setStrikeCount}
+              onStrike={sendStrike}
+              cost={strikeCost}
+              batch={batch}
+              rankUp={rankUp}
+              onShare={shareRank}
+              onDismissRankUp={() => setRankUp(null)}
+              lastTx={lastTx}
+            />
+
+            <StrikeList strikes={myStrikes} chains={chains} onDismiss={dismiss} />
+
+            <LiveFeed feed={feed} connected={liveConnected} chains={chains} />
           </div>
         )}
 
         {activeTab === "profile" && (
-          <div className="rounded-xl border border-gray-800 bg-gray-950 p-4">
-            {!account ? (
-              <div className="text-gray-300">Connect a wallet to see your strike counts.</div>
-            ) : (
-              <div className="flex gap-3">
-                <img
-                  src={pfpUrl}
-                  alt="pfp"
-                  className="w-14 h-14 rounded-full border border-gray-700 object-cover"
-                />
-                <div className="flex-1 min-w-0">
-                  <div className={`font-extrabold ${currentRank.className}`}>{currentRank.name}</div>
-                  <div className="font-bold truncate">{displayName}</div>
-                  {username ? <div className="text-sm text-gray-400 truncate">{username}</div> : null}
-                  {bio ? <div className="mt-2 text-sm text-gray-300">{bio}</div> : null}
-
-                  {profileUrl ? (
-                    <a
-                      href={profileUrl}
-                      target="_blank"
-                      rel="noreferrer"
-                      className="mt-2 inline-flex items-center gap-2 text-sm text-gray-200 underline"
-                    >
-                      View on Farcaster <ExternalLink size={16} />
-                    </a>
-                  ) : null}
+          <div className="space-y-4">
+            <PlayerLookup navigate={navigate} />
+            {account ? <LastUpdated info={profile.profileAge} online={online} /> : null}
 
-                  <div className="mt-3 grid grid-cols-2 gap-2 text-sm">
-                    <div className="rounded-lg border border-gray-800 bg-black px-3 py-2">
-                      <div className="text-xs text-gray-400">Base strikes</div>
-                      <div className="font-extrabold">{profileCounts.base}</div>
+            <div className="rounded-xl border border-gray-800 bg-gray-950 p-4">
+              {!account ? (
+                <div className="text-gray-300">Connect a wallet to see your strike counts, or look up any player above.</div>
+              ) : (
+                <div className="flex gap-3">
+                  <img
+                    src={pfpUrl}
+                    alt="pfp"
+                    className="w-14 h-14 rounded-full border border-gray-700 object-cover"
+                  />
+                  <div className="flex-1 min-w-0">
+                    <div className={`font-extrabold ${currentRank.className}`}>{currentRank.name}</div>
+                    <div className="font-bold truncate">{displayName}</div>
+                    {username ? <div className="text-sm text-gray-400 truncate">{username}</div> : null}
+                    {bio ? <div className="mt-2 text-sm text-gray-300">{bio}</div> : null}
+
+                    <div className="mt-2 flex items-center gap-4">
+                      {profileUrl ? (
+                        <a
+                          href={profileUrl}
+                          target="_blank"
+                          rel="noreferrer"
+                          className="inline-flex items-center gap-2 text-sm text-gray-200 underline"
+                        >
+                          View on Farcaster <ExternalLink size={16} />
+                        </a>
+                      ) : null}
+                      <button onClick={shareRank} className="inline-flex items-center gap-2 text-sm text-gray-200 underline">
+                        Share rank <Share2 size={16} />
+                      </button>
                     </div>
-                    <div className="rounded-lg border border-gray-800 bg-black px-3 py-2">
-                      <div className="text-xs text-gray-400">HyperEVM strikes</div>
-                      <div className="font-extrabold">{profileCounts.hyperevm}</div>
+
+                    <div className="mt-3 grid grid-cols-2 gap-2 text-sm">
+                      {chainList.map((c) => (
+                        <div key={c.key} className="rounded-lg border border-gray-800 bg-black px-3 py-2">
+                          <div className="text-xs text-gray-400">{c.name} strikes</div>
+                          <div className="font-extrabold">{shownCounts[c.key] || 0}</div>
+                          {optimistic.unconfirmed[c.key] ? (
+                            <div className="text-xs text-yellow-300">+{optimistic.unconfirmed[c.key]} unconfirmed</div>
+                          ) : null}
+                        </div>
+                      ))}
                     </div>
-                  </div>
 
-                  <div className="mt-3 text-xs text-gray-600">Running inside host</div>
+                    <div className="mt-3 text-xs text-gray-600">Running inside host</div>
+                  </div>
                 </div>
-              </div>
-            )}
+              )}
+            </div>
+
+            {account ? <AchievementsCard data={profile.achievements} /> : null}
+
+            {account && ownerKey ? (
+              <HistoryCard owner={ownerKey} chains={chains} chainList={chainList} version={backendTotal} />
+            ) : null}
+
+            {linkFid ? (
+              <NotificationsCard
+                notifications={notifications}
+                inMiniApp={inMiniApp}
+                loading={loading}
+                onSignIn={linking.onSignInForLinking}
+              />
+            ) : null}
+
+            {linkFid || account ? (
+              <LinkedWalletsCard
+                linking={linking}
+                wallets={linkedWallets}
+                chainList={chainList}
+                account={account}
+                canSignIn={!!account || !!hostFid}
+                loading={loading}
+              />
+            ) : null}
           </div>
         )}
 
         {activeTab === "leaderboard" && (
           <div className="space-y-4">
-            <div className="rounded-xl border border-gray-800 bg-gray-950 p-4">
-              <div className="flex items-center justify-between mb-3">
-                <div className="font-extrabold">Base Leaderboard</div>
-                <button className="text-sm underline text-gray-300" onClick={loadLeaderboards} disabled={loading}>
-                  Refresh
-                </button>
-              </div>
-
-              {leaderboard.base?.length ? (
-                <div className="space-y-2">
-                  {leaderboard.base.slice(0, 10).map((p) => (
-                    <div
-                      key={`b-${p.fid || p.address || p.rank}`}
-                      className="flex items-center gap-3 rounded-lg border border-gray-800 bg-black px-3 py-2"
-                    >
-                      <div className="w-10 text-center font-extrabold text-gray-300">#{p.rank}</div>
-                      {p.pfpUrl ? (
-                        <img src={p.pfpUrl} alt="" className="w-8 h-8 rounded-full border border-gray-700" />
-                      ) : (
-                        <div className="w-8 h-8 rounded-full border border-gray-700" />
-                      )}
-                      <div className="flex-1 min-w-0">
-                        <div className="font-bold truncate text-gray-200">
-                          {p.username ? p.username : p.address ? shortAddr(p.address) : "Unknown"}
-                        </div>
-                        <div className="text-xs text-gray-500 truncate">
-                          {p.walletCount > 1 ? `${p.walletCount} wallets merged` : "1 wallet"}
-                        </div>
-                      </div>
-                      <div className="font-extrabold text-blue-300">{p.txCount}</div>
-                    </div>
-                  ))}
-                </div>
-              ) : (
-                <div className="text-gray-400 text-sm">No data yet.</div>
-              )}
-            </div>
+            <LastUpdated info={boards.boardsAge} online={online} />
+            <LiveFeed feed={feed.slice(0, 5)} connected={liveConnected} chains={chains} />
+
+            <Leaderboards
+              boards={boards}
+              chains={chains}
+              chainList={chainList}
+              unconfirmed={optimistic.unconfirmed}
+              isMe={isMe}
+              loading={loading}
+              navigate={navigate}
+            />
+          </div>
+        )}
 
-            <div className="rounded-xl border border-gray-800 bg-gray-950 p-4">
-              <div className="flex items-center justify-between mb-3">
-                <div className="font-extrabold">HyperEVM Leaderboard</div>
-                <button className="text-sm underline text-gray-300" onClick={loadLeaderboards} disabled={loading}>
-                  Refresh
-                </button>
-              </div>
+        {activeTab === "war" && (
+          <div className="space-y-4">
+            <FactionWar war={war} canPledge={!!account || !!linkFid} loading={loading} navigate={navigate} />
+          </div>
+        )}
 
-              {leaderboard.hyperevm?.length ? (
-                <div className="space-y-2">
-                  {leaderboard.hyperevm.slice(0, 10).map((p) => (
-                    <div
-                      key={`h-${p.fid || p.address || p.rank}`}
-                      className="flex items-center gap-3 rounded-lg border border-gray-800 bg-black px-3 py-2"
-                    >
-                      <div className="w-10 text-center font-extrabold text-gray-300">#{p.rank}</div>
-                      {p.pfpUrl ? (
-                        <img src={p.pfpUrl} alt="" className="w-8 h-8 rounded-full border border-gray-700" />
-                      ) : (
-                        <div className="w-8 h-8 rounded-full border border-gray-700" />
-                      )}
-                      <div className="flex-1 min-w-0">
-                        <div className="font-bold truncate text-gray-200">
-                          {p.username ? p.username : p.address ? shortAddr(p.address) : "Unknown"}
-                        </div>
-                        <div className="text-xs text-gray-500 truncate">
-                          {p.walletCount > 1 ? `${p.walletCount} wallets merged` : "1 wallet"}
-                        </div>
-                      </div>
-                      <div className="font-extrabold text-green-300">{p.txCount}</div>
-                    </div>
-                  ))}
-                </div>
-              ) : (
-                <div className="text-gray-400 text-sm">No data yet.</div>
-              )}
-            </div>
+        {activeTab === "player" && (
+          <div className="space-y-4">
+            <PlayerLookup navigate={navigate} />
+            <PlayerProfile route={route} chains={chains} chainList={chainList} navigate={navigate} />
           </div>
         )}
       </div>
@@ -0,0 +1,73 @@
+// @vitest-environment jsdom
+import { afterAll, afterEach, beforeAll, describe, expect, it, vi } from "vitest";
+import { cleanup, fireEvent, render, screen } from "@testing-library/react";
+import { createMockProvider } from "./test/mockProvider";
+import { startBackend } from "./test/backend";
+
+// Renders the whole app against the real backend (in memory) and a mock
+// browser wallet, and visits every tab: a component that fails to import or
+// render fails here.
+
+const chain = vi.hoisted(() => ({ provider: null }));
+
+vi.mock("@farcaster/miniapp-sdk", () => ({
+  sdk: {
+    isInMiniApp: async () => false,
+    context: Promise.resolve(null),
+    actions: { ready: async () => {} },
+    getCapabilities: async () => [],
+  },
+}));
+
+// the chains' public RPCs are the mock chain too
+vi.mock("./rpc", () => ({ readClient: (c) => (c ? chain.provider.reader(c.chainIdHex) : null) }));
+
+const ACCOUNT = "0x70997970c51812dc3a010c7d01b50e0d17dc79c8";
+
+let backend;
+let App;
+
+beforeAll(async () => {
+  globalThis.IS_REACT_ACT_ENVIRONMENT = true;
+  chain.provider = createMockProvider({ accounts: [ACCOUNT] });
+  backend = await startBackend({ provider: chain.provider });
+  vi.stubEnv("VITE_BACKEND_URL", backend.url);
+  ({ default: App } = await import("./App"));
+});
+
+afterEach(() => {
+  cleanup();
+  window.history.replaceState(null, "", "/");
+});
+
+afterAll(async () => {
+  vi.unstubAllEnvs();
+  delete window.ethereum;
+  await backend.close();
+});
+
+// the tab bar comes first
+const tab = (name) => screen.getAllByRole("button", { name })[0];
+
+describe("App", () => {
+  it("renders every tab with a browser wallet connected", async () => {
+    window.ethereum = chain.provider;
+    render(<App />);
+
+    fireEvent.click(await screen.findByRole("button", { name: "Connect Browser" }));
+    expect(await screen.findByText("Connected via: browser (Browser wallet)")).toBeTruthy();
+    expect(screen.getByText("0x7099…79c8")).toBeTruthy();
+
+    fireEvent.click(tab("Profile"));
+    expect(await screen.findByText("Achievements")).toBeTruthy();
+
+    fireEvent.click(tab("Leaderboard"));
+    expect(await screen.findByPlaceholderText("Search username, address or FID")).toBeTruthy();
+
+    fireEvent.click(tab("War"));
+    expect(await screen.findByText("Faction War")).toBeTruthy();
+
+    fireEvent.click(tab("Game"));
+    expect(await screen.findByText("Connected via: browser (Browser wallet)")).toBeTruthy();
+  });
+});
@@ -0,0 +1,96 @@
+import { getJson, invalidate, HttpError } from "./requestCache";
+
+// Client for the backend's API. Reads go through the request cache
+// (requestCache.js); invalidateBoards / invalidateProfiles drop what a strike,
+// link or pledge has made stale. Writes and anything tied to a session bypass
+// it: they take the session `token` (from signInWithFarcaster / signInWithWallet)
+// and throw HttpError on failure — status 401 when the session has expired.
+
+export const BACKEND_URL = import.meta.env.VITE_BACKEND_URL || "https://chainwarz-backend-production.up.railway.app";
+
+const SEASONS_MAX_AGE_MS = 5 * 60 * 1000;
+const ACHIEVEMENTS_MAX_AGE_MS = 60 * 1000;
+// identities change rarely; the backend caches them for as long
+const IDENTITY_MAX_AGE_MS = 10 * 60 * 1000;
+
+// owner is "fid:<n>" or a wallet address; the /api/profile path for it.
+export function ownerPath(owner) {
+  return owner.startsWith("fid:") ? `fid/${owner.slice(4)}` : owner.toLowerCase();
+}
+
+export function createApi(backendUrl = BACKEND_URL) {
+  const url = (path) => `${backendUrl}/api${path}`;
+
+  // window is "all", a rolling window ("24h", …) or "season:<id>"; fid /
+  // address pin the player's own row.
+  const leaderboardUrl = (key, { offset = 0, limit, q, window = "all", verified = false, fid, address } = {}) => {
+    const params = new URLSearchParams({ offset: String(offset) });
+    if (limit) params.set("limit", String(limit));
+    if (q) params.set("q", q);
+    if (window.startsWith("season:")) params.set("season", window.slice("season:".length));
+    else if (window !== "all") params.set("window", window);
+    if (verified) params.set("verified", "1");
+    if (fid) params.set("fid", String(fid));
+    if (address) params.set("address", address);
+    return url(`/leaderboard/${key}?${params}`);
+  };
+
+  const profileUrl = (owner) => url(`/profile/${ownerPath(owner)}`);
+  const historyUrl = (owner, params) => `${profileUrl(owner)}/history?${new URLSearchParams(params)}`;
+
+  const send = async (method, path, { token, body } = {}) => {
+    const headers = {};
+    if (body !== undefined) headers["content-type"] = "application/json";
+    if (token) headers.authorization = `Bearer ${token}`;
+    const r = await fetch(url(path), { method, headers, body: body === undefined ? undefined : JSON.stringify(body) });
+    let data = null;
+    try {
+      data = await r.json();
+    } catch {}
+    if (!r.ok) throw new HttpError(r.status, data);
+    return data;
+  };
+
+  return {
+    url,
+    leaderboardUrl,
+    profileUrl,
+
+    chainStats: (opts) => getJson(url("/chains/stats"), opts),
+    leaderboard: (key, query, opts) => getJson(leaderboardUrl(key, query), opts),
+    seasons: () => getJson(url("/seasons"), { maxAgeMs: SEASONS_MAX_AGE_MS }),
+    profile: (owner, opts) => getJson(profileUrl(owner), opts),
+    achievements: (owner, opts) => getJson(`${profileUrl(owner)}/achievements`, { maxAgeMs: ACHIEVEMENTS_MAX_AGE_MS, ...opts }),
+    historyUrl,
+    history: (owner, params, opts) => getJson(historyUrl(owner, params), opts),
+    farcasterUser: (fid) => getJson(url(`/farcaster/user/${fid}`), { maxAgeMs: IDENTITY_MAX_AGE_MS }),
+    factions: (params) => getJson(url(`/factions?${params}`)),
+    factionBoard: (key, params) => getJson(url(`/factions/${key}/leaderboard?${params}`)),
+
+    invalidateBoards() {
+      invalidate(url("/leaderboard/"));
+      invalidate(url("/factions"));
+      invalidate(url("/chains/stats"));
+    },
+    invalidateProfiles: () => invalidate(url("/profile/")),
+
+    // Sign-in: a single-use nonce for the message, then the signed message for
+    // a session { token, fid, expiresAt }.
+    nonce: async () => (await send("GET", "/auth/nonce")).nonce,
+    signInWithFarcaster: ({ message, signature }) => send("POST", "/auth/farcaster", { body: { message, signature } }),
+    signInWithWallet: ({ message, signature }) => send("POST", "/auth/wallet", { body: { message, signature } }),
+
+    linkWallet: (token, { message, signature }) => send("POST", "/links", { token, body: { message, signature } }),
+    unlinkWallet: (token, address) => send("DELETE", `/links/${address}`, { token }),
+
+    // With a session the pledge is for its FID; without one `message` and
+    // `signature` pledge the signing wallet.
+    pledge: ({ token, faction, message, signature }) =>
+      send("POST", "/factions/pledge", { token, body: { faction, message, signature } }),
+
+    notificationSettings: (token) => send("GET", "/notifications/settings", { token }),
+    saveNotificationSettings: (token, prefs) => send("PUT", "/notifications/settings", { token, body: prefs }),
+  };
+}
+
+export const api = createApi();
@@ -0,0 +1,67 @@
+import { walletRequest, classifyError, RPC_TIMEOUT_MS } from "./walletErrors";
+
+// "Strike × N": sends N strikes in one flow as N sequential eth_sendTransaction
+// calls from the player with managed nonces — the account's pending nonce is
+// read once, then each strike takes the next one.
+//
+// Strikes are deliberately never bundled (EIP-5792 wallet_sendCalls): smart
+// and 7702 accounts run bundled calls as internal calls, which the indexer —
+// counting top-level transfers from the player to the contract — never sees.
+
+export const MAX_BATCH = 25;
+
+const toHex = (n) => "0x" + BigInt(n).toString(16);
+
+export function strikeCall(chain) {
+  return { to: chain.contractAddress, value: toHex(chain.valueWei), data: "0x" };
+}
+
+// Runs the batch and resolves with a summary. `onProgress` receives the item
+// list ({ status, hash, error }) after every change; `onSent` each transaction
+// hash. The first rejected or failed strike ends the batch — later nonces would
+// be stuck behind the gap — and keeps classifyError's { kind, message } as
+// `error`; the rest are skipped.
+export async function sendStrikeBatch({ provider, account, chain, count, onSent, onProgress }) {
+  const items = Array.from({ length: count }, () => ({ status: "queued", hash: null, error: null }));
+
+  const report = (i, patch) => {
+    items[i] = { ...items[i], ...patch };
+    onProgress?.({ chainKey: chain.key, items: [...items] });
+  };
+  onProgress?.({ chainKey: chain.key, items: [...items] });
+
+  const first = BigInt(
+    await walletRequest(
+      provider,
+      { method: "eth_getTransactionCount", params: [account, "pending"] },
+      { timeoutMs: RPC_TIMEOUT_MS }
+    )
+  );
+
+  for (let i = 0; i < count; i++) {
+    report(i, { status: "signing" });
+    try {
+      const hash = await walletRequest(provider, {
+        method: "eth_sendTransaction",
+        params: [{ from: account, ...strikeCall(chain), nonce: toHex(first + BigInt(i)) }],
+      });
+      report(i, { status: "sent", hash });
+      onSent?.(hash);
+    } catch (err) {
+      const error = classifyError(err, { chain });
+      report(i, { status: error.kind === "rejected" ? "rejected" : "failed", error });
+      for (let j = i + 1; j < count; j++) report(j, { status: "skipped" });
+      break;
+    }
+  }
+
+  const tally = (s) => items.filter((it) => it.status === s).length;
+  return {
+    count,
+    sent: tally("sent"),
+    rejected: tally("rejected"),
+    failed: tally("failed"),
+    skipped: tally("skipped"),
+    error: items.find((it) => it.error)?.error || null,
+  };
+}
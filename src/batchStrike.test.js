@@ -0,0 +1,63 @@
+import { describe, expect, it } from "vitest";
+import { createMockProvider } from "./test/mockProvider";
+import { DEFAULT_CHAINS } from "./chains";
+import { sendStrikeBatch } from "./batchStrike";
+
+const base = DEFAULT_CHAINS.base;
+const ACCOUNT = "0x70997970c51812dc3a010c7d01b50e0d17dc79c8";
+
+// A wallet on Base that already holds `sent` transactions from ACCOUNT and
+// fails the `failAt`-th eth_sendTransaction of the batch with `error`.
+async function walletOnBase({ sent = 0, failAt = null, error = null } = {}) {
+  const provider = createMockProvider({ accounts: [ACCOUNT], chainIdHex: base.chainIdHex, known: [base.chainIdHex] });
+  await provider.request({ method: "eth_requestAccounts" });
+  for (let i = 0; i < sent; i++) {
+    await provider.request({ method: "eth_sendTransaction", params: [{ from: ACCOUNT, to: ACCOUNT, value: "0x0" }] });
+  }
+  provider.calls.length = 0;
+
+  const request = provider.request;
+  let n = 0;
+  provider.request = async (args) => {
+    if (args.method === "eth_sendTransaction" && ++n === failAt) throw error;
+    return request(args);
+  };
+  return provider;
+}
+
+const sends = (provider) => provider.calls.filter((c) => c.method === "eth_sendTransaction").map((c) => c.params[0]);
+
+describe("sendStrikeBatch", () => {
+  it("sends each strike with the next nonce after the account's pending ones", async () => {
+    const provider = await walletOnBase({ sent: 2 });
+    const hashes = [];
+
+    const result = await sendStrikeBatch({ provider, account: ACCOUNT, chain: base, count: 3, onSent: (h) => hashes.push(h) });
+
+    expect(result).toEqual({ count: 3, sent: 3, rejected: 0, failed: 0, skipped: 0, error: null });
+    expect(sends(provider).map((tx) => tx.nonce)).toEqual(["0x2", "0x3", "0x4"]);
+    expect(hashes).toHaveLength(3);
+  });
+
+  it("keeps the classified error on the strike that failed and skips the rest", async () => {
+    const error = Object.assign(new Error("insufficient funds for gas * price + value"), { code: -32000 });
+    const provider = await walletOnBase({ failAt: 2, error });
+    const progress = [];
+
+    const result = await sendStrikeBatch({ provider, account: ACCOUNT, chain: base, count: 4, onProgress: (p) => progress.push(p) });
+
+    expect(result).toMatchObject({ count: 4, sent: 1, failed: 1, skipped: 2, error: { kind: "insufficientFunds" } });
+    const items = progress.at(-1).items;
+    expect(items.map((it) => it.status)).toEqual(["sent", "failed", "skipped", "skipped"]);
+    expect(items[1].error.message).toMatch(/Not enough ETH on Base/);
+    expect(sends(provider)).toHaveLength(1);
+  });
+
+  it("reports a rejection in the wallet as rejected", async () => {
+    const provider = await walletOnBase({ failAt: 1, error: Object.assign(new Error("User rejected the request."), { code: 4001 }) });
+
+    const result = await sendStrikeBatch({ provider, account: ACCOUNT, chain: base, count: 2 });
+
+    expect(result).toMatchObject({ sent: 0, rejected: 1, skipped: 1, error: { kind: "rejected" } });
+  });
+});
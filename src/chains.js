@@ -0,0 +1,68 @@
+import defaultRegistry from "../chains.json";
+
+// Chain registry. The bundled chains.json is the offline default; the backend's
+// /api/chains is authoritative (it can switch a chain off without a redeploy).
+// valueWei arrives as a decimal string and is kept as a bigint. rpcUrls lists
+// the public endpoints for read-only access (see rpc.js), rpcUrl first.
+
+// Tailwind only ships classes it can see in source, so themes are spelled out.
+export const CHAIN_THEMES = {
+  blue: { button: "border-blue-700 bg-blue-950", count: "text-blue-300", bar: "bg-blue-500" },
+  green: { button: "border-green-700 bg-green-950", count: "text-green-300", bar: "bg-green-500" },
+  purple: { button: "border-purple-700 bg-purple-950", count: "text-purple-300", bar: "bg-purple-500" },
+  orange: { button: "border-orange-700 bg-orange-950", count: "text-orange-300", bar: "bg-orange-500" },
+  red: { button: "border-red-700 bg-red-950", count: "text-red-300", bar: "bg-red-500" },
+};
+
+export function chainTheme(chain) {
+  return CHAIN_THEMES[chain?.theme] || CHAIN_THEMES.blue;
+}
+
+// Combined board across every chain (ranked like getRank: on total strikes)
+export const ALL_CHAINS_BOARD = { key: "all", name: "All chains", theme: "purple" };
+
+export function normalizeChains(raw) {
+  const chains = {};
+  for (const [key, c] of Object.entries(raw || {})) {
+    if (!c?.chainIdHex || !c?.contractAddress || c?.valueWei === undefined) continue;
+    const rpcUrls = [...new Set([c.rpcUrl, ...(Array.isArray(c.rpcUrls) ? c.rpcUrls : [])].filter(Boolean))];
+    chains[key] = { ...c, key, rpcUrls, valueWei: BigInt(c.valueWei), enabled: c.enabled !== false };
+  }
+  return chains;
+}
+
+export const DEFAULT_CHAINS = normalizeChains(defaultRegistry);
+
+export async function fetchChains(backendUrl) {
+  try {
+    const r = await fetch(`${backendUrl}/api/chains`);
+    if (!r.ok) return DEFAULT_CHAINS;
+    const chains = normalizeChains(await r.json());
+    return Object.keys(chains).length ? chains : DEFAULT_CHAINS;
+  } catch {
+    return DEFAULT_CHAINS;
+  }
+}
+
+// { base: 0, hyperevm: 0, … } from a backend txCount object.
+export function countsFor(chains, txCount) {
+  const counts = {};
+  for (const key of Object.keys(chains)) counts[key] = txCount?.[key] || 0;
+  return counts;
+}
+
+export function totalOf(chains, counts) {
+  return Object.keys(chains).reduce((n, key) => n + (counts?.[key] || 0), 0);
+}
+
+// The block explorer page of `tx` ({ chainKey, hash }), or "#" when unknown.
+export function explorerTxUrl(chains, tx) {
+  const chain = tx?.hash && chains[tx.chainKey];
+  return chain ? `${chain.blockExplorer}/tx/${tx.hash}` : "#";
+}
+
+export function findChainById(chains, chainIdHex) {
+  if (!chainIdHex) return null;
+  const id = BigInt(chainIdHex);
+  return Object.values(chains).find((c) => BigInt(c.chainIdHex) === id) || null;
+}
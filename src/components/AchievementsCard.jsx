@@ -0,0 +1,80 @@
+import React, { useState } from "react";
+import { Award, Lock } from "lucide-react";
+
+// Earned badges first (most recent on top), then locked ones by how close they are.
+function sortAchievements(list) {
+  const ratio = (a) => a.progress.current / a.progress.target;
+  return [...list].sort((a, b) => {
+    if (a.earned !== b.earned) return a.earned ? -1 : 1;
+    if (a.earned) return (b.unlockedAt || "").localeCompare(a.unlockedAt || "");
+    return ratio(b) - ratio(a);
+  });
+}
+
+export function AchievementsCard({ data }) {
+  const [showLocked, setShowLocked] = useState(false);
+  if (!data) return null;
+
+  const sorted = sortAchievements(data.achievements);
+  const shown = showLocked ? sorted : sorted.filter((a) => a.earned);
+
+  return (
+    <div className="rounded-xl border border-gray-800 bg-gray-950 p-4">
+      <div className="flex items-center justify-between mb-3">
+        <div className="font-bold">Achievements</div>
+        <div className="text-xs text-gray-500">
+          {data.earned} / {data.total} earned
+        </div>
+      </div>
+
+      {shown.length ? (
+        <div className="grid grid-cols-2 gap-2">
+          {shown.map((a) => (
+            <div
+              key={a.id}
+              className={`rounded-lg border px-3 py-2 ${
+                a.earned ? "border-yellow-700 bg-black" : "border-gray-800 bg-black opacity-70"
+              }`}
+              title={a.description}
+            >
+              <div className="flex items-center gap-2 min-w-0">
+                {a.earned ? (
+                  <Award size={16} className="shrink-0 text-yellow-300" />
+                ) : (
+                  <Lock size={16} className="shrink-0 text-gray-500" />
+                )}
+                <div className={`text-sm font-bold truncate ${a.earned ? "text-gray-100" : "text-gray-400"}`}>{a.name}</div>
+              </div>
+              <div className="mt-1 text-xs text-gray-500">{a.description}</div>
+              {a.earned ? (
+                <div className="mt-1 text-xs text-yellow-300">
+                  {a.unlockedAt ? `Unlocked ${new Date(a.unlockedAt).toLocaleDateString()}` : "Unlocked"}
+                </div>
+              ) : (
+                <div className="mt-2">
+                  <div className="h-1.5 rounded-full bg-gray-800 overflow-hidden">
+                    <div
+                      className="h-full bg-gray-400"
+                      style={{ width: `${(a.progress.current / a.progress.target) * 100}%` }}
+                    />
+                  </div>
+                  <div className="mt-1 text-xs text-gray-500">
+                    {a.progress.current} / {a.progress.target}
+                  </div>
+                </div>
+              )}
+            </div>
+          ))}
+        </div>
+      ) : (
+        <div className="text-sm text-gray-400">No badges yet — land a strike to earn your first.</div>
+      )}
+
+      {data.total > data.earned ? (
+        <button className="mt-3 text-xs text-gray-400 underline" onClick={() => setShowLocked((v) => !v)}>
+          {showLocked ? "Hide locked" : `Show locked (${data.total - data.earned})`}
+        </button>
+      ) : null}
+    </div>
+  );
+}
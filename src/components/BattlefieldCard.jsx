@@ -0,0 +1,48 @@
+import React from "react";
+import { chainTheme } from "../chains";
+import { formatNative } from "../preflight";
+
+const HEALTH_CLASS = { ok: "bg-green-500", degraded: "bg-yellow-500", down: "bg-red-500" };
+
+// Each chain as its public RPC sees it (useChainStatus) — no wallet needed —
+// with the strikes the backend has indexed there (`stats`, /api/chains/stats).
+export function BattlefieldCard({ chainList, status, stats, balanceLabel }) {
+  return (
+    <div className="rounded-xl border border-gray-800 bg-gray-950 p-4">
+      <div className="font-bold mb-3">Battlefield</div>
+      <div className="space-y-2">
+        {chainList.map((c) => {
+          const s = status[c.key];
+          const { decimals, symbol } = c.nativeCurrency;
+          const endpoints = s?.health.endpoints || [];
+          return (
+            <div key={c.key} className="rounded-lg border border-gray-800 bg-black px-3 py-2 text-sm">
+              <div className="flex items-center gap-2">
+                <span
+                  className={`w-2 h-2 rounded-full ${HEALTH_CLASS[s?.health.status] || "bg-gray-600"}`}
+                  title={endpoints
+                    .map((ep) => `${ep.url} — ${ep.up ? `${ep.latencyMs ?? "?"}ms, score ${ep.score}` : "down"}`)
+                    .join("\n")}
+                />
+                <span className={`font-bold ${chainTheme(c).count}`}>{c.name}</span>
+                <span className="flex-1" />
+                <span className="text-xs text-gray-500">
+                  {s?.head != null ? `block ${s.head.toLocaleString()} · ${s.blockAge}s ago` : "connecting…"}
+                </span>
+              </div>
+              <div className="mt-1 flex justify-between gap-2 text-xs text-gray-400">
+                <span>Strikes {stats?.[c.key] ? stats[c.key].strikes.toLocaleString() : "—"}</span>
+                <span>War chest {s?.warChest != null ? `${formatNative(s.warChest, decimals)} ${symbol}` : "—"}</span>
+                {balanceLabel && s?.balance != null ? (
+                  <span>
+                    {balanceLabel} {formatNative(s.balance, decimals)} {symbol}
+                  </span>
+                ) : null}
+              </div>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
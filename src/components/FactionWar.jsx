@@ -0,0 +1,115 @@
+import React from "react";
+import { Crown } from "lucide-react";
+import { chainTheme } from "../chains";
+import { api } from "../api";
+import { shortAddr } from "../identity";
+import { EMPTY_BOARD } from "../useLeaderboards";
+import { LeaderboardRow } from "./LeaderboardRow";
+import { WarBar } from "./WarBar";
+
+// The War tab: the factions' standing, the player's side (or the sides to
+// pledge to; canPledge once there is a wallet or FID to pledge with) and each
+// faction's top players (see useWar).
+export function FactionWar({ war: warState, canPledge, loading, navigate }) {
+  const { war, factionBoards, warSeason, loadWar, pledgeTo } = warState;
+
+  return (
+    <>
+      <div className="rounded-xl border border-gray-800 bg-gray-950 p-4">
+        <div className="flex items-center justify-between mb-3">
+          <div>
+            <div className="font-extrabold">Faction War</div>
+            <div className="text-xs text-gray-500">{warSeason ? warSeason.name : "All time"}</div>
+          </div>
+          <button
+            className="text-sm underline text-gray-300"
+            onClick={() => {
+              api.invalidateBoards();
+              loadWar();
+            }}
+            disabled={loading}
+          >
+            Refresh
+          </button>
+        </div>
+
+        {war ? <WarBar war={war} /> : <div className="text-sm text-gray-400">Loading the front lines…</div>}
+
+        {war ? (
+          <div className="mt-4">
+            {war.me ? (
+              <div className="mb-2 text-sm text-gray-300">
+                You fight for{" "}
+                <span className="font-bold">{war.factions.find((f) => f.key === war.me.faction)?.name || war.me.faction}</span>
+                {Date.parse(war.me.switchableAt) > Date.now()
+                  ? ` · can switch after ${new Date(war.me.switchableAt).toLocaleDateString()}`
+                  : ""}
+              </div>
+            ) : (
+              <div className="mb-2 text-sm text-gray-400">
+                Pick a side. Every strike you land after pledging, on any chain, counts for your faction.
+              </div>
+            )}
+            <div className="grid grid-cols-2 gap-2">
+              {war.factions.map((f) => (
+                <button
+                  key={f.key}
+                  onClick={() => pledgeTo(f)}
+                  disabled={
+                    loading ||
+                    !canPledge ||
+                    war.me?.faction === f.key ||
+                    (!!war.me && Date.parse(war.me.switchableAt) > Date.now())
+                  }
+                  className={`rounded-lg border px-3 py-2 text-sm font-bold disabled:opacity-50 ${chainTheme(f).button}`}
+                >
+                  {war.me?.faction === f.key ? `${f.name} ✓` : `Pledge to ${f.name}`}
+                </button>
+              ))}
+            </div>
+          </div>
+        ) : null}
+      </div>
+
+      {(war?.factions || []).map((f) => {
+        const board = factionBoards[f.key] || EMPTY_BOARD;
+        return (
+          <div key={f.key} className="rounded-xl border border-gray-800 bg-gray-950 p-4">
+            <div className="flex items-center justify-between mb-3">
+              <div>
+                <div className={`font-extrabold ${chainTheme(f).count}`}>{f.name}</div>
+                <div className="text-xs text-gray-500">
+                  {f.members} member{f.members === 1 ? "" : "s"} · {f.score} war strikes
+                </div>
+              </div>
+              {f.mvp ? (
+                <div className="text-right text-xs text-gray-400">
+                  <div className="flex items-center justify-end gap-1 font-bold text-yellow-300">
+                    <Crown size={14} /> MVP
+                  </div>
+                  <div className="truncate">{f.mvp.username || shortAddr(f.mvp.address)}</div>
+                </div>
+              ) : null}
+            </div>
+
+            {board.me ? (
+              <div className="mb-2">
+                <LeaderboardRow p={board.me} chain={f} you navigate={navigate} />
+              </div>
+            ) : null}
+
+            {board.entries.length ? (
+              <div className="space-y-2">
+                {board.entries.map((p) => (
+                  <LeaderboardRow key={`${f.key}-${p.fid || p.address}`} p={p} chain={f} navigate={navigate} />
+                ))}
+              </div>
+            ) : (
+              <div className="text-gray-400 text-sm">No war strikes yet.</div>
+            )}
+          </div>
+        );
+      })}
+    </>
+  );
+}
@@ -0,0 +1,128 @@
+import React, { useEffect, useState } from "react";
+import { ExternalLink } from "lucide-react";
+import { chainTheme } from "../chains";
+import { api } from "../api";
+import { shortAddr } from "../identity";
+
+const HISTORY_PAGE = 20;
+
+// Strikes per day for the last 30 days, one stacked bar per day.
+function DailyChart({ daily, chains, chainList }) {
+  const max = Math.max(1, ...daily.map((d) => Object.values(d.counts).reduce((n, c) => n + c, 0)));
+  return (
+    <div>
+      <div className="flex items-end gap-0.5 h-24">
+        {daily.map((d) => (
+          <div
+            key={d.date}
+            className="flex-1 flex flex-col-reverse h-full"
+            title={`${d.date}: ${chainList.map((c) => `${c.name} ${d.counts[c.key] || 0}`).join(", ")}`}
+          >
+            {chainList.map((c) =>
+              d.counts[c.key] ? (
+                <div
+                  key={c.key}
+                  className={chainTheme(chains[c.key]).bar}
+                  style={{ height: `${(d.counts[c.key] / max) * 100}%` }}
+                />
+              ) : null
+            )}
+          </div>
+        ))}
+      </div>
+      <div className="mt-1 flex justify-between text-xs text-gray-600">
+        <span>{daily[0]?.date}</span>
+        <span>today</span>
+      </div>
+    </div>
+  );
+}
+
+// The player's full strike log with daily chart, streaks, spend and CSV export.
+// `version` changes when their counts do, which reloads it.
+export function HistoryCard({ owner, chains, chainList, version }) {
+  const [data, setData] = useState(null);
+  const [more, setMore] = useState(false);
+
+  useEffect(() => {
+    let cancelled = false;
+    const show = (body) => !cancelled && setData(Array.isArray(body?.strikes) ? body : null);
+    api.history(owner, { limit: HISTORY_PAGE }, { onUpdate: show }).then(show, () => {});
+    return () => {
+      cancelled = true;
+    };
+  }, [owner, version]);
+
+  const loadMore = async () => {
+    setMore(true);
+    try {
+      const body = await api.history(owner, { offset: data.strikes.length, limit: HISTORY_PAGE });
+      if (Array.isArray(body?.strikes)) setData((d) => ({ ...d, strikes: [...d.strikes, ...body.strikes] }));
+    } catch {}
+    setMore(false);
+  };
+
+  if (!data) return null;
+  const { streak, spent, daily } = data.stats;
+
+  return (
+    <div className="rounded-xl border border-gray-800 bg-gray-950 p-4">
+      <div className="flex items-center justify-between mb-3">
+        <div className="font-bold">History</div>
+        {data.total ? (
+          <a href={api.historyUrl(owner, { format: "csv" })} download className="text-xs text-gray-400 underline">
+            Export CSV
+          </a>
+        ) : null}
+      </div>
+
+      <div className="grid grid-cols-2 gap-2 text-sm mb-3">
+        <div className="rounded-lg border border-gray-800 bg-black px-3 py-2">
+          <div className="text-xs text-gray-400">Current streak</div>
+          <div className="font-extrabold">
+            {streak.current} day{streak.current === 1 ? "" : "s"}
+          </div>
+        </div>
+        <div className="rounded-lg border border-gray-800 bg-black px-3 py-2">
+          <div className="text-xs text-gray-400">Best streak</div>
+          <div className="font-extrabold">
+            {streak.best} day{streak.best === 1 ? "" : "s"}
+          </div>
+        </div>
+        {chainList.map((c) =>
+          spent[c.key] ? (
+            <div key={c.key} className="rounded-lg border border-gray-800 bg-black px-3 py-2">
+              <div className="text-xs text-gray-400">Spent on {c.name}</div>
+              <div className={`font-extrabold truncate ${chainTheme(c).count}`}>
+                {spent[c.key].amount} {spent[c.key].symbol}
+              </div>
+            </div>
+          ) : null
+        )}
+      </div>
+
+      <DailyChart daily={daily} chains={chains} chainList={chainList} />
+
+      {data.strikes.length ? (
+        <div className="mt-3 space-y-1 text-sm">
+          {data.strikes.map((st) => (
+            <a key={st.hash} href={st.url} target="_blank" rel="noreferrer" className="flex items-center gap-2 text-gray-300">
+              <span className={`font-bold ${chainTheme(chains[st.chain]).count}`}>{chains[st.chain]?.name || st.chain}</span>
+              <span className="flex-1 truncate text-gray-500">{shortAddr(st.hash)}</span>
+              <span className="text-xs text-gray-500">{new Date(st.timestamp * 1000).toLocaleString()}</span>
+              <ExternalLink size={14} className="text-gray-500" />
+            </a>
+          ))}
+        </div>
+      ) : (
+        <div className="mt-3 text-sm text-gray-400">No strikes yet.</div>
+      )}
+
+      {data.strikes.length < data.total ? (
+        <button className="mt-3 text-xs text-gray-400 underline" onClick={loadMore} disabled={more}>
+          {more ? "Loading…" : `Show more (${data.total - data.strikes.length})`}
+        </button>
+      ) : null}
+    </div>
+  );
+}
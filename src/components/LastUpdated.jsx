@@ -0,0 +1,13 @@
+import React from "react";
+import { timeAgo } from "../time";
+
+// How fresh the data on screen is; `info` is cacheInfo() of its request.
+// Offline it says where the numbers come from.
+export function LastUpdated({ info, online }) {
+  if (!info) return null;
+  const age = timeAgo(info.updatedAt / 1000);
+  if (!online || info.offline) {
+    return <div className="text-xs text-yellow-300">Offline · showing data from {age}</div>;
+  }
+  return <div className="text-xs text-gray-500">Updated {age}</div>;
+}
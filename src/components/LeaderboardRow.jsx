@@ -0,0 +1,53 @@
+import React from "react";
+import { AlertTriangle } from "lucide-react";
+import { chainTheme } from "../chains";
+import { shortAddr } from "../identity";
+import { playerPath, linkTo } from "../useRoute";
+
+// With `navigate` the row links to the player's profile page.
+export function LeaderboardRow({ p, chain, you = false, navigate = null }) {
+  const path = navigate && (p.fid || p.address) ? playerPath(p) : null;
+  const Row = path ? "a" : "div";
+  return (
+    <Row
+      href={path || undefined}
+      onClick={path ? linkTo(navigate, path) : undefined}
+      className={`flex items-center gap-3 rounded-lg border px-3 py-2 transition-colors duration-500 ${
+        you ? "border-gray-600 bg-gray-900" : "border-gray-800 bg-black"
+      } ${path ? "hover:border-gray-600" : ""}`}
+    >
+      <div className="w-10 text-center font-extrabold text-gray-300">#{p.rank}</div>
+      {p.pfpUrl ? (
+        <img src={p.pfpUrl} alt="" className="w-8 h-8 rounded-full border border-gray-700" />
+      ) : (
+        <div className="w-8 h-8 rounded-full border border-gray-700" />
+      )}
+      <div className="flex-1 min-w-0">
+        <div className="flex items-center gap-1 font-bold text-gray-200">
+          <span className="truncate">
+            {you ? "You · " : ""}
+            {p.username ? p.username : p.address ? shortAddr(p.address) : "Unknown"}
+          </span>
+          {p.flagged ? (
+            <span title={p.flags.map((f) => f.reason).join("\n")} className="shrink-0 text-yellow-400">
+              <AlertTriangle size={14} />
+            </span>
+          ) : null}
+        </div>
+        <div className="text-xs text-gray-500 truncate">
+          {you && p.gapToNext
+            ? `${p.gapToNext} strike${p.gapToNext === 1 ? "" : "s"} to pass #${p.rank - 1}`
+            : p.flagged
+            ? `Flagged: ${p.flags[0].reason}`
+            : p.walletCount > 1
+            ? `${p.walletCount} wallets merged`
+            : "1 wallet"}
+        </div>
+      </div>
+      <div className="text-right">
+        <div className={`font-extrabold ${chainTheme(chain).count}`}>{p.txCount}</div>
+        {p.unconfirmed ? <div className="text-xs text-yellow-300">unconfirmed</div> : null}
+      </div>
+    </Row>
+  );
+}
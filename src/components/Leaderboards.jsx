@@ -0,0 +1,139 @@
+import React from "react";
+import { Search, ShieldCheck } from "lucide-react";
+import { ALL_CHAINS_BOARD, totalOf } from "../chains";
+import { bumpLeaderboard } from "../optimistic";
+import { api } from "../api";
+import { BOARD_WINDOWS, EMPTY_BOARD } from "../useLeaderboards";
+import { LeaderboardRow } from "./LeaderboardRow";
+
+// The Leaderboard tab's boards and filters (see useLeaderboards). The player's
+// unconfirmed strikes (per chain) are added to their row on boards that are
+// still live; isMe(row) finds that row.
+export function Leaderboards({ boards, chains, chainList, unconfirmed, isMe, loading, navigate }) {
+  const {
+    leaderboard,
+    boardQuery,
+    setBoardQuery,
+    boardWindow,
+    setBoardWindow,
+    boardVerified,
+    setBoardVerified,
+    seasons,
+    loadLeaderboards,
+    loadMoreLeaderboard,
+  } = boards;
+
+  // our unconfirmed strikes only belong on boards that are still live
+  const live = !seasons.some((se) => boardWindow === `season:${se.id}` && se.status === "ended");
+
+  return (
+    <>
+      <div className="flex items-center gap-2 rounded-lg border border-gray-800 bg-gray-950 px-3 py-2">
+        <Search size={16} className="text-gray-500" />
+        <input
+          value={boardQuery}
+          onChange={(e) => setBoardQuery(e.target.value)}
+          placeholder="Search username, address or FID"
+          className="flex-1 bg-transparent text-sm outline-none placeholder-gray-600"
+        />
+        {boardQuery ? (
+          <button className="text-xs text-gray-400 underline" onClick={() => setBoardQuery("")}>
+            Clear
+          </button>
+        ) : null}
+      </div>
+
+      <div className="flex flex-wrap gap-2">
+        {BOARD_WINDOWS.map((w) => (
+          <button
+            key={w.value}
+            onClick={() => setBoardWindow(w.value)}
+            className={`rounded-lg border px-3 py-1 text-xs font-bold ${
+              boardWindow === w.value ? "border-gray-600 bg-gray-900" : "border-gray-900 bg-black text-gray-400"
+            }`}
+          >
+            {w.label}
+          </button>
+        ))}
+        {seasons.length ? (
+          <select
+            value={boardWindow.startsWith("season:") ? boardWindow : ""}
+            onChange={(e) => setBoardWindow(e.target.value || "all")}
+            className="rounded-lg border border-gray-900 bg-black px-2 py-1 text-xs font-bold text-gray-300"
+          >
+            <option value="">Seasons…</option>
+            {seasons
+              .filter((se) => se.status !== "upcoming")
+              .map((se) => (
+                <option key={se.id} value={`season:${se.id}`}>
+                  {se.name}
+                  {se.status === "current" ? " (live)" : " (final)"}
+                </option>
+              ))}
+          </select>
+        ) : null}
+        <button
+          onClick={() => setBoardVerified((v) => !v)}
+          title="Hide players flagged for bot-like patterns (shared funding, clockwork timing, busy wallets without Farcaster)"
+          className={`flex items-center gap-1 rounded-lg border px-3 py-1 text-xs font-bold ${
+            boardVerified ? "border-green-700 bg-gray-900 text-green-300" : "border-gray-900 bg-black text-gray-400"
+          }`}
+        >
+          <ShieldCheck size={14} /> Verified only
+        </button>
+      </div>
+
+      {[ALL_CHAINS_BOARD, ...chainList].map((c) => {
+        const board = leaderboard[c.key] || EMPTY_BOARD;
+        const bump = !live ? 0 : c.key === ALL_CHAINS_BOARD.key ? totalOf(chains, unconfirmed) : unconfirmed[c.key];
+        const me = board.me && bump ? { ...board.me, txCount: board.me.txCount + bump, unconfirmed: bump } : board.me;
+        return (
+          <div key={c.key} className="rounded-xl border border-gray-800 bg-gray-950 p-4">
+            <div className="flex items-center justify-between mb-3">
+              <div>
+                <div className="font-extrabold">{c.name} Leaderboard</div>
+                <div className="text-xs text-gray-500">
+                  {boardQuery.trim()
+                    ? `${board.total} match${board.total === 1 ? "" : "es"}`
+                    : `${board.total} ${boardVerified ? "verified " : ""}players`}
+                </div>
+              </div>
+              <button
+                className="text-sm underline text-gray-300"
+                onClick={() => {
+                  api.invalidateBoards();
+                  loadLeaderboards();
+                }}
+                disabled={loading}
+              >
+                Refresh
+              </button>
+            </div>
+
+            {me ? (
+              <div className="mb-2">
+                <LeaderboardRow p={me} chain={c} you navigate={navigate} />
+              </div>
+            ) : null}
+
+            {board.entries.length ? (
+              <div className="space-y-2">
+                {bumpLeaderboard(board.entries, bump, isMe).map((p) => (
+                  <LeaderboardRow key={`${c.key}-${p.fid || p.address || p.rank}`} p={p} chain={c} navigate={navigate} />
+                ))}
+              </div>
+            ) : (
+              <div className="text-gray-400 text-sm">{boardQuery.trim() ? "No matches." : "No data yet."}</div>
+            )}
+
+            {board.entries.length < board.total ? (
+              <button className="mt-3 w-full text-sm underline text-gray-300" onClick={() => loadMoreLeaderboard(c.key)}>
+                Show more ({board.entries.length} of {board.total})
+              </button>
+            ) : null}
+          </div>
+        );
+      })}
+    </>
+  );
+}
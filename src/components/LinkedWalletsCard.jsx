@@ -0,0 +1,63 @@
+import React from "react";
+import { shortAddr } from "../identity";
+
+// The wallets linked to the FID with their strikes per chain, and linking the
+// connected wallet / unlinking others once signed in (see useLinking).
+export function LinkedWalletsCard({ linking, wallets, chainList, account, canSignIn, loading }) {
+  const { session, linkFid, onSignInForLinking, linkConnectedWallet, unlinkWallet } = linking;
+
+  return (
+    <div className="rounded-xl border border-gray-800 bg-gray-950 p-4">
+      <div className="flex items-center justify-between mb-3">
+        <div className="font-bold">Linked wallets</div>
+        {linkFid ? <div className="text-xs text-gray-500">FID {linkFid}</div> : null}
+      </div>
+
+      {wallets.length ? (
+        <div className="space-y-2 mb-3">
+          {wallets.map((w) => (
+            <div key={w.address} className="flex items-center gap-3 rounded-lg border border-gray-800 bg-black px-3 py-2 text-sm">
+              <div className="flex-1 min-w-0">
+                <div className="font-bold text-gray-200">
+                  {shortAddr(w.address)}
+                  {account && w.address === account.toLowerCase() ? (
+                    <span className="ml-2 text-xs text-gray-500">connected</span>
+                  ) : null}
+                </div>
+                <div className="text-xs text-gray-500 truncate">
+                  {w.source === "siwe" ? "Linked in app" : "Farcaster verified"} ·{" "}
+                  {chainList.map((c) => `${c.name} ${w.txCount?.[c.key] || 0}`).join(" · ")}
+                </div>
+              </div>
+              {session?.fid === linkFid ? (
+                <button className="text-xs text-gray-400 underline" onClick={() => unlinkWallet(w.address)} disabled={loading}>
+                  Unlink
+                </button>
+              ) : null}
+            </div>
+          ))}
+        </div>
+      ) : (
+        <div className="text-sm text-gray-400 mb-3">No wallets linked yet.</div>
+      )}
+
+      {session?.token ? (
+        <button
+          onClick={linkConnectedWallet}
+          disabled={!account || loading || wallets.some((w) => w.address === account?.toLowerCase())}
+          className="w-full rounded-lg border border-gray-700 bg-gray-900 px-3 py-2 font-bold disabled:opacity-50"
+        >
+          {account ? `Link ${shortAddr(account)}` : "Connect a wallet to link it"}
+        </button>
+      ) : (
+        <button
+          onClick={onSignInForLinking}
+          disabled={loading || !canSignIn}
+          className="w-full rounded-lg border border-gray-700 bg-gray-900 px-3 py-2 font-bold disabled:opacity-50"
+        >
+          Sign in to manage wallets
+        </button>
+      )}
+    </div>
+  );
+}
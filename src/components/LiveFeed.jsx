@@ -0,0 +1,37 @@
+import React from "react";
+import { ALL_CHAINS_BOARD } from "../chains";
+
+// Strikes and overtakes as they stream in (useLiveFeed).
+export function LiveFeed({ feed, connected, chains }) {
+  const where = (key) => (key === ALL_CHAINS_BOARD.key ? "overall" : `on ${chains[key]?.name || key}`);
+  return (
+    <div className="rounded-xl border border-gray-800 bg-gray-950 p-4">
+      <div className="flex items-center justify-between mb-3">
+        <div className="font-bold">Live</div>
+        <div className={`text-xs ${connected ? "text-green-300" : "text-gray-500"}`}>
+          {connected ? "● live" : "○ reconnecting…"}
+        </div>
+      </div>
+      {feed.length ? (
+        <div className="space-y-1 text-sm">
+          {feed.map((item) => (
+            <div key={`${item.type}-${item.id}`} className="truncate text-gray-300">
+              {item.type === "strike" ? (
+                <>
+                  <span className="font-bold text-gray-100">{item.name}</span> struck {chains[item.chain]?.name || item.chain}
+                </>
+              ) : (
+                <>
+                  <span className="font-bold text-gray-100">{item.player.name}</span> overtook{" "}
+                  <span className="font-bold text-gray-100">{item.overtaken.name}</span> for #{item.rank} {where(item.chain)}
+                </>
+              )}
+            </div>
+          ))}
+        </div>
+      ) : (
+        <div className="text-sm text-gray-500">Waiting for the next strike…</div>
+      )}
+    </div>
+  );
+}
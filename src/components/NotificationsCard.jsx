@@ -0,0 +1,61 @@
+import React from "react";
+
+const NOTIFICATION_KINDS = [
+  { key: "rankUp", label: "Rank ups" },
+  { key: "overtaken", label: "Being overtaken" },
+  { key: "seasonEnd", label: "Season results" },
+];
+
+// Notification settings for the FID (see useNotifications); turning them on
+// only works inside the Farcaster host, choosing kinds needs a session.
+export function NotificationsCard({ notifications, inMiniApp, loading, onSignIn }) {
+  const { notificationsOn, notifySettings, enableNotifications, setNotificationPref } = notifications;
+
+  return (
+    <div className="rounded-xl border border-gray-800 bg-gray-950 p-4">
+      <div className="flex items-center justify-between mb-3">
+        <div className="font-bold">Notifications</div>
+        {notificationsOn || notifySettings?.enabled ? (
+          <div className="text-xs text-green-300">On</div>
+        ) : (
+          <div className="text-xs text-gray-500">Off</div>
+        )}
+      </div>
+
+      {inMiniApp && !notificationsOn ? (
+        <button
+          onClick={enableNotifications}
+          disabled={loading}
+          className="w-full mb-3 rounded-lg border border-gray-700 bg-gray-900 px-3 py-2 font-bold disabled:opacity-50"
+        >
+          Enable notifications
+        </button>
+      ) : null}
+      {!inMiniApp ? (
+        <div className="mb-3 text-sm text-gray-400">
+          Notifications arrive in your Farcaster app. Open ChainWarZ there to turn them on.
+        </div>
+      ) : null}
+
+      {notifySettings ? (
+        <div className="space-y-2">
+          {NOTIFICATION_KINDS.map((k) => (
+            <label key={k.key} className="flex items-center justify-between text-sm text-gray-200">
+              {k.label}
+              <input
+                type="checkbox"
+                checked={!!notifySettings.prefs[k.key]}
+                disabled={loading}
+                onChange={(e) => setNotificationPref(k.key, e.target.checked)}
+              />
+            </label>
+          ))}
+        </div>
+      ) : (
+        <button className="text-xs text-gray-400 underline" onClick={onSignIn} disabled={loading}>
+          Sign in to choose what we notify you about
+        </button>
+      )}
+    </div>
+  );
+}
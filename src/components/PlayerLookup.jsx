@@ -0,0 +1,50 @@
+import React, { useState } from "react";
+import { Search } from "lucide-react";
+import { resolvePlayer, LookupError } from "../lookup";
+import { playerPath } from "../useRoute";
+import { BACKEND_URL } from "../api";
+
+// Look up any player by address, ENS name / basename, Farcaster username or
+// FID, and open their profile page.
+export function PlayerLookup({ navigate }) {
+  const [query, setQuery] = useState("");
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState("");
+
+  const submit = async (e) => {
+    e.preventDefault();
+    setBusy(true);
+    setError("");
+    try {
+      const player = await resolvePlayer(query, BACKEND_URL);
+      navigate(playerPath(player));
+      setQuery("");
+    } catch (err) {
+      setError(err instanceof LookupError ? err.message : "Lookup failed. Try again.");
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <form onSubmit={submit} className="rounded-xl border border-gray-800 bg-gray-950 p-4">
+      <div className="flex items-center gap-2">
+        <Search size={16} className="shrink-0 text-gray-400" />
+        <input
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          placeholder="Address, name.eth, @username or FID"
+          className="flex-1 min-w-0 rounded-lg border border-gray-700 bg-black px-3 py-2 text-sm"
+        />
+        <button
+          type="submit"
+          disabled={busy || !query.trim()}
+          className="rounded-lg border border-gray-700 bg-gray-900 px-3 py-2 text-sm font-bold disabled:opacity-50"
+        >
+          {busy ? "…" : "Look up"}
+        </button>
+      </div>
+      {error ? <div className="mt-2 text-sm text-red-300">{error}</div> : null}
+    </form>
+  );
+}
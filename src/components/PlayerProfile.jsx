@@ -0,0 +1,141 @@
+import React, { useEffect, useMemo, useState } from "react";
+import { ExternalLink } from "lucide-react";
+import { chainTheme, countsFor, totalOf } from "../chains";
+import { api } from "../api";
+import { HttpError } from "../requestCache";
+import { shortAddr } from "../identity";
+import { getRank } from "../ranks";
+import { timeAgo } from "../time";
+import { formatNative } from "../preflight";
+import { useChainStatus } from "../useChainStatus";
+import { AchievementsCard } from "./AchievementsCard";
+
+// Any player's profile, from /p/:fid or /a/:address. A wallet linked to an FID
+// redirects to the FID's page, where all of its wallets are merged.
+export function PlayerProfile({ route, chains, chainList, navigate }) {
+  const [data, setData] = useState(null);
+  const [achievements, setAchievements] = useState(null);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    let cancelled = false;
+    setData(null);
+    setAchievements(null);
+    setError("");
+
+    const load = async () => {
+      try {
+        const owner = route.fid ? `fid:${route.fid}` : route.address;
+        const body = await api.profile(owner, { onUpdate: (fresh) => !cancelled && setData(fresh) });
+        if (cancelled) return;
+        if (!route.fid && body.fid) return navigate(`/p/${body.fid}`, { replace: true });
+        setData(body);
+
+        const a = await api.achievements(owner, { onUpdate: (fresh) => !cancelled && setAchievements(fresh) });
+        if (!cancelled && Array.isArray(a?.achievements)) setAchievements(a);
+      } catch (err) {
+        if (!cancelled) setError(err instanceof HttpError ? err.message : "Could not load this player.");
+      }
+    };
+    load();
+    return () => {
+      cancelled = true;
+    };
+  }, [route.fid, route.address, navigate]);
+
+  const walletAddresses = useMemo(() => data?.addresses || (data?.address ? [data.address] : []), [data]);
+  const chainStatus = useChainStatus(chainList, walletAddresses);
+
+  if (error) return <div className="rounded-xl border border-gray-800 bg-gray-950 p-4 text-gray-300">{error}</div>;
+  if (!data) return <div className="rounded-xl border border-gray-800 bg-gray-950 p-4 text-gray-400">Loading…</div>;
+
+  const counts = countsFor(chains, data.txCount);
+  const rank = getRank(totalOf(chains, counts));
+  const user = data.user;
+  const address = data.address || data.addresses?.[0] || null;
+  const name = user?.displayName || user?.username || (address ? shortAddr(address) : `FID ${data.fid}`);
+  const pfp = user?.pfpUrl || (address ? `https://api.dicebear.com/7.x/avataaars/svg?seed=${address}` : "");
+
+  return (
+    <div className="space-y-4">
+      <div className="rounded-xl border border-gray-800 bg-gray-950 p-4">
+        <div className="flex gap-3">
+          {pfp ? <img src={pfp} alt="pfp" className="w-14 h-14 rounded-full border border-gray-700 object-cover" /> : null}
+          <div className="flex-1 min-w-0">
+            <div className={`font-extrabold ${rank.className}`}>{rank.name}</div>
+            <div className="font-bold truncate">{name}</div>
+            {user?.username ? <div className="text-sm text-gray-400 truncate">@{user.username}</div> : null}
+            {user?.bio ? <div className="mt-2 text-sm text-gray-300">{user.bio}</div> : null}
+            {user?.farcasterUrl ? (
+              <a
+                href={user.farcasterUrl}
+                target="_blank"
+                rel="noreferrer"
+                className="mt-2 inline-flex items-center gap-2 text-sm text-gray-200 underline"
+              >
+                View on Farcaster <ExternalLink size={16} />
+              </a>
+            ) : null}
+
+            <div className="mt-3 grid grid-cols-2 gap-2 text-sm">
+              {chainList.map((c) => (
+                <div key={c.key} className="rounded-lg border border-gray-800 bg-black px-3 py-2">
+                  <div className="text-xs text-gray-400">{c.name} strikes</div>
+                  <div className="font-extrabold">{counts[c.key] || 0}</div>
+                  {data.rank?.[c.key] ? <div className="text-xs text-gray-500">#{data.rank[c.key]}</div> : null}
+                  {chainStatus[c.key]?.balance != null ? (
+                    <div className="text-xs text-gray-500 truncate">
+                      {formatNative(chainStatus[c.key].balance, c.nativeCurrency.decimals)} {c.nativeCurrency.symbol}
+                    </div>
+                  ) : null}
+                </div>
+              ))}
+            </div>
+          </div>
+        </div>
+      </div>
+
+      {data.wallets?.length ? (
+        <div className="rounded-xl border border-gray-800 bg-gray-950 p-4">
+          <div className="font-bold mb-3">Linked wallets</div>
+          <div className="space-y-2">
+            {data.wallets.map((w) => (
+              <div key={w.address} className="rounded-lg border border-gray-800 bg-black px-3 py-2 text-sm">
+                <div className="font-bold text-gray-200">{shortAddr(w.address)}</div>
+                <div className="text-xs text-gray-500 truncate">
+                  {chainList.map((c) => `${c.name} ${w.txCount?.[c.key] || 0}`).join(" · ")}
+                </div>
+              </div>
+            ))}
+          </div>
+        </div>
+      ) : null}
+
+      <AchievementsCard data={achievements} />
+
+      <div className="rounded-xl border border-gray-800 bg-gray-950 p-4">
+        <div className="font-bold mb-3">Recent strikes</div>
+        {data.recentStrikes?.length ? (
+          <div className="space-y-1 text-sm">
+            {data.recentStrikes.map((st) => (
+              <a
+                key={st.hash}
+                href={chains[st.chain] ? `${chains[st.chain].blockExplorer}/tx/${st.hash}` : undefined}
+                target="_blank"
+                rel="noreferrer"
+                className="flex items-center gap-2 text-gray-300"
+              >
+                <span className={`font-bold ${chainTheme(chains[st.chain]).count}`}>{chains[st.chain]?.name || st.chain}</span>
+                <span className="flex-1 truncate text-gray-500">{shortAddr(st.hash)}</span>
+                <span className="text-xs text-gray-500">{timeAgo(st.timestamp)}</span>
+                <ExternalLink size={14} className="text-gray-500" />
+              </a>
+            ))}
+          </div>
+        ) : (
+          <div className="text-sm text-gray-400">No strikes yet.</div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,126 @@
+import React from "react";
+import { ExternalLink, Share2 } from "lucide-react";
+import { chainTheme, explorerTxUrl } from "../chains";
+import { MAX_BATCH } from "../batchStrike";
+
+const BATCH_ITEM_CLASS = {
+  queued: "border-gray-700 bg-black",
+  signing: "border-yellow-500 bg-yellow-950",
+  sent: "border-green-500 bg-green-700",
+  rejected: "border-gray-600 bg-gray-800",
+  skipped: "border-gray-800 bg-gray-900",
+  failed: "border-red-500 bg-red-800",
+};
+
+// One strike button per live chain, × `count` (set with onCount); then the
+// expected cost of the last strike asked for (cost: { chainKey, count, text }),
+// the progress of a batch (batch: { chainKey, items: [{ status, hash, error }] }),
+// a rank-up to share and a link to the last transaction.
+// onStrike(chainKey, count) sends.
+export function StrikeCard({
+  chains,
+  chainList,
+  account,
+  loading,
+  count,
+  onCount,
+  onStrike,
+  cost,
+  batch,
+  rankUp,
+  onShare,
+  onDismissRankUp,
+  lastTx,
+}) {
+  return (
+    <div className="rounded-xl border border-gray-800 bg-gray-950 p-4">
+      <div className="flex items-center justify-between mb-3">
+        <div className="font-bold">Strike</div>
+        <div className="flex items-center gap-2 text-sm">
+          <span className="text-gray-400">×</span>
+          <input
+            type="number"
+            min={1}
+            max={MAX_BATCH}
+            value={count}
+            disabled={loading}
+            onChange={(e) => onCount(Math.min(MAX_BATCH, Math.max(1, Math.floor(Number(e.target.value) || 1))))}
+            className="w-16 rounded-lg border border-gray-700 bg-black px-2 py-1 text-center font-bold"
+          />
+        </div>
+      </div>
+
+      {chainList
+        .filter((c) => c.enabled)
+        .map((c) => (
+          <button
+            key={c.key}
+            onClick={() => onStrike(c.key, count)}
+            disabled={!account || loading}
+            className={`w-full rounded-xl border ${chainTheme(c).button} px-4 py-3 font-extrabold mb-3 disabled:opacity-50`}
+          >
+            {c.name} — {c.strikeLabel}
+            {count > 1 ? ` ×${count}` : ""}
+          </button>
+        ))}
+
+      {cost && cost.count === count && chains[cost.chainKey] ? (
+        <div className="mb-3 text-xs text-gray-400">
+          Expected total on {chains[cost.chainKey].name}
+          {count > 1 ? ` for ${count} strikes` : ""}: {cost.text}
+        </div>
+      ) : null}
+
+      {batch ? (
+        <div className="mb-3">
+          <div className="text-xs text-gray-400 mb-1">
+            {chains[batch.chainKey]?.name} batch ·{" "}
+            {batch.items.filter((it) => it.status === "sent").length}/{batch.items.length} sent
+          </div>
+          <div className="flex flex-wrap gap-1">
+            {batch.items.map((it, i) => (
+              <div
+                key={i}
+                title={`#${i + 1} ${it.status}${it.error ? `: ${it.error.message}` : ""}`}
+                className={`w-4 h-4 rounded-sm border ${BATCH_ITEM_CLASS[it.status] || BATCH_ITEM_CLASS.queued}`}
+              />
+            ))}
+          </div>
+          {batch.items.some((it) => it.error) ? (
+            <div className="mt-1 text-xs text-red-300">{batch.items.find((it) => it.error).error.message}</div>
+          ) : null}
+        </div>
+      ) : null}
+
+      {rankUp ? (
+        <div className="mb-3 flex items-center gap-3 rounded-lg border border-yellow-700 bg-black px-3 py-2">
+          <div className="flex-1 text-sm">
+            Rank up! You're now a <span className={`font-extrabold ${rankUp.className}`}>{rankUp.name}</span>
+          </div>
+          <button onClick={onShare} className="inline-flex items-center gap-1 text-sm font-bold underline">
+            <Share2 size={14} /> Share
+          </button>
+          <button onClick={onDismissRankUp} className="text-xs text-gray-500">
+            ✕
+          </button>
+        </div>
+      ) : null}
+
+      {lastTx?.hash ? (
+        <div className="mt-3 flex items-center gap-4">
+          <a
+            href={explorerTxUrl(chains, lastTx)}
+            target="_blank"
+            rel="noreferrer"
+            className="inline-flex items-center gap-2 text-sm text-gray-200 underline"
+          >
+            View last tx <ExternalLink size={16} />
+          </a>
+          <button onClick={onShare} className="inline-flex items-center gap-2 text-sm text-gray-200 underline">
+            Share <Share2 size={16} />
+          </button>
+        </div>
+      ) : null}
+    </div>
+  );
+}
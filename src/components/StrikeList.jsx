@@ -0,0 +1,53 @@
+import React from "react";
+import { explorerTxUrl } from "../chains";
+import { shortAddr } from "../identity";
+import { isSettled, REQUIRED_CONFIRMATIONS } from "../useStrikeTracker";
+
+const STRIKE_STATUS = {
+  pending: { label: "Pending", className: "text-yellow-300" },
+  confirming: { label: "Confirming", className: "text-yellow-300" },
+  confirmed: { label: "Confirmed", className: "text-green-300" },
+  failed: { label: "Failed", className: "text-red-300" },
+  replaced: { label: "Replaced", className: "text-gray-400" },
+};
+
+// The player's tracked strikes (see useStrikeTracker) with where each one is;
+// settled ones can be cleared with onDismiss(hash).
+export function StrikeList({ strikes, chains, onDismiss }) {
+  if (!strikes.length) return null;
+
+  return (
+    <div className="rounded-xl border border-gray-800 bg-gray-950 p-4">
+      <div className="font-bold mb-3">Your strikes</div>
+      <div className="space-y-2">
+        {strikes.map((s) => {
+          const st = STRIKE_STATUS[s.status] || STRIKE_STATUS.pending;
+          return (
+            <div key={s.hash} className="flex items-center gap-3 rounded-lg border border-gray-800 bg-black px-3 py-2 text-sm">
+              <div className="flex-1 min-w-0">
+                <div className="font-bold text-gray-200">{chains[s.chainKey]?.name || s.chainKey}</div>
+                <a
+                  href={explorerTxUrl(chains, s)}
+                  target="_blank"
+                  rel="noreferrer"
+                  className="text-xs text-gray-400 underline truncate"
+                >
+                  {shortAddr(s.hash)}
+                </a>
+              </div>
+              <div className={`text-xs font-bold ${st.className}`}>
+                {st.label}
+                {s.status === "confirming" ? ` ${s.confirmations}/${REQUIRED_CONFIRMATIONS}` : ""}
+              </div>
+              {isSettled(s) ? (
+                <button className="text-xs text-gray-500 underline" onClick={() => onDismiss(s.hash)}>
+                  Clear
+                </button>
+              ) : null}
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,27 @@
+import React from "react";
+import { chainTheme } from "../chains";
+
+// Tug-of-war: each faction's share of the war score (an even split until someone scores).
+export function WarBar({ war }) {
+  const even = 100 / (war.factions.length || 1);
+  return (
+    <div>
+      <div className="flex h-4 overflow-hidden rounded-full border border-gray-800 bg-black">
+        {war.factions.map((f) => (
+          <div
+            key={f.key}
+            className={`${chainTheme(f).bar} transition-all duration-700 ${war.total ? "" : "opacity-30"}`}
+            style={{ width: `${war.total ? f.share * 100 : even}%` }}
+          />
+        ))}
+      </div>
+      <div className="mt-2 flex flex-wrap justify-between gap-2 text-xs">
+        {war.factions.map((f) => (
+          <div key={f.key} className={chainTheme(f).count}>
+            <span className="font-bold">{f.name}</span> {f.score} ({Math.round(f.share * 100)}%)
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
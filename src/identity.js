@@ -0,0 +1,37 @@
+// Who the connected player is, for the header card: the backend's identity
+// (by FID) first, then the Farcaster host's context user, then the wallet.
+
+export function shortAddr(a) {
+  if (!a) return "";
+  return `${a.slice(0, 6)}…${a.slice(-4)}`;
+}
+
+// `identity` is /api/farcaster/user/:fid (or a raw Neynar user), `fcUser` the
+// miniapp context user, `account` the connected wallet.
+// → { displayName, username, pfpUrl, bio, profileUrl }
+export function resolveIdentity({ identity = null, fcUser = null, account = null } = {}) {
+  const displayName =
+    identity?.displayName ||
+    identity?.display_name ||
+    fcUser?.displayName ||
+    fcUser?.username ||
+    (account ? shortAddr(account) : "Unknown");
+
+  const username = (identity?.username ? `@${identity.username}` : "") || (fcUser?.username ? `@${fcUser.username}` : "");
+
+  const pfpUrl =
+    identity?.pfpUrl ||
+    identity?.pfp_url ||
+    fcUser?.pfpUrl ||
+    (account ? `https://api.dicebear.com/7.x/avataaars/svg?seed=${account}` : "");
+
+  const bio = identity?.bio || identity?.profile?.bio?.text || "";
+
+  // farcaster.xyz links keep working when names or client domains change
+  const profileUrl =
+    identity?.farcasterUrl ||
+    (identity?.username ? `https://farcaster.xyz/${identity.username}` : null) ||
+    (fcUser?.username ? `https://farcaster.xyz/${fcUser.username}` : null);
+
+  return { displayName, username, pfpUrl, bio, profileUrl };
+}
@@ -0,0 +1,39 @@
+import { describe, expect, it } from "vitest";
+import { resolveIdentity, shortAddr } from "./identity";
+
+const account = "0x70997970c51812dc3a010c7d01b50e0d17dc79c8";
+
+describe("resolveIdentity", () => {
+  it("prefers the backend identity", () => {
+    const identity = { displayName: "Alice", username: "alice", pfpUrl: "https://img/alice.png", bio: "hi" };
+    const fcUser = { displayName: "Host Alice", username: "host-alice", pfpUrl: "https://img/host.png" };
+    expect(resolveIdentity({ identity, fcUser, account })).toEqual({
+      displayName: "Alice",
+      username: "@alice",
+      pfpUrl: "https://img/alice.png",
+      bio: "hi",
+      profileUrl: "https://farcaster.xyz/alice",
+    });
+  });
+
+  it("reads raw Neynar fields and falls back to the host user", () => {
+    const identity = { display_name: "Bob", pfp_url: "https://img/bob.png", profile: { bio: { text: "gm" } } };
+    expect(resolveIdentity({ identity, fcUser: { username: "bob" }, account })).toEqual({
+      displayName: "Bob",
+      username: "@bob",
+      pfpUrl: "https://img/bob.png",
+      bio: "gm",
+      profileUrl: "https://farcaster.xyz/bob",
+    });
+  });
+
+  it("falls back to the wallet, then to nothing", () => {
+    expect(resolveIdentity({ account })).toMatchObject({
+      displayName: shortAddr(account),
+      username: "",
+      pfpUrl: `https://api.dicebear.com/7.x/avataaars/svg?seed=${account}`,
+      profileUrl: null,
+    });
+    expect(resolveIdentity()).toMatchObject({ displayName: "Unknown", pfpUrl: "", profileUrl: null });
+  });
+});
@@ -0,0 +1,68 @@
+import { JsonRpcProvider, Network, isAddress } from "ethers";
+
+// Spectator lookups: whatever was typed into the lookup box → a player,
+// { fid } or { address }, ready for playerPath(). Accepts
+//   0x…                      a wallet address
+//   123, fid:123, #123       a FID
+//   name.eth, name.base.eth  an ENS name or basename (resolved on mainnet; the
+//                            basename resolver answers there over CCIP-read)
+//   @name, name              a Farcaster username (via /api/farcaster/user)
+
+const ENS_RPC_URL = import.meta.env.VITE_ENS_RPC_URL || "https://ethereum-rpc.publicnode.com";
+
+let ensProvider = null;
+const mainnet = () => {
+  if (!ensProvider) {
+    const network = Network.from("mainnet");
+    ensProvider = new JsonRpcProvider(ENS_RPC_URL, network, { staticNetwork: network });
+  }
+  return ensProvider;
+};
+
+export class LookupError extends Error {}
+
+async function resolveEns(name) {
+  try {
+    return await mainnet().resolveName(name);
+  } catch {
+    return null;
+  }
+}
+
+async function resolveUsername(username, backendUrl) {
+  const r = await fetch(`${backendUrl}/api/farcaster/user?${new URLSearchParams({ username })}`);
+  if (r.status === 404) return null;
+  const body = await r.json().catch(() => null);
+  if (!r.ok) throw new LookupError(body?.error || "Username lookup failed.");
+  return body?.fid ? Number(body.fid) : null;
+}
+
+export async function resolvePlayer(input, backendUrl) {
+  const q = input.trim();
+  if (!q) throw new LookupError("Enter an address, name, username or FID.");
+
+  if (isAddress(q)) return { address: q.toLowerCase() };
+
+  const fid = q.match(/^(?:fid:\s*|#)?(\d+)$/i);
+  if (fid) return { fid: Number(fid[1]) };
+
+  // "@" means a Farcaster username even when it looks like an ENS name
+  if (q.startsWith("@")) {
+    const found = await resolveUsername(q.slice(1), backendUrl);
+    if (!found) throw new LookupError(`No Farcaster user ${q}.`);
+    return { fid: found };
+  }
+
+  if (q.includes(".")) {
+    const address = await resolveEns(q.toLowerCase());
+    if (address) return { address: address.toLowerCase() };
+    // fnames can be ENS names too (e.g. vitalik.eth)
+    const found = await resolveUsername(q, backendUrl).catch(() => null);
+    if (found) return { fid: found };
+    throw new LookupError(`${q} doesn't resolve to an address.`);
+  }
+
+  const found = await resolveUsername(q, backendUrl);
+  if (!found) throw new LookupError(`No Farcaster user @${q}.`);
+  return { fid: found };
+}
@@ -0,0 +1,25 @@
+import { sdk } from "@farcaster/miniapp-sdk";
+
+// Farcaster host detection at startup. Outside a host (a plain browser tab)
+// everything is empty and the app falls back to injected wallets.
+//   { inMiniApp, user, provider, notificationsOn }
+// `user` is the context user ({ fid, username, displayName, pfpUrl }),
+// `provider` the host's EIP-1193 wallet when it offers one.
+export async function initMiniApp() {
+  const none = { inMiniApp: false, user: null, provider: null, notificationsOn: false };
+  if (!(await sdk.isInMiniApp())) return none;
+
+  const ctx = await sdk.context;
+  await sdk.actions.ready();
+
+  let provider = null;
+  const caps = await sdk.getCapabilities();
+  if (caps.includes("wallet.getEthereumProvider")) provider = (await sdk.wallet.getEthereumProvider()) || null;
+
+  return {
+    inMiniApp: true,
+    user: ctx?.user || null,
+    provider,
+    notificationsOn: !!ctx?.client?.notificationDetails,
+  };
+}
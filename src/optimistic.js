@@ -0,0 +1,58 @@
+// Optimistic strike counts. A tracked strike carries `baseline`: the backend's
+// count for its chain when it was submitted. Until the backend reports at least
+// baseline + (live strikes on that chain), the difference is shown on top of the
+// backend count as "unconfirmed".
+//
+// A strike stops counting when it fails or is replaced, once reconciled, or
+// when the backend still hasn't seen it RECONCILE_TIMEOUT_MS after confirming.
+
+export const RECONCILE_TIMEOUT_MS = 90 * 1000;
+
+const isLive = (s, now) =>
+  !s.reconciled &&
+  s.status !== "failed" &&
+  s.status !== "replaced" &&
+  !(s.status === "confirmed" && now - (s.settledAt || 0) > RECONCILE_TIMEOUT_MS);
+
+// Returns { counts, unconfirmed, reconciled } where `reconciled` lists the hashes
+// the backend has caught up with.
+export function applyOptimistic(chains, backendCounts, strikes, now = Date.now()) {
+  const counts = {};
+  const unconfirmed = {};
+  const reconciled = [];
+
+  for (const key of Object.keys(chains)) {
+    const backend = backendCounts?.[key] || 0;
+    const live = strikes.filter((s) => s.chainKey === key && typeof s.baseline === "number" && isLive(s, now));
+
+    if (!live.length) {
+      counts[key] = backend;
+      unconfirmed[key] = 0;
+      continue;
+    }
+
+    const expected = Math.min(...live.map((s) => s.baseline)) + live.length;
+    if (backend >= expected) {
+      reconciled.push(...live.map((s) => s.hash));
+      counts[key] = backend;
+      unconfirmed[key] = 0;
+    } else {
+      counts[key] = expected;
+      unconfirmed[key] = expected - backend;
+    }
+  }
+
+  return { counts, unconfirmed, reconciled };
+}
+
+// Confirmed strikes the backend hasn't reflected yet; while any exist the
+// profile keeps refreshing.
+export function awaitingBackend(strikes, now = Date.now()) {
+  return strikes.some((s) => s.status === "confirmed" && isLive(s, now));
+}
+
+// Adds the player's unconfirmed strikes to their own leaderboard row.
+export function bumpLeaderboard(rows, unconfirmedCount, isMe) {
+  if (!unconfirmedCount || !Array.isArray(rows)) return rows;
+  return rows.map((r) => (isMe(r) ? { ...r, txCount: r.txCount + unconfirmedCount, unconfirmed: unconfirmedCount } : r));
+}
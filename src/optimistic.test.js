@@ -0,0 +1,104 @@
+import { describe, expect, it } from "vitest";
+import { applyOptimistic, awaitingBackend, bumpLeaderboard, RECONCILE_TIMEOUT_MS } from "./optimistic";
+
+const chains = { base: {}, celo: {} };
+const NOW = 1_700_000_000_000;
+
+let n = 0;
+const strike = (patch = {}) => ({
+  hash: `0x${++n}`,
+  chainKey: "base",
+  baseline: 10,
+  status: "pending",
+  ...patch,
+});
+
+describe("applyOptimistic", () => {
+  it("adds live strikes on top of the backend count", () => {
+    const strikes = [strike(), strike({ status: "confirming" })];
+    expect(applyOptimistic(chains, { base: 10, celo: 3 }, strikes, NOW)).toEqual({
+      counts: { base: 12, celo: 3 },
+      unconfirmed: { base: 2, celo: 0 },
+      reconciled: [],
+    });
+  });
+
+  it("counts from the lowest baseline when strikes were sent at different counts", () => {
+    const strikes = [strike({ baseline: 10 }), strike({ baseline: 11 })];
+    expect(applyOptimistic(chains, { base: 11 }, strikes, NOW)).toMatchObject({
+      counts: { base: 12 },
+      unconfirmed: { base: 1 },
+      reconciled: [],
+    });
+  });
+
+  it("reconciles every live strike once the backend catches up", () => {
+    const strikes = [strike({ status: "confirmed", settledAt: NOW }), strike({ status: "confirmed", settledAt: NOW })];
+    const { counts, unconfirmed, reconciled } = applyOptimistic(chains, { base: 12 }, strikes, NOW);
+    expect(counts.base).toBe(12);
+    expect(unconfirmed.base).toBe(0);
+    expect(reconciled).toEqual(strikes.map((s) => s.hash));
+  });
+
+  it("trusts the backend when it is ahead, e.g. strikes from another device", () => {
+    expect(applyOptimistic(chains, { base: 20 }, [strike()], NOW)).toMatchObject({
+      counts: { base: 20 },
+      unconfirmed: { base: 0 },
+    });
+  });
+
+  it("drops failed, replaced and already reconciled strikes", () => {
+    const strikes = [
+      strike({ status: "failed" }),
+      strike({ status: "replaced" }),
+      strike({ status: "confirmed", settledAt: NOW, reconciled: true }),
+    ];
+    expect(applyOptimistic(chains, { base: 10 }, strikes, NOW)).toEqual({
+      counts: { base: 10, celo: 0 },
+      unconfirmed: { base: 0, celo: 0 },
+      reconciled: [],
+    });
+  });
+
+  it("drops confirmed strikes the backend still hasn't seen after the timeout", () => {
+    const settled = strike({ status: "confirmed", settledAt: NOW });
+    expect(applyOptimistic(chains, { base: 10 }, [settled], NOW + RECONCILE_TIMEOUT_MS).unconfirmed.base).toBe(1);
+    expect(applyOptimistic(chains, { base: 10 }, [settled], NOW + RECONCILE_TIMEOUT_MS + 1).unconfirmed.base).toBe(0);
+  });
+
+  it("ignores strikes without a baseline and keeps chains apart", () => {
+    const strikes = [strike({ baseline: undefined }), strike({ chainKey: "celo", baseline: 0 })];
+    expect(applyOptimistic(chains, {}, strikes, NOW)).toMatchObject({
+      counts: { base: 0, celo: 1 },
+      unconfirmed: { base: 0, celo: 1 },
+    });
+  });
+});
+
+describe("awaitingBackend", () => {
+  it("waits only on confirmed strikes that are still live", () => {
+    expect(awaitingBackend([strike({ status: "confirming" })], NOW)).toBe(false);
+    expect(awaitingBackend([strike({ status: "confirmed", settledAt: NOW })], NOW)).toBe(true);
+    expect(awaitingBackend([strike({ status: "confirmed", settledAt: NOW, reconciled: true })], NOW)).toBe(false);
+    expect(awaitingBackend([strike({ status: "confirmed", settledAt: NOW })], NOW + RECONCILE_TIMEOUT_MS + 1)).toBe(false);
+  });
+});
+
+describe("bumpLeaderboard", () => {
+  const rows = [
+    { address: "0xa", txCount: 5 },
+    { address: "0xb", txCount: 4 },
+  ];
+
+  it("adds unconfirmed strikes to the player's own row", () => {
+    expect(bumpLeaderboard(rows, 2, (r) => r.address === "0xb")).toEqual([
+      { address: "0xa", txCount: 5 },
+      { address: "0xb", txCount: 6, unconfirmed: 2 },
+    ]);
+  });
+
+  it("leaves the rows alone with nothing unconfirmed", () => {
+    expect(bumpLeaderboard(rows, 0, () => true)).toBe(rows);
+    expect(bumpLeaderboard(null, 2, () => true)).toBeNull();
+  });
+});
@@ -0,0 +1,43 @@
+import { strikeCall } from "./batchStrike";
+import { walletRequest, WalletError, RPC_TIMEOUT_MS } from "./walletErrors";
+
+// Checks run before the wallet is asked to sign: the wallet is on the right
+// chain and the account can pay for the strikes plus gas. Gas is estimated
+// once and assumed the same for every strike in a batch.
+
+// { value, fee, total, balance } in wei, plus `enough`. `provider` is the
+// wallet; balance and gas are read through `reader` (the chain's read client,
+// see rpc.js) when given.
+export async function preflightStrike({ provider, reader = provider, account, chain, count = 1 }) {
+  const opts = { timeoutMs: RPC_TIMEOUT_MS };
+
+  const chainId = await walletRequest(provider, { method: "eth_chainId" }, opts);
+  if (BigInt(chainId) !== BigInt(chain.chainIdHex)) {
+    throw new WalletError(`Wallet is on chain ${chainId}, not ${chain.chainIdHex}`, { code: "WRONG_CHAIN" });
+  }
+
+  const [balance, gas, gasPrice] = (
+    await Promise.all([
+      walletRequest(reader, { method: "eth_getBalance", params: [account, "latest"] }, opts),
+      walletRequest(reader, { method: "eth_estimateGas", params: [{ from: account, ...strikeCall(chain) }] }, opts),
+      walletRequest(reader, { method: "eth_gasPrice" }, opts),
+    ])
+  ).map((x) => BigInt(x));
+
+  const n = BigInt(count);
+  const value = BigInt(chain.valueWei) * n;
+  const fee = gas * gasPrice * n;
+  const total = value + fee;
+  return { value, fee, total, balance, enough: balance >= total };
+}
+
+// Wei as a decimal string, cut to `digits` significant fractional digits
+// (strike values are tiny, so fixed decimals would show 0.0000).
+export function formatNative(wei, decimals = 18, digits = 4) {
+  const base = 10n ** BigInt(decimals);
+  const whole = wei / base;
+  const frac = (wei % base).toString().padStart(decimals, "0");
+  const lead = frac.length - frac.replace(/^0+/, "").length;
+  const shown = frac.slice(0, lead + digits).replace(/0+$/, "");
+  return shown ? `${whole}.${shown}` : whole.toString();
+}
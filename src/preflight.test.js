@@ -0,0 +1,65 @@
+import { describe, expect, it } from "vitest";
+import { preflightStrike, formatNative } from "./preflight";
+import { classifyError } from "./walletErrors";
+
+const chain = {
+  name: "Base",
+  chainIdHex: "0x2105",
+  contractAddress: "0xb2b23e69b9d811d3d43ad473f90a171d18b19aab",
+  valueWei: 1337000000000n,
+  nativeCurrency: { symbol: "ETH", decimals: 18 },
+};
+const account = "0x1111111111111111111111111111111111111111";
+
+// answers: method -> result (or an Error to throw)
+const providerWith = (answers) => ({
+  calls: [],
+  async request({ method, params }) {
+    this.calls.push({ method, params });
+    const a = answers[method];
+    if (a instanceof Error) throw a;
+    return a;
+  },
+});
+
+describe("preflightStrike", () => {
+  const answers = { eth_chainId: "0x2105", eth_getBalance: "0x38d7ea4c68000", eth_estimateGas: "0x5208", eth_gasPrice: "0x3b9aca00" };
+
+  it("adds value and gas for every strike", async () => {
+    const provider = providerWith(answers);
+    const cost = await preflightStrike({ provider, account, chain, count: 2 });
+    expect(cost.value).toBe(2674000000000n);
+    expect(cost.fee).toBe(2n * 21000n * 1000000000n);
+    expect(cost.total).toBe(cost.value + cost.fee);
+    expect(cost.enough).toBe(true);
+
+    const estimate = provider.calls.find((c) => c.method === "eth_estimateGas");
+    expect(estimate.params[0]).toMatchObject({ from: account, to: chain.contractAddress, value: "0x1374b68fa00" });
+  });
+
+  it("flags a balance that can't cover it", async () => {
+    const cost = await preflightStrike({ provider: providerWith({ ...answers, eth_getBalance: "0x1" }), account, chain });
+    expect(cost.enough).toBe(false);
+  });
+
+  it("refuses a wallet on another chain", async () => {
+    const err = await preflightStrike({ provider: providerWith({ ...answers, eth_chainId: "0x1" }), account, chain }).catch((e) => e);
+    expect(classifyError(err, { chain }).kind).toBe("wrongChain");
+  });
+
+  it("surfaces the node's insufficient-funds estimate error", async () => {
+    const provider = providerWith({ ...answers, eth_estimateGas: Object.assign(new Error("insufficient funds for transfer"), { code: -32000 }) });
+    const err = await preflightStrike({ provider, account, chain }).catch((e) => e);
+    expect(classifyError(err, { chain }).kind).toBe("insufficientFunds");
+  });
+});
+
+describe("formatNative", () => {
+  it("keeps significant digits of tiny amounts", () => {
+    expect(formatNative(1337000000000n)).toBe("0.000001337");
+    expect(formatNative(1234567890000000000n)).toBe("1.2345");
+    expect(formatNative(2n * 10n ** 18n)).toBe("2");
+    expect(formatNative(0n)).toBe("0");
+    expect(formatNative(1500000n, 6)).toBe("1.5");
+  });
+});
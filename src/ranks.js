@@ -0,0 +1,20 @@
+import rankLadder from "../ranks.json";
+
+// The ladder lives in ranks.json (the backend's share cards use it too); Tailwind
+// only ships classes it can see in source, so each rank's class is spelled out here.
+const RANK_CLASSES = {
+  Squire: "text-gray-300",
+  Knight: "text-blue-300",
+  "Knight Captain": "text-purple-300",
+  Baron: "text-yellow-300",
+  Duke: "text-orange-300",
+  Warlord: "text-red-300",
+  "Legendary Champion": "text-pink-300",
+};
+
+export const RANKS = rankLadder.map((r) => ({ ...r, className: RANK_CLASSES[r.name] || "text-gray-300" }));
+
+export function getRank(totalStrikes) {
+  for (let i = RANKS.length - 1; i >= 0; i--) if (totalStrikes >= RANKS[i].min) return RANKS[i];
+  return RANKS[0];
+}
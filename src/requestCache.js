@@ -0,0 +1,82 @@
+// Small in-memory cache for backend GETs, stale-while-revalidate: a fresh hit
+// is served without a request, a stale hit is served at once and refreshed in
+// the background (onUpdate receives the new body when it changed). Concurrent
+// requests for one URL share a fetch. Revalidation goes through the browser's
+// HTTP cache, which sends If-None-Match, so unchanged data comes back as a 304.
+//
+// Callers that know data moved (a strike settled, the live feed said the ranks
+// changed) invalidate() the affected URLs first.
+//
+// Offline, the service worker (public/sw.js) answers with its last copy and an
+// X-Cached-At header; cacheInfo(url) tells the page how old the data is.
+
+const MAX_ENTRIES = 200;
+const DEFAULT_MAX_AGE_MS = 15000;
+
+const entries = new Map(); // url -> { at, text, data, updatedAt, offline }
+const inflight = new Map(); // url -> Promise<entry>
+
+export class HttpError extends Error {
+  constructor(status, body) {
+    super(body?.error || `HTTP ${status}`);
+    this.status = status;
+    this.body = body;
+  }
+}
+
+function load(url) {
+  if (inflight.has(url)) return inflight.get(url);
+  const request = (async () => {
+    const r = await fetch(url);
+    const text = await r.text();
+    let data = null;
+    try {
+      data = JSON.parse(text);
+    } catch {}
+    if (!r.ok) throw new HttpError(r.status, data);
+
+    const cachedAt = Number(r.headers.get("x-cached-at"));
+    const offline = cachedAt > 0;
+    const entry = { at: Date.now(), text, data, updatedAt: offline ? cachedAt : Date.now(), offline };
+    // invalidated while in flight: the caller gets it, the cache doesn't
+    if (inflight.get(url) !== request) return entry;
+    entries.delete(url);
+    if (entries.size >= MAX_ENTRIES) entries.delete(entries.keys().next().value);
+    entries.set(url, entry);
+    return entry;
+  })().finally(() => {
+    if (inflight.get(url) === request) inflight.delete(url);
+  });
+  inflight.set(url, request);
+  return request;
+}
+
+// The parsed JSON body of `url`. Throws HttpError on a non-2xx response.
+export async function getJson(url, { maxAgeMs = DEFAULT_MAX_AGE_MS, onUpdate } = {}) {
+  const hit = entries.get(url);
+  if (!hit) return (await load(url)).data;
+
+  if (Date.now() - hit.at >= maxAgeMs && !inflight.has(url)) {
+    load(url).then(
+      (fresh) => {
+        if (fresh.text !== hit.text) onUpdate?.(fresh.data);
+      },
+      () => {}
+    );
+  }
+  return hit.data;
+}
+
+// { updatedAt, offline } for the last response of `url`: when its data was
+// fetched, and whether it came from the service worker's offline copy.
+export function cacheInfo(url) {
+  const hit = entries.get(url);
+  return hit ? { updatedAt: hit.updatedAt, offline: hit.offline } : null;
+}
+
+// Drops cached responses whose URL starts with `prefix`. Fetches already in
+// flight for them may predate the change, so later reads don't share them.
+export function invalidate(prefix) {
+  for (const url of [...entries.keys()]) if (url.startsWith(prefix)) entries.delete(url);
+  for (const url of [...inflight.keys()]) if (url.startsWith(prefix)) inflight.delete(url);
+}
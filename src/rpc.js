@@ -0,0 +1,120 @@
+import { JsonRpcProvider, Network } from "ethers";
+import { walletRequest } from "./walletErrors";
+
+// Read-only access to every chain over its public RPC endpoints, independent of
+// the wallet: balances, receipts and chain health work before anything is
+// connected, and for chains the wallet isn't on.
+//
+// A chain can list several rpcUrls. Each request goes to the healthiest
+// endpoint and fails over to the next. Health is a moving average of outcomes;
+// an endpoint that fails is benched for a backoff period (still tried as a last
+// resort) and climbs back once it answers again.
+
+const CALL_TIMEOUT_MS = 8000;
+const SCORE_WEIGHT = 0.3; // how much the latest outcome moves the score
+const BENCH_MS = 15 * 1000;
+const MAX_BENCH_MS = 5 * 60 * 1000;
+const SLOW_MS = 3000;
+
+// Errors where the node answered (the call itself is bad) — another endpoint
+// would say the same, so they don't count against this one.
+const ANSWERED = ["CALL_EXCEPTION", "INSUFFICIENT_FUNDS", "NONCE_EXPIRED", "REPLACEMENT_UNDERPRICED", "INVALID_ARGUMENT"];
+
+function createEndpoint(url, network) {
+  return {
+    url,
+    // staticNetwork: no eth_chainId probing, no retry loop when the URL is down
+    provider: new JsonRpcProvider(url, network, { staticNetwork: network, batchMaxCount: 1 }),
+    score: 1,
+    latencyMs: null,
+    failures: 0,
+    benchedUntil: 0,
+  };
+}
+
+function record(ep, ok, latencyMs) {
+  ep.score = ep.score * (1 - SCORE_WEIGHT) + (ok ? SCORE_WEIGHT : 0);
+  if (ok) {
+    ep.latencyMs = ep.latencyMs === null ? latencyMs : Math.round(ep.latencyMs * 0.7 + latencyMs * 0.3);
+    ep.failures = 0;
+    ep.benchedUntil = 0;
+  } else {
+    ep.failures += 1;
+    ep.benchedUntil = Date.now() + Math.min(BENCH_MS * 2 ** (ep.failures - 1), MAX_BENCH_MS);
+  }
+}
+
+// Available endpoints best first, then benched ones soonest-back first.
+function ranked(endpoints, now = Date.now()) {
+  const up = endpoints.filter((ep) => ep.benchedUntil <= now);
+  const benched = endpoints.filter((ep) => ep.benchedUntil > now);
+  up.sort((a, b) => b.score - a.score || (a.latencyMs ?? Infinity) - (b.latencyMs ?? Infinity));
+  benched.sort((a, b) => a.benchedUntil - b.benchedUntil);
+  return [...up, ...benched];
+}
+
+export function createReadClient(chain, { timeoutMs = CALL_TIMEOUT_MS } = {}) {
+  const network = Network.from(Number(BigInt(chain.chainIdHex)));
+  const urls = chain.rpcUrls?.length ? chain.rpcUrls : [chain.rpcUrl];
+  const endpoints = urls.map((url) => createEndpoint(url, network));
+
+  // EIP-1193 request, so it can stand in for a wallet provider in read paths.
+  const request = async ({ method, params = [] }) => {
+    let lastErr;
+    for (const ep of ranked(endpoints)) {
+      const started = Date.now();
+      try {
+        const result = await walletRequest(
+          { request: () => ep.provider.send(method, params) },
+          { method, params },
+          { timeoutMs }
+        );
+        record(ep, true, Date.now() - started);
+        return result;
+      } catch (err) {
+        if (ANSWERED.includes(err.cause?.code)) {
+          record(ep, true, Date.now() - started);
+          throw err;
+        }
+        record(ep, false);
+        lastErr = err;
+      }
+    }
+    throw lastErr;
+  };
+
+  return {
+    chainKey: chain.key,
+    request,
+
+    async getBalance(address) {
+      return BigInt(await request({ method: "eth_getBalance", params: [address, "latest"] }));
+    },
+
+    // "ok" when the best endpoint answers reliably and quickly, "degraded" when
+    // it's flaky or slow, "down" when every endpoint is benched.
+    health(now = Date.now()) {
+      const list = ranked(endpoints, now).map((ep) => ({
+        url: ep.url,
+        score: Math.round(ep.score * 100) / 100,
+        latencyMs: ep.latencyMs,
+        up: ep.benchedUntil <= now,
+      }));
+      const best = list[0];
+      const slow = (best?.latencyMs ?? 0) > SLOW_MS;
+      const status = !best?.up ? "down" : best.score < 0.8 || slow ? "degraded" : "ok";
+      return { status, endpoints: list };
+    },
+  };
+}
+
+// One client per chain and endpoint list, kept across registry reloads so
+// health scores survive.
+const clients = new Map();
+
+export function readClient(chain) {
+  if (!chain) return null;
+  const id = `${chain.key}:${chain.chainIdHex}:${(chain.rpcUrls || [chain.rpcUrl]).join(",")}`;
+  if (!clients.has(id)) clients.set(id, createReadClient(chain));
+  return clients.get(id);
+}
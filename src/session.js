@@ -0,0 +1,20 @@
+// The sign-in session ({ token, fid, expiresAt }) kept across reloads; expired
+// ones are dropped on load.
+
+const SESSION_KEY = "chainwarz:session";
+
+export function loadSession() {
+  try {
+    const s = JSON.parse(localStorage.getItem(SESSION_KEY) || "null");
+    return s?.token && s.expiresAt > Date.now() ? s : null;
+  } catch {
+    return null;
+  }
+}
+
+export function saveSession(s) {
+  try {
+    if (s) localStorage.setItem(SESSION_KEY, JSON.stringify(s));
+    else localStorage.removeItem(SESSION_KEY);
+  } catch {}
+}
@@ -0,0 +1,39 @@
+// Builds EIP-4361 (Sign-In With Ethereum) messages for personal_sign. The
+// backend parses and verifies them in server/siwe.js.
+
+export function buildSiweMessage({
+  domain,
+  address,
+  statement,
+  uri,
+  chainId = 1,
+  nonce,
+  issuedAt = new Date().toISOString(),
+  expirationTime,
+  resources = [],
+}) {
+  const lines = [`${domain} wants you to sign in with your Ethereum account:`, address, ""];
+  if (statement) lines.push(statement, "");
+  lines.push(`URI: ${uri}`, "Version: 1", `Chain ID: ${chainId}`, `Nonce: ${nonce}`, `Issued At: ${issuedAt}`);
+  if (expirationTime) lines.push(`Expiration Time: ${expirationTime}`);
+  if (resources.length) lines.push("Resources:", ...resources.map((r) => `- ${r}`));
+  return lines.join("\n");
+}
+
+function utf8ToHex(str) {
+  return "0x" + [...new TextEncoder().encode(str)].map((b) => b.toString(16).padStart(2, "0")).join("");
+}
+
+export async function personalSign(provider, address, message) {
+  return provider.request({ method: "personal_sign", params: [utf8ToHex(message), address] });
+}
+
+// Must match linkStatement() in server/routes/links.js.
+export function linkStatement(fid) {
+  return `Link this wallet to Farcaster FID ${fid} on ChainWarZ.`;
+}
+
+// Must match pledgeStatement() in server/routes/factions.js.
+export function pledgeStatement(faction) {
+  return `Pledge to the ${faction.name} faction on ChainWarZ.`;
+}
@@ -0,0 +1,178 @@
+// @vitest-environment jsdom
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { cleanup, fireEvent, render, screen, waitFor, within } from "@testing-library/react";
+import { createMockProvider } from "./test/mockProvider";
+import { startBackend } from "./test/backend";
+import { DEFAULT_CHAINS } from "./chains";
+
+// The app's strike flow end to end — connect, switch chain, strike, watch it
+// confirm, see the indexed numbers — by clicking through App, against a mock
+// wallet and chain, a mocked miniapp SDK and the real backend indexing the
+// mock chain.
+
+const host = vi.hoisted(() => ({ inMiniApp: false, user: null, provider: null, chain: null }));
+
+vi.mock("@farcaster/miniapp-sdk", () => ({
+  sdk: {
+    isInMiniApp: async () => host.inMiniApp,
+    get context() {
+      return Promise.resolve({ user: host.user, client: {} });
+    },
+    actions: { ready: async () => {} },
+    getCapabilities: async () => (host.provider ? ["wallet.getEthereumProvider"] : []),
+    wallet: { getEthereumProvider: async () => host.provider },
+  },
+}));
+
+// the chains' public RPCs read the same mock chain the wallet sends to
+vi.mock("./rpc", () => ({ readClient: (c) => (c ? host.chain.reader(c.chainIdHex) : null) }));
+
+const base = DEFAULT_CHAINS.base;
+const ACCOUNT = "0x70997970c51812dc3a010c7d01b50e0d17dc79c8";
+const ALICE = {
+  fid: 9001,
+  username: "alice",
+  display_name: "Alice",
+  pfp_url: null,
+  profile: { bio: { text: "Base maxi." } },
+  verified_addresses: { eth_addresses: [ACCOUNT] },
+};
+
+let backend;
+
+// The app reads its backend's URL at import, so every test imports it afresh.
+async function renderApp(provider) {
+  host.chain = provider;
+  backend = await startBackend({ provider, users: [ALICE] });
+  vi.stubEnv("VITE_BACKEND_URL", backend.url);
+  vi.resetModules();
+  const { default: App } = await import("./App");
+  render(<App />);
+}
+
+beforeEach(() => {
+  globalThis.IS_REACT_ACT_ENVIRONMENT = true;
+  Object.assign(host, { inMiniApp: false, user: null, provider: null, chain: null });
+});
+
+afterEach(async () => {
+  cleanup();
+  await backend.close();
+  vi.unstubAllEnvs();
+  delete window.ethereum;
+  localStorage.clear();
+  window.history.replaceState(null, "", "/");
+});
+
+const tab = (name) => screen.getAllByRole("button", { name })[0];
+
+// Clicks `name` once it is enabled (buttons are disabled while the app is busy).
+async function click(name) {
+  const button = await screen.findByRole("button", { name });
+  await waitFor(() => expect(button.disabled).toBe(false));
+  fireEvent.click(button);
+}
+
+const strikeOnBase = (suffix = "") => click(`Base — ${base.strikeLabel}${suffix}`);
+
+// Mines the next block and has the strike tracker check its strikes now (it
+// re-checks whenever the browser comes back online) instead of on its timer.
+function confirmStrikes(provider) {
+  provider.mine(1, base.chainIdHex);
+  window.dispatchEvent(new Event("online"));
+}
+
+// A leaderboard card by its title.
+const board = (name) => screen.getByText(`${name} Leaderboard`).closest(".rounded-xl");
+
+describe("strike flow", () => {
+  it("connects inside the Farcaster host, switches chain, strikes and sees it indexed", async () => {
+    const provider = createMockProvider({ accounts: [ACCOUNT] });
+    Object.assign(host, { inMiniApp: true, user: { fid: ALICE.fid, username: "alice" }, provider });
+    await renderApp(provider);
+
+    // connect
+    await click("Connect Farcaster");
+    expect(await screen.findByText("Connected via: farcaster")).toBeTruthy();
+
+    // strike: the wallet is on mainnet and doesn't know Base yet
+    await strikeOnBase();
+    expect(await screen.findByText("Strike submitted — waiting for confirmation…")).toBeTruthy();
+    const methods = provider.calls.map((c) => c.method);
+    expect(methods.indexOf("wallet_addEthereumChain")).toBeGreaterThan(methods.indexOf("wallet_switchEthereumChain"));
+    expect(provider.chainId).toBe(base.chainIdHex);
+    expect(screen.getByText(`Chain: ${base.name}`)).toBeTruthy();
+    expect(await screen.findByText(/^Expected total on Base:/)).toBeTruthy();
+    expect(await screen.findByText("Confirming 1/2")).toBeTruthy();
+
+    // until the backend has it the strike shows as unconfirmed
+    fireEvent.click(tab("Profile"));
+    expect(await screen.findByText("Alice")).toBeTruthy();
+    expect(await screen.findByText("+1 unconfirmed")).toBeTruthy();
+
+    // the indexer picks it up; once it confirms the app refetches the counts
+    await backend.index();
+    confirmStrikes(provider);
+    expect(await screen.findByText("Strike confirmed on Base!")).toBeTruthy();
+    await waitFor(() => expect(screen.queryByText("+1 unconfirmed")).toBeNull());
+    const baseCount = screen.getByText("Base strikes").parentElement;
+    expect(within(baseCount).getByText("1")).toBeTruthy();
+
+    // and the boards rank Alice by FID
+    fireEvent.click(tab("Leaderboard"));
+    await waitFor(() => {
+      expect(within(board("Base")).getByText("You · alice")).toBeTruthy();
+      expect(within(board("All chains")).getByText("You · alice")).toBeTruthy();
+    });
+    expect(within(board("Base")).getByText("alice")).toBeTruthy();
+  });
+
+  it("strikes × N from a browser wallet already on the chain", async () => {
+    const provider = createMockProvider({ accounts: [ACCOUNT], chainIdHex: base.chainIdHex, known: [base.chainIdHex] });
+    window.ethereum = provider;
+    await renderApp(provider);
+
+    await click("Connect Browser");
+    expect(await screen.findByText("Connected via: browser (Browser wallet)")).toBeTruthy();
+
+    fireEvent.change(screen.getByRole("spinbutton"), { target: { value: "3" } });
+    await strikeOnBase(" ×3");
+    expect(await screen.findByText("3/3 strikes sent on Base.")).toBeTruthy();
+    expect(screen.getByText("Base batch · 3/3 sent")).toBeTruthy();
+
+    // plain transactions from the player with consecutive nonces, no chain switch
+    expect(provider.calls.some((c) => c.method === "wallet_addEthereumChain")).toBe(false);
+    const txs = provider.calls.filter((c) => c.method === "eth_sendTransaction").map((c) => c.params[0]);
+    expect(txs.map((tx) => tx.nonce)).toEqual(["0x0", "0x1", "0x2"]);
+    for (const tx of txs) expect(tx).toMatchObject({ from: ACCOUNT, to: base.contractAddress.toLowerCase(), data: "0x" });
+
+    await backend.index();
+    confirmStrikes(provider);
+    await waitFor(() => expect(screen.getAllByText("Confirmed")).toHaveLength(3));
+
+    // the indexer linked the wallet to Alice's FID (a verified address)
+    fireEvent.click(tab("Leaderboard"));
+    await waitFor(() => {
+      const me = within(board("All chains")).getByText("You · alice").closest("a");
+      expect(within(me).getByText("3")).toBeTruthy();
+    });
+  });
+
+  it("stops before signing when the balance can't cover the strike", async () => {
+    const provider = createMockProvider({
+      accounts: [ACCOUNT],
+      chainIdHex: base.chainIdHex,
+      known: [base.chainIdHex],
+      balanceWei: 0n,
+    });
+    window.ethereum = provider;
+    await renderApp(provider);
+
+    await click("Connect Browser");
+    await strikeOnBase();
+
+    expect(await screen.findByText("Not enough ETH on Base to cover the strike and gas.")).toBeTruthy();
+    expect(screen.getByRole("button", { name: "Try again" })).toBeTruthy();
+    expect(provider.calls.some((c) => c.method === "eth_sendTransaction")).toBe(false);
+  });
+});
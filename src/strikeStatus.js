@@ -0,0 +1,34 @@
+// Strike status checks, one step at a time, against any EIP-1193 provider
+// (useStrikeTracker polls them; tests call them directly):
+// pending → confirming → confirmed | failed | replaced.
+
+export const REQUIRED_CONFIRMATIONS = 2;
+
+const SETTLED = ["confirmed", "failed", "replaced"];
+export const isSettled = (strike) => SETTLED.includes(strike.status);
+
+// One polling step for a strike. Returns the fields to merge into it, or null
+// when nothing changed.
+export async function checkStrike(provider, strike, required = REQUIRED_CONFIRMATIONS) {
+  const receipt = await provider.request({ method: "eth_getTransactionReceipt", params: [strike.hash] });
+  if (receipt) {
+    const blockNumber = Number(BigInt(receipt.blockNumber));
+    if (receipt.status === "0x0") return { status: "failed", blockNumber };
+
+    const head = Number(BigInt(await provider.request({ method: "eth_blockNumber" })));
+    const confirmations = Math.max(head - blockNumber + 1, 1);
+    if (confirmations === strike.confirmations) return null;
+    return { status: confirmations >= required ? "confirmed" : "confirming", confirmations, blockNumber };
+  }
+
+  const tx = await provider.request({ method: "eth_getTransactionByHash", params: [strike.hash] });
+  if (tx) return strike.nonce == null && tx.nonce ? { nonce: tx.nonce } : null;
+
+  // Gone from the mempool without a receipt: if the sender's nonce has moved past
+  // ours, the wallet sped it up or cancelled it under a different hash.
+  if (strike.nonce != null) {
+    const count = await provider.request({ method: "eth_getTransactionCount", params: [strike.from, "latest"] });
+    if (BigInt(count) > BigInt(strike.nonce)) return { status: "replaced" };
+  }
+  return null;
+}
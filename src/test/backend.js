@@ -0,0 +1,94 @@
+import http from "node:http";
+import { config } from "../../server/config";
+import { CHAINS } from "../../server/chains";
+import { createApp } from "../../server/app";
+import { createStore } from "../../server/store";
+import { createFarcaster } from "../../server/farcaster";
+import { createIndexer } from "../../server/indexer";
+import { createAuth } from "../../server/auth";
+import { createLive } from "../../server/live";
+import { createOg } from "../../server/og";
+import { createNotifications, logSender } from "../../server/notifications";
+
+// The real backend (server/app.js) wired like server.js, in memory, with its
+// indexer reading the mock chains of `provider` (test/mockProvider.js) from
+// their current head. Nothing is indexed until the test calls index(), the
+// indexer loop's job in production. `users` are Neynar-shaped Farcaster users.
+// `requests` lists every path asked for, so tests can see what was refetched.
+
+export async function startBackend({ provider, users = [] }) {
+  const chains = {};
+  for (const chain of Object.values(CHAINS)) {
+    const head = await provider.indexerProvider(chain.chainIdHex).getBlockNumber();
+    chains[chain.key] = { ...chain, startBlock: head + 1 };
+  }
+
+  const store = createStore({ file: null });
+  const farcaster = createFarcaster({ store, source: usersSource(users) });
+  const notifySender = logSender();
+  const notifications = createNotifications({ store, chains, sender: notifySender, appUrl: "http://localhost:3000" });
+  const live = createLive({ store, farcaster, chains, onOvertake: notifications.onOvertake });
+  const indexer = createIndexer({
+    chains,
+    store,
+    connect: (chain) => provider.indexerProvider(chain.chainIdHex),
+    onStrikes: async (chainKey, strikes) => {
+      await farcaster.resolveAddresses(strikes.map((s) => s.from));
+      live.onStrikes(chainKey, strikes);
+      notifications.onStrikes(chainKey, strikes);
+    },
+    onRemoved: (chainKey) => live.onRemoved(chainKey),
+  });
+
+  const app = createApp({
+    config: { ...config, rateLimitMax: 100000, rateLimitWriteMax: 100000, rateLimitShareMax: 100000 },
+    chains,
+    store,
+    farcaster,
+    auth: createAuth(),
+    live,
+    og: createOg(),
+    notifications,
+    notifySender,
+  });
+
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    requests.push(req.url.split("?")[0]);
+    app(req, res);
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    requests,
+    store,
+
+    // Indexes every chain up to its head.
+    async index() {
+      for (const key of Object.keys(chains)) while (await indexer.tick(key));
+    },
+
+    close() {
+      indexer.stop();
+      live.close();
+      return new Promise((resolve) => server.close(resolve));
+    },
+  };
+}
+
+// A Farcaster identity source over a fixed list of users.
+function usersSource(users) {
+  const verified = (u) => (u.verified_addresses?.eth_addresses || []).map((a) => a.toLowerCase());
+  return {
+    async byFids(fids) {
+      return users.filter((u) => fids.includes(u.fid));
+    },
+    async byUsername(name) {
+      return users.find((u) => u.username === name) || null;
+    },
+    async byAddresses(addresses) {
+      return users.filter((u) => verified(u).some((a) => addresses.includes(a)));
+    },
+  };
+}
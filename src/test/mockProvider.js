@@ -0,0 +1,173 @@
+// An EIP-1193 wallet over an in-memory chain set, for tests. It starts on
+// `chainIdHex` knowing only the chains in `known`; wallet_switchEthereumChain to
+// anything else fails with 4902 until wallet_addEthereumChain adds it.
+// Every eth_sendTransaction is mined at once into its own block (one with an
+// explicit nonce other than the account's next fails), and onTransaction(tx)
+// lets a test react to it.
+//
+// reader(chainIdHex) is a read client (rpc.js's shape) over one chain whichever
+// chain the wallet is on, and
+// indexerProvider(chainIdHex) the ethers-style slice of it the backend's
+// indexer reads blocks through.
+//
+// `calls` records every wallet request as { method, params }.
+
+const hex = (n) => "0x" + BigInt(n).toString(16);
+const blockHash = (id, n) => `0x${BigInt(id).toString(16).padStart(8, "0")}${n.toString(16).padStart(56, "0")}`;
+
+export function createMockProvider({
+  accounts = ["0x70997970c51812dc3a010c7d01b50e0d17dc79c8"],
+  chainIdHex = "0x1",
+  known = ["0x1"],
+  balanceWei = 10n ** 18n,
+  gasPriceWei = 1000000n,
+  onTransaction = () => {},
+} = {}) {
+  const listeners = new Map(); // event -> Set(handler)
+  // chainIdHex -> { head, times: Map(block -> timestamp), txs: Map(hash -> tx), nonces: Map(address -> n) }
+  const chains = new Map();
+  const added = new Set(known); // chains the wallet knows
+  const calls = [];
+  let current = chainIdHex;
+  let connected = false;
+  let txCount = 0;
+
+  const chainState = (id) => {
+    if (!chains.has(id)) chains.set(id, { head: 100, times: new Map(), txs: new Map(), nonces: new Map() });
+    return chains.get(id);
+  };
+
+  const advance = (chain, blocks) => {
+    for (let i = 0; i < blocks; i++) chain.times.set(++chain.head, Math.floor(Date.now() / 1000));
+  };
+
+  const emit = (event, value) => {
+    for (const handler of listeners.get(event) || []) handler(value);
+  };
+
+  const rpcError = (code, message) => Object.assign(new Error(message), { code });
+
+  // Reads against chain `id`.
+  const readHandlers = (id) => ({
+    eth_chainId: () => id,
+    eth_getBalance: () => hex(balanceWei),
+    eth_gasPrice: () => hex(gasPriceWei),
+    eth_estimateGas: () => hex(21000),
+    eth_blockNumber: () => hex(chainState(id).head),
+    eth_getBlockByNumber: ([tag]) => {
+      const chain = chainState(id);
+      const n = tag === "latest" ? chain.head : Number(BigInt(tag));
+      if (n > chain.head) return null;
+      return { number: hex(n), hash: blockHash(id, n), timestamp: hex(chain.times.get(n) || 0) };
+    },
+    eth_getTransactionCount: ([address]) => hex(chainState(id).nonces.get(address.toLowerCase()) || 0),
+    eth_getTransactionByHash: ([hash]) => {
+      const tx = chainState(id).txs.get(hash);
+      return tx ? { hash, from: tx.from, to: tx.to, nonce: tx.nonce, blockNumber: hex(tx.blockNumber) } : null;
+    },
+    eth_getTransactionReceipt: ([hash]) => {
+      const tx = chainState(id).txs.get(hash);
+      return tx ? { transactionHash: hash, blockNumber: hex(tx.blockNumber), status: "0x1" } : null;
+    },
+  });
+
+  const handlers = {
+    eth_requestAccounts: () => {
+      connected = true;
+      return accounts;
+    },
+    eth_accounts: () => (connected ? accounts : []),
+
+    wallet_switchEthereumChain: ([{ chainId }]) => {
+      if (!added.has(chainId)) throw rpcError(4902, `Unrecognized chain ID ${chainId}`);
+      if (chainId !== current) {
+        current = chainId;
+        emit("chainChanged", chainId);
+      }
+      return null;
+    },
+    wallet_addEthereumChain: ([{ chainId }]) => {
+      added.add(chainId);
+      current = chainId;
+      emit("chainChanged", chainId);
+      return null;
+    },
+
+    personal_sign: () => {
+      throw rpcError(4200, "personal_sign is not supported by the mock wallet");
+    },
+
+    eth_sendTransaction: ([tx]) => {
+      if (!connected || !accounts.includes(tx.from.toLowerCase())) throw rpcError(4100, "Unauthorized");
+      const chain = chainState(current);
+      const from = tx.from.toLowerCase();
+      const nonce = chain.nonces.get(from) || 0;
+      if (tx.nonce !== undefined && Number(BigInt(tx.nonce)) !== nonce) {
+        throw rpcError(-32000, `nonce too ${Number(BigInt(tx.nonce)) < nonce ? "low" : "high"}`);
+      }
+      chain.nonces.set(from, nonce + 1);
+      advance(chain, 1);
+      const hash = "0x" + (++txCount).toString(16).padStart(64, "0");
+      const mined = { ...tx, from, hash, nonce: hex(nonce), blockNumber: chain.head, chainIdHex: current };
+      chain.txs.set(hash, mined);
+      onTransaction(mined);
+      return hash;
+    },
+  };
+
+  const answer = (table, { method, params = [] }) => {
+    const handler = table[method];
+    if (!handler) throw rpcError(4200, `Unsupported method ${method}`);
+    return handler(params);
+  };
+
+  return {
+    calls,
+
+    async request({ method, params = [] }) {
+      calls.push({ method, params });
+      return answer({ ...readHandlers(current), ...handlers }, { method, params });
+    },
+
+    on(event, handler) {
+      if (!listeners.has(event)) listeners.set(event, new Set());
+      listeners.get(event).add(handler);
+    },
+    removeListener(event, handler) {
+      listeners.get(event)?.delete(handler);
+    },
+
+    // Test controls
+    get chainId() {
+      return current;
+    },
+    mine(blocks = 1, id = current) {
+      advance(chainState(id), blocks);
+    },
+
+    reader(id) {
+      const request = async (args) => answer(readHandlers(id), args);
+      return {
+        request,
+        getBalance: async (address) => BigInt(await request({ method: "eth_getBalance", params: [address, "latest"] })),
+        health: () => ({ status: "ok", endpoints: [] }),
+      };
+    },
+
+    indexerProvider(id) {
+      const chain = chainState(id);
+      return {
+        getBlockNumber: async () => chain.head,
+        getBlock: async (n) => {
+          if (n > chain.head) return null;
+          const prefetchedTransactions = [...chain.txs.values()]
+            .filter((tx) => tx.blockNumber === n)
+            .map((tx) => ({ hash: tx.hash, from: tx.from, to: tx.to, value: BigInt(tx.value || 0), data: tx.data || "0x" }));
+          return { number: n, hash: blockHash(id, n), timestamp: chain.times.get(n) || 0, prefetchedTransactions };
+        },
+        getTransactionReceipt: async (hash) => (chain.txs.has(hash) ? { status: 1 } : null),
+        destroy: () => {},
+      };
+    },
+  };
+}
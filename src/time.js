@@ -0,0 +1,9 @@
+// "5m ago" for a unix timestamp (seconds); a date once it's a week old.
+export function timeAgo(timestamp) {
+  const s = Math.max(0, Math.floor(Date.now() / 1000 - timestamp));
+  if (s < 60) return "just now";
+  if (s < 3600) return `${Math.floor(s / 60)}m ago`;
+  if (s < 86400) return `${Math.floor(s / 3600)}h ago`;
+  if (s < 7 * 86400) return `${Math.floor(s / 86400)}d ago`;
+  return new Date(timestamp * 1000).toLocaleDateString();
+}
@@ -0,0 +1,52 @@
+import { useEffect, useState } from "react";
+import { readClient } from "./rpc";
+
+// Live per-chain numbers straight from the chains' public RPCs (no wallet
+// needed): the head block and its age, the strike contract's balance (the war
+// chest; not a strike count — withdrawals and other transfers move it too) and
+// the summed balance of `addresses`. Keyed by chain:
+//   { head, blockAge, warChest, balance, health }
+// Values stay null until the first read succeeds.
+
+const POLL_MS = 15000;
+
+async function readChain(chain, addresses) {
+  const client = readClient(chain);
+  const settle = (p) => p.then((v) => v, () => null);
+  const [block, warChest, balances] = await Promise.all([
+    settle(client.request({ method: "eth_getBlockByNumber", params: ["latest", false] })),
+    settle(client.getBalance(chain.contractAddress)),
+    settle(Promise.all(addresses.map((a) => client.getBalance(a)))),
+  ]);
+  return {
+    head: block ? Number(BigInt(block.number)) : null,
+    blockAge: block ? Math.max(0, Math.floor(Date.now() / 1000) - Number(BigInt(block.timestamp))) : null,
+    warChest,
+    balance: balances && addresses.length ? balances.reduce((n, b) => n + b, 0n) : null,
+    health: client.health(),
+  };
+}
+
+export function useChainStatus(chainList, addresses = []) {
+  const [status, setStatus] = useState({});
+  const chainIds = chainList.map((c) => `${c.key}:${(c.rpcUrls || []).join(",")}`).join("|");
+  const addressIds = addresses.join(",");
+
+  useEffect(() => {
+    let stopped = false;
+    const poll = async () => {
+      const entries = await Promise.all(chainList.map(async (c) => [c.key, await readChain(c, addresses)]));
+      if (!stopped) setStatus(Object.fromEntries(entries));
+    };
+
+    poll();
+    const id = setInterval(poll, POLL_MS);
+    return () => {
+      stopped = true;
+      clearInterval(id);
+    };
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [chainIds, addressIds]);
+
+  return status;
+}
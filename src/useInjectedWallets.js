@@ -0,0 +1,58 @@
+import { useEffect, useState } from "react";
+
+// EIP-6963 multi-wallet discovery. Every injected wallet announces itself with
+// { info: { uuid, name, icon, rdns }, provider }; the chosen wallet's rdns is
+// remembered so the next visit can reconnect to the same one silently.
+
+const STORAGE_KEY = "chainwarz:wallet";
+
+export function rememberWallet(rdns) {
+  try {
+    localStorage.setItem(STORAGE_KEY, rdns);
+  } catch {}
+}
+
+export function forgetWallet() {
+  try {
+    localStorage.removeItem(STORAGE_KEY);
+  } catch {}
+}
+
+export function rememberedWallet() {
+  try {
+    return localStorage.getItem(STORAGE_KEY);
+  } catch {
+    return null;
+  }
+}
+
+// Wallets that predate EIP-6963 only set window.ethereum.
+function legacyWallet() {
+  if (typeof window === "undefined" || !window.ethereum) return null;
+  return {
+    info: { uuid: "injected", name: "Browser wallet", icon: "", rdns: "injected" },
+    provider: window.ethereum,
+  };
+}
+
+export function useInjectedWallets() {
+  const [announced, setAnnounced] = useState([]);
+
+  useEffect(() => {
+    if (typeof window === "undefined") return;
+
+    const onAnnounce = (e) => {
+      const { info, provider } = e.detail || {};
+      if (!info?.uuid || !provider?.request) return;
+      setAnnounced((list) => (list.some((w) => w.info.uuid === info.uuid) ? list : [...list, { info, provider }]));
+    };
+
+    window.addEventListener("eip6963:announceProvider", onAnnounce);
+    window.dispatchEvent(new Event("eip6963:requestProvider"));
+    return () => window.removeEventListener("eip6963:announceProvider", onAnnounce);
+  }, []);
+
+  if (announced.length) return announced;
+  const legacy = legacyWallet();
+  return legacy ? [legacy] : [];
+}
@@ -0,0 +1,144 @@
+import { useEffect, useRef, useState } from "react";
+import { ALL_CHAINS_BOARD } from "./chains";
+import { cacheInfo } from "./requestCache";
+import { api } from "./api";
+
+// The leaderboards (the all-chains board and one per chain) with their search
+// and filters, the seasons they can be narrowed to and the indexed totals per
+// chain. `fid` / `account` let the backend pin the player's own row; the boards
+// are re-queried when they, the search (debounced) or a filter change.
+
+const LEADERBOARD_PAGE_SIZE = 10;
+
+export const EMPTY_BOARD = { entries: [], total: 0, me: null };
+
+export const BOARD_WINDOWS = [
+  { value: "all", label: "All time" },
+  { value: "24h", label: "24h" },
+  { value: "7d", label: "7 days" },
+  { value: "30d", label: "30 days" },
+];
+
+// The hosted backend still answers with a bare array.
+export function toBoard(data) {
+  if (Array.isArray(data)) return { entries: data, total: data.length, me: null };
+  return {
+    entries: Array.isArray(data?.entries) ? data.entries : [],
+    total: data?.total || 0,
+    me: data?.me || null,
+  };
+}
+
+export function useLeaderboards({ chains, fid, account }) {
+  const [leaderboard, setLeaderboard] = useState({}); // chainKey -> { entries, total, me }
+  const [chainStats, setChainStats] = useState(null); // chainKey -> { strikes, players }
+  const [boardQuery, setBoardQuery] = useState("");
+  const [boardWindow, setBoardWindow] = useState("all"); // BOARD_WINDOWS value or "season:<id>"
+  const [boardVerified, setBoardVerified] = useState(false); // hide players the sybil rules flag
+  const [seasons, setSeasons] = useState([]);
+  const [boardsAge, setBoardsAge] = useState(null); // cacheInfo() of the boards shown
+
+  // One board page as the filters stand.
+  const boardQueryFor = (offset, q) => ({
+    offset,
+    limit: LEADERBOARD_PAGE_SIZE,
+    q,
+    window: boardWindow,
+    verified: boardVerified,
+    fid,
+    address: account,
+  });
+
+  // The first-page URL each board last asked for; a background refresh only
+  // lands if the board still shows that page.
+  const boardUrls = useRef({});
+  // Only the latest loadLeaderboards() lands; an older one may finish after it.
+  const boardLoads = useRef(0);
+
+  const noteAge = (url) => {
+    const info = cacheInfo(url);
+    if (info) setBoardsAge(info);
+  };
+
+  // Indexed totals per chain; they move with the boards, so the board loader refreshes them.
+  const loadChainStats = async () => {
+    try {
+      setChainStats(await api.chainStats({ onUpdate: setChainStats }));
+    } catch {}
+  };
+
+  const loadLeaderboards = async (registry = chains, q = boardQuery.trim()) => {
+    loadChainStats();
+    const load = ++boardLoads.current;
+    const keys = [ALL_CHAINS_BOARD.key, ...Object.keys(registry)];
+    const boards = await Promise.all(
+      keys.map((key) => {
+        const query = boardQueryFor(0, q);
+        const url = api.leaderboardUrl(key, query);
+        boardUrls.current[key] = url;
+        return api.leaderboard(key, query, {
+          onUpdate: (fresh) => {
+            if (boardUrls.current[key] !== url) return;
+            setLeaderboard((prev) => ({ ...prev, [key]: toBoard(fresh) }));
+            if (key === ALL_CHAINS_BOARD.key) noteAge(url);
+          },
+        })
+          .then(toBoard)
+          .catch(() => EMPTY_BOARD);
+      })
+    );
+    if (load !== boardLoads.current) return;
+    const next = {};
+    keys.forEach((key, i) => (next[key] = boards[i]));
+    setLeaderboard(next);
+    noteAge(boardUrls.current[ALL_CHAINS_BOARD.key]);
+  };
+
+  const loadMoreLeaderboard = async (key) => {
+    const board = leaderboard[key] || EMPTY_BOARD;
+    try {
+      const page = toBoard(await api.leaderboard(key, boardQueryFor(board.entries.length, boardQuery.trim())));
+      setLeaderboard((prev) => ({
+        ...prev,
+        [key]: { ...page, entries: [...(prev[key]?.entries || []), ...page.entries] },
+      }));
+    } catch {}
+  };
+
+  const loadSeasons = async () => {
+    try {
+      const data = await api.seasons();
+      setSeasons(Array.isArray(data) ? data : []);
+    } catch {
+      setSeasons([]);
+    }
+  };
+
+  // The first load is the caller's (it knows when the registry is in).
+  const boardsMounted = useRef(false);
+  useEffect(() => {
+    if (!boardsMounted.current) {
+      boardsMounted.current = true;
+      return;
+    }
+    const id = setTimeout(() => loadLeaderboards(), 300);
+    return () => clearTimeout(id);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [boardQuery, boardWindow, boardVerified, account, fid]);
+
+  return {
+    leaderboard,
+    chainStats,
+    boardQuery,
+    setBoardQuery,
+    boardWindow,
+    setBoardWindow,
+    boardVerified,
+    setBoardVerified,
+    seasons,
+    boardsAge,
+    loadLeaderboards,
+    loadMoreLeaderboard,
+    loadSeasons,
+  };
+}
@@ -0,0 +1,120 @@
+import { sdk } from "@farcaster/miniapp-sdk";
+import { useState } from "react";
+import { buildSiweMessage, personalSign, linkStatement } from "./siwe";
+import { HttpError } from "./requestCache";
+import { api } from "./api";
+import { shortAddr } from "./identity";
+import { loadSession, saveSession } from "./session";
+
+// Wallet linking: an FID session (bearer token) proved by Sign In With
+// Farcaster inside the host, else by SIWE from the connected wallet, and
+// linking / unlinking the connected wallet to that FID. onLinksChanged(fid)
+// runs after either, to refetch what the change moved.
+//
+// `linkFid` is the FID wallets are managed for: the host's user, else the
+// session's. failure(err, fallback) turns a backend error into a status line
+// and drops the session when the backend says it has expired.
+
+export function useLinking({ ui, account, getActiveProvider, currentChainId, inMiniApp, fcUser, onLinksChanged }) {
+  const [session, setSession] = useState(loadSession);
+  const linkFid = fcUser?.fid || session?.fid || null;
+
+  const failure = (err, fallback) => {
+    if (err instanceof HttpError && err.status === 401) {
+      setSession(null);
+      saveSession(null);
+    }
+    return err instanceof HttpError ? err.body?.error || fallback : err?.message || fallback;
+  };
+
+  const siweFor = (address, nonce, extra) =>
+    buildSiweMessage({
+      domain: window.location.host,
+      address,
+      uri: window.location.origin,
+      chainId: currentChainId ? Number(BigInt(currentChainId)) : 1,
+      nonce,
+      ...extra,
+    });
+
+  const signInForLinking = async () => {
+    const nonce = await api.nonce();
+    let data;
+    if (inMiniApp && fcUser?.fid) {
+      data = await api.signInWithFarcaster(await sdk.actions.signIn({ nonce, acceptAuthAddress: false }));
+    } else {
+      const p = getActiveProvider();
+      if (!account || !p?.request) throw new Error("Connect a wallet first.");
+      const message = siweFor(account, nonce, { statement: "Sign in to ChainWarZ." });
+      data = await api.signInWithWallet({ message, signature: await personalSign(p, account, message) });
+    }
+    setSession(data);
+    saveSession(data);
+    return data;
+  };
+
+  // The current session for the FID, signing in again when there is none.
+  const sessionForFid = async () => (session?.token && session.fid === linkFid ? session : signInForLinking());
+
+  const onSignInForLinking = async () => {
+    try {
+      ui.setLoading(true);
+      ui.setStatus("Sign in to manage linked wallets…");
+      const s = await signInForLinking();
+      ui.setStatus(`Signed in as FID ${s.fid}.`);
+    } catch (err) {
+      ui.setStatus(failure(err, "Sign-in cancelled."));
+    } finally {
+      ui.setLoading(false);
+    }
+  };
+
+  const linkConnectedWallet = async () => {
+    const p = getActiveProvider();
+    if (!session?.token) return ui.setStatus("Sign in first.");
+    if (!account || !p?.request) return ui.setStatus("Connect the wallet you want to link.");
+
+    try {
+      ui.setLoading(true);
+      ui.setStatus("Sign the link message in your wallet…");
+      const nonce = await api.nonce();
+      const message = siweFor(account, nonce, {
+        statement: linkStatement(session.fid),
+        resources: [`farcaster://fid/${session.fid}`],
+      });
+      const signature = await personalSign(p, account, message);
+      await api.linkWallet(session.token, { message, signature });
+      ui.setStatus(`Linked ${shortAddr(account)} to FID ${session.fid}.`);
+      await onLinksChanged(session.fid);
+    } catch (err) {
+      ui.setStatus(err instanceof HttpError ? failure(err, "Linking failed.") : "Linking cancelled.");
+    } finally {
+      ui.setLoading(false);
+    }
+  };
+
+  const unlinkWallet = async (address) => {
+    if (!session?.token) return ui.setStatus("Sign in first.");
+    try {
+      ui.setLoading(true);
+      await api.unlinkWallet(session.token, address);
+      ui.setStatus(`Unlinked ${shortAddr(address)}.`);
+      await onLinksChanged(session.fid);
+    } catch (err) {
+      ui.setStatus(err instanceof HttpError ? failure(err, "Unlinking failed.") : "Unlinking failed.");
+    } finally {
+      ui.setLoading(false);
+    }
+  };
+
+  return {
+    session,
+    linkFid,
+    failure,
+    siweFor,
+    sessionForFid,
+    onSignInForLinking,
+    linkConnectedWallet,
+    unlinkWallet,
+  };
+}
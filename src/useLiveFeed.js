@@ -0,0 +1,57 @@
+import { useEffect, useRef, useState } from "react";
+
+// Subscribes to the backend's /api/live Server-Sent Events stream. Keeps the
+// latest feed items and calls `onRanks(chains)` when standings move. While the
+// stream is down (EventSource retries on its own) `onPoll` runs every
+// POLL_FALLBACK_MS instead so boards don't go stale.
+
+const MAX_ITEMS = 20;
+const POLL_FALLBACK_MS = 15 * 1000;
+
+export function useLiveFeed(backendUrl, { onRanks, onPoll }) {
+  const [feed, setFeed] = useState([]);
+  const [connected, setConnected] = useState(false);
+
+  const handlers = useRef({});
+  handlers.current = { onRanks, onPoll };
+
+  useEffect(() => {
+    if (typeof window === "undefined" || !window.EventSource) return;
+
+    const es = new EventSource(`${backendUrl}/api/live`);
+    const push = (item) => setFeed((list) => [item, ...list].slice(0, MAX_ITEMS));
+    const parse = (e) => {
+      try {
+        return JSON.parse(e.data);
+      } catch {
+        return null;
+      }
+    };
+
+    es.onopen = () => setConnected(true);
+    es.onerror = () => setConnected(false);
+
+    es.addEventListener("strike", (e) => {
+      const d = parse(e);
+      if (d) push({ id: e.lastEventId, type: "strike", ...d });
+    });
+    es.addEventListener("overtake", (e) => {
+      const d = parse(e);
+      if (d) push({ id: e.lastEventId, type: "overtake", ...d });
+    });
+    es.addEventListener("ranks", (e) => {
+      const d = parse(e);
+      handlers.current.onRanks?.(d?.chains || []);
+    });
+
+    return () => es.close();
+  }, [backendUrl]);
+
+  useEffect(() => {
+    if (connected) return;
+    const id = setInterval(() => handlers.current.onPoll?.(), POLL_FALLBACK_MS);
+    return () => clearInterval(id);
+  }, [connected]);
+
+  return { feed, connected };
+}
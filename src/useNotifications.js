@@ -0,0 +1,57 @@
+import { sdk } from "@farcaster/miniapp-sdk";
+import { useState } from "react";
+import { api } from "./api";
+
+// Miniapp notifications: whether this Farcaster client has handed the backend
+// a token (notificationsOn, from the host's context at startup and after
+// enabling), and the FID's settings, which need a session (see useLinking).
+
+export function useNotifications({ ui, linking }) {
+  const [notificationsOn, setNotificationsOn] = useState(false);
+  const [notifySettings, setNotifySettings] = useState(null); // { enabled, prefs } from the backend
+
+  const loadNotifySettings = async (s = linking.session) => {
+    if (!s?.token) return setNotifySettings(null);
+    try {
+      setNotifySettings(await api.notificationSettings(s.token));
+    } catch (err) {
+      linking.failure(err);
+      setNotifySettings(null);
+    }
+  };
+
+  // Asks the host to add the miniapp with notifications; the host then reports
+  // the token to the backend's webhook.
+  const enableNotifications = async () => {
+    try {
+      ui.setLoading(true);
+      const result = await sdk.actions.addMiniApp();
+      if (result?.notificationDetails) {
+        setNotificationsOn(true);
+        ui.setStatus("Notifications on. We'll ping you on rank ups, overtakes and season results.");
+      } else {
+        ui.setStatus("ChainWarZ added. Turn on notifications for it in your Farcaster settings.");
+      }
+      // the webhook lands asynchronously
+      setTimeout(() => loadNotifySettings(), 2000);
+    } catch {
+      ui.setStatus("Notifications were not enabled.");
+    } finally {
+      ui.setLoading(false);
+    }
+  };
+
+  const setNotificationPref = async (key, value) => {
+    try {
+      ui.setLoading(true);
+      const s = await linking.sessionForFid();
+      setNotifySettings(await api.saveNotificationSettings(s.token, { [key]: value }));
+    } catch (err) {
+      ui.setStatus(linking.failure(err, "Could not save notification settings."));
+    } finally {
+      ui.setLoading(false);
+    }
+  };
+
+  return { notificationsOn, setNotificationsOn, notifySettings, loadNotifySettings, enableNotifications, setNotificationPref };
+}
@@ -0,0 +1,91 @@
+import { useState } from "react";
+import { DEFAULT_CHAINS, countsFor } from "./chains";
+import { cacheInfo } from "./requestCache";
+import { api } from "./api";
+
+// The player's own numbers as the backend has them: strike counts per chain,
+// merged across the FID's wallets inside the Farcaster host (loadCountsForFid)
+// or for the connected wallet alone (loadCountsForAddress), plus the FID's
+// identity and linked wallets, and their achievements.
+
+export function useProfile({ chains }) {
+  const [profileCounts, setProfileCounts] = useState(() => countsFor(DEFAULT_CHAINS));
+  const [profileIdentity, setProfileIdentity] = useState(null);
+  const [linkedWallets, setLinkedWallets] = useState([]);
+  const [achievements, setAchievements] = useState(null); // { earned, total, achievements }
+  const [profileAge, setProfileAge] = useState(null); // cacheInfo() of the counts shown
+
+  const noteAge = (url) => {
+    const info = cacheInfo(url);
+    if (info) setProfileAge(info);
+  };
+
+  const loadCountsForFid = async (fid) => {
+    const owner = `fid:${fid}`;
+    const apply = (data) => {
+      setProfileCounts(countsFor(chains, data?.txCount));
+      if (data?.user) setProfileIdentity(data.user);
+      setLinkedWallets(Array.isArray(data?.wallets) ? data.wallets : []);
+      noteAge(api.profileUrl(owner));
+    };
+    try {
+      apply(await api.profile(owner, { onUpdate: apply }));
+    } catch {
+      setProfileCounts(countsFor(chains));
+    }
+  };
+
+  const loadCountsForAddress = async (addr) => {
+    try {
+      const apply = (data) => {
+        setProfileCounts(countsFor(chains, data?.txCount));
+        noteAge(api.profileUrl(addr));
+      };
+      apply(await api.profile(addr, { onUpdate: apply }));
+    } catch {
+      setProfileCounts(countsFor(chains));
+    }
+  };
+
+  // The host's FID: its identity first, then the merged counts.
+  const loadFid = async (fid) => {
+    try {
+      const ident = await api.farcasterUser(fid);
+      if (ident) setProfileIdentity(ident);
+    } catch {}
+    await loadCountsForFid(fid);
+  };
+
+  const loadLinkedWallets = async (fid) => {
+    try {
+      const data = await api.profile(`fid:${fid}`);
+      setLinkedWallets(Array.isArray(data?.wallets) ? data.wallets : []);
+    } catch {
+      setLinkedWallets([]);
+    }
+  };
+
+  // owner is "fid:<n>" or a wallet address; null clears them.
+  const loadAchievements = async (owner) => {
+    if (!owner) return setAchievements(null);
+    try {
+      const apply = (data) => setAchievements(Array.isArray(data?.achievements) ? data : null);
+      apply(await api.achievements(owner, { onUpdate: apply }));
+    } catch {
+      setAchievements(null);
+    }
+  };
+
+  return {
+    profileCounts,
+    profileIdentity,
+    linkedWallets,
+    achievements,
+    profileAge,
+    loadFid,
+    loadCountsForFid,
+    loadCountsForAddress,
+    loadLinkedWallets,
+    loadAchievements,
+  };
+}
@@ -0,0 +1,53 @@
+import { useCallback, useEffect, useState } from "react";
+
+// Client-side routes on the History API (the host must serve index.html for
+// every path):
+//   /             Game              /profile       your profile
+//   /leaderboard  Leaderboard       /war           faction war
+//   /p/:fid       a player by FID   /a/:address    a player by wallet
+// Unknown paths fall back to the Game tab.
+
+export const TAB_PATHS = { game: "/", profile: "/profile", leaderboard: "/leaderboard", war: "/war" };
+
+export function parseRoute(pathname) {
+  const path = pathname.replace(/\/+$/, "") || "/";
+  const fid = path.match(/^\/p\/(\d+)$/);
+  if (fid) return { tab: "player", fid: Number(fid[1]), address: null };
+  const address = path.match(/^\/a\/(0x[0-9a-fA-F]{40})$/);
+  if (address) return { tab: "player", fid: null, address: address[1].toLowerCase() };
+  const tab = Object.keys(TAB_PATHS).find((t) => TAB_PATHS[t] === path);
+  return { tab: tab || "game", fid: null, address: null };
+}
+
+export function playerPath({ fid, address }) {
+  return fid ? `/p/${fid}` : `/a/${address.toLowerCase()}`;
+}
+
+export function useRoute() {
+  const [route, setRoute] = useState(() => parseRoute(window.location.pathname));
+
+  useEffect(() => {
+    const onPop = () => setRoute(parseRoute(window.location.pathname));
+    window.addEventListener("popstate", onPop);
+    return () => window.removeEventListener("popstate", onPop);
+  }, []);
+
+  const navigate = useCallback((path, { replace = false } = {}) => {
+    if (path !== window.location.pathname) {
+      window.history[replace ? "replaceState" : "pushState"](null, "", path);
+    }
+    setRoute(parseRoute(path));
+  }, []);
+
+  return [route, navigate];
+}
+
+// onClick for an <a href={path}>: navigates in-app, but leaves modified clicks
+// (new tab, new window) to the browser.
+export function linkTo(navigate, path) {
+  return (e) => {
+    if (e.defaultPrevented || e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) return;
+    e.preventDefault();
+    navigate(path);
+  };
+}
@@ -0,0 +1,103 @@
+import { useCallback, useEffect, useRef, useState } from "react";
+import { checkStrike, isSettled } from "./strikeStatus";
+
+export { checkStrike, isSettled, REQUIRED_CONFIRMATIONS } from "./strikeStatus";
+
+// Tracks submitted strikes through pending → confirming → confirmed | failed | replaced
+// by polling eth_getTransactionReceipt on the strike's own chain: getProvider(strike)
+// returns an EIP-1193 provider for it (the chain's read client, see rpc.js), so
+// strikes keep settling whichever chain the wallet is on, or with no wallet at
+// all. The list is mirrored to localStorage so pending strikes survive a reload.
+// Offline, polling pauses; the checks run again as soon as the browser is back
+// online.
+
+const STORAGE_KEY = "chainwarz:strikes";
+const POLL_MS = 3000;
+const KEEP_SETTLED_MS = 10 * 60 * 1000;
+
+function loadStrikes() {
+  try {
+    const list = JSON.parse(localStorage.getItem(STORAGE_KEY) || "[]");
+    if (!Array.isArray(list)) return [];
+    return list.filter((s) => s?.hash && (!isSettled(s) || Date.now() - (s.settledAt || 0) < KEEP_SETTLED_MS));
+  } catch {
+    return [];
+  }
+}
+
+function saveStrikes(list) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(list));
+  } catch {}
+}
+
+export function useStrikeTracker({ getProvider, onSettled }) {
+  const [strikes, setStrikes] = useState(loadStrikes);
+
+  // Polling reads the latest values without restarting the interval.
+  const latest = useRef({});
+  latest.current = { strikes, getProvider, onSettled };
+
+  useEffect(() => saveStrikes(strikes), [strikes]);
+
+  const update = (hash, patch) => setStrikes((list) => list.map((s) => (s.hash === hash ? { ...s, ...patch } : s)));
+
+  const track = useCallback((strike) => {
+    setStrikes((list) => [
+      { status: "pending", confirmations: 0, submittedAt: Date.now(), ...strike },
+      ...list.filter((s) => s.hash !== strike.hash),
+    ]);
+  }, []);
+
+  const dismiss = useCallback((hash) => setStrikes((list) => list.filter((s) => s.hash !== hash)), []);
+
+  const patch = useCallback((hashes, fields) => {
+    const set = new Set(hashes);
+    setStrikes((list) => list.map((s) => (set.has(s.hash) ? { ...s, ...fields } : s)));
+  }, []);
+
+  const hasPending = strikes.some((s) => !isSettled(s));
+
+  useEffect(() => {
+    if (!hasPending) return;
+    let stopped = false;
+    let busy = false;
+
+    const poll = async () => {
+      if (busy || navigator.onLine === false) return;
+      busy = true;
+      try {
+        for (const s of latest.current.strikes) {
+          if (isSettled(s)) continue;
+          const p = latest.current.getProvider(s);
+          if (!p?.request) continue;
+          let patch = null;
+          try {
+            patch = await checkStrike(p, s);
+          } catch {}
+          if (stopped) return;
+          if (!patch) continue;
+
+          const next = { ...s, ...patch };
+          if (isSettled(next)) next.settledAt = Date.now();
+          update(s.hash, next);
+          if (isSettled(next)) latest.current.onSettled?.(next);
+        }
+      } catch {
+      } finally {
+        busy = false;
+      }
+    };
+
+    poll();
+    const id = setInterval(poll, POLL_MS);
+    window.addEventListener("online", poll);
+    return () => {
+      stopped = true;
+      clearInterval(id);
+      window.removeEventListener("online", poll);
+    };
+  }, [hasPending]);
+
+  return { strikes, track, dismiss, patch };
+}
@@ -0,0 +1,140 @@
+import { useEffect, useRef, useState } from "react";
+import * as wallet from "./wallet";
+import { useInjectedWallets, rememberWallet, rememberedWallet } from "./useInjectedWallets";
+
+// The player's wallet: the Farcaster host's provider (setFcProvider, once the
+// miniapp SDK hands it over) or an injected browser wallet, with the connected
+// account and the wallet's current chain. The browser wallet picked last time
+// is reconnected silently when it is still authorised.
+//
+// Progress and failures are reported through `ui` ({ setStatus, setLoading,
+// fail }); onConnect(account) runs after a requested connection, before it
+// resolves.
+
+export function useWallet({ ui, onConnect }) {
+  const [fcProvider, setFcProvider] = useState(null);
+  const [browserProvider, setBrowserProvider] = useState(null);
+  const [connectedVia, setConnectedVia] = useState(null); // "farcaster" | "browser"
+
+  // Injected wallets (EIP-6963) and which one the browser path is using
+  const browserWallets = useInjectedWallets();
+  const [browserWallet, setBrowserWallet] = useState(null); // EIP-6963 info
+  const [showWalletPicker, setShowWalletPicker] = useState(false);
+  const listening = useRef(new WeakSet());
+  const triedSilentReconnect = useRef(false);
+
+  const [account, setAccount] = useState(null);
+  const [currentChainId, setCurrentChainId] = useState(null);
+
+  const getActiveProvider = () => {
+    if (connectedVia === "farcaster" && fcProvider) return fcProvider;
+    if (connectedVia === "browser" && browserProvider) return browserProvider;
+    if (fcProvider) return fcProvider;
+    return browserProvider || null;
+  };
+
+  const refreshChainId = async (p = getActiveProvider()) => {
+    if (!p?.request) return;
+    try {
+      const cid = await p.request({ method: "eth_chainId" });
+      setCurrentChainId(cid);
+    } catch {}
+  };
+
+  const listenTo = (provider) => {
+    if (!provider?.on || listening.current.has(provider)) return;
+    listening.current.add(provider);
+    provider.on("accountsChanged", (accs) => {
+      const a = accs?.[0] || null;
+      setAccount(a);
+    });
+    provider.on("chainChanged", (cid) => setCurrentChainId(cid));
+  };
+
+  const requestAccounts = async (provider, viaLabel) => {
+    if (!provider?.request) {
+      ui.setStatus("No wallet provider found.");
+      return null;
+    }
+
+    try {
+      ui.setLoading(true);
+      ui.setStatus(viaLabel === "farcaster" ? "Connecting Farcaster wallet…" : "Connecting browser wallet…");
+
+      const addr = await wallet.requestAccounts(provider);
+      if (!addr) {
+        ui.setStatus("No account returned.");
+        return null;
+      }
+
+      setAccount(addr);
+      setConnectedVia(viaLabel);
+      ui.setStatus("Connected.");
+
+      await refreshChainId(provider);
+      await onConnect(addr);
+      listenTo(provider);
+
+      return addr;
+    } catch (err) {
+      ui.fail(err, { action: "connect" }, () => requestAccounts(provider, viaLabel));
+      return null;
+    } finally {
+      ui.setLoading(false);
+    }
+  };
+
+  const connectBrowser = async (injected) => {
+    setShowWalletPicker(false);
+    setBrowserProvider(injected.provider);
+    setBrowserWallet(injected.info);
+    const addr = await requestAccounts(injected.provider, "browser");
+    if (addr) rememberWallet(injected.info.rdns);
+  };
+
+  const onConnectBrowser = () => {
+    if (browserWallets.length === 1) return connectBrowser(browserWallets[0]);
+    setShowWalletPicker((v) => !v);
+  };
+
+  // Silent reconnect: if the wallet picked last time is announced and still
+  // authorised (eth_accounts needs no prompt), pick up where we left off.
+  const walletIds = browserWallets.map((w) => w.info.rdns).join(",");
+  useEffect(() => {
+    if (triedSilentReconnect.current || account) return;
+    const rdns = rememberedWallet();
+    const remembered = rdns && browserWallets.find((w) => w.info.rdns === rdns);
+    if (!remembered) return;
+    triedSilentReconnect.current = true;
+
+    (async () => {
+      try {
+        const accounts = await remembered.provider.request({ method: "eth_accounts" });
+        if (!accounts?.[0]) return;
+        setBrowserProvider(remembered.provider);
+        setBrowserWallet(remembered.info);
+        setAccount(accounts[0]);
+        setConnectedVia("browser");
+        await refreshChainId(remembered.provider);
+        listenTo(remembered.provider);
+      } catch {}
+    })();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [walletIds, account]);
+
+  return {
+    fcProvider,
+    setFcProvider,
+    browserWallets,
+    browserWallet,
+    showWalletPicker,
+    connectedVia,
+    account,
+    currentChainId,
+    getActiveProvider,
+    refreshChainId,
+    requestAccounts,
+    connectBrowser,
+    onConnectBrowser,
+  };
+}
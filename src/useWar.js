@@ -0,0 +1,61 @@
+import { useState } from "react";
+import { personalSign, pledgeStatement } from "./siwe";
+import { api } from "./api";
+import { toBoard } from "./useLeaderboards";
+
+// The faction war: faction standings for the current season (all time when
+// there is none), each faction's top players, and pledging. With an FID the
+// pledge is made for it (signing in first, see useLinking); a wallet without
+// one signs the pledge itself.
+
+export function useWar({ ui, seasons, fid, account, getActiveProvider, linking }) {
+  const [war, setWar] = useState(null); // { total, factions, me }
+  const [factionBoards, setFactionBoards] = useState({}); // faction key -> { entries, total, me }
+
+  const warSeason = seasons.find((se) => se.status === "current") || null;
+
+  const loadWar = async () => {
+    const params = new URLSearchParams();
+    if (warSeason) params.set("season", String(warSeason.id));
+    if (fid) params.set("fid", String(fid));
+    if (account) params.set("address", account);
+    try {
+      const data = await api.factions(params);
+      if (!Array.isArray(data?.factions)) return;
+      setWar(data);
+
+      params.set("limit", "5");
+      const boards = await Promise.all(
+        data.factions.map((f) => api.factionBoard(f.key, params).catch(() => null))
+      );
+      setFactionBoards(Object.fromEntries(data.factions.map((f, i) => [f.key, toBoard(boards[i])])));
+    } catch {}
+  };
+
+  const pledgeTo = async (faction) => {
+    try {
+      ui.setLoading(true);
+      ui.setStatus(`Pledging to ${faction.name}…`);
+      if (linking.linkFid) {
+        const s = await linking.sessionForFid();
+        await api.pledge({ token: s.token, faction: faction.key });
+      } else {
+        const p = getActiveProvider();
+        if (!account || !p?.request) return ui.setStatus("Connect a wallet to pledge.");
+        const nonce = await api.nonce();
+        const message = linking.siweFor(account, nonce, { statement: pledgeStatement(faction) });
+        const signature = await personalSign(p, account, message);
+        await api.pledge({ faction: faction.key, message, signature });
+      }
+      ui.setStatus(`You fight for ${faction.name}.`);
+      api.invalidateBoards();
+      await loadWar();
+    } catch (err) {
+      ui.setStatus(linking.failure(err, "Pledge cancelled."));
+    } finally {
+      ui.setLoading(false);
+    }
+  };
+
+  return { war, factionBoards, warSeason, loadWar, pledgeTo };
+}
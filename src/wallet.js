@@ -0,0 +1,74 @@
+import { walletRequest, WalletError } from "./walletErrors";
+import { preflightStrike } from "./preflight";
+import { sendStrikeBatch, strikeCall } from "./batchStrike";
+
+// Wallet steps of the strike flow, on any EIP-1193 provider (the Farcaster
+// host's, an injected one, or a mock in tests). They throw WalletError-wrapped
+// errors; classifyError (walletErrors.js) turns those into messages.
+
+// Asks for the accounts; the first one, or null when the wallet returned none.
+export async function requestAccounts(provider) {
+  const accounts = await walletRequest(provider, { method: "eth_requestAccounts" });
+  return accounts?.[0] || null;
+}
+
+// Switches the wallet to `chain`, adding it first when the wallet doesn't know it (4902).
+export async function switchOrAddChain(provider, chain) {
+  try {
+    await walletRequest(provider, { method: "wallet_switchEthereumChain", params: [{ chainId: chain.chainIdHex }] });
+  } catch (err) {
+    if (err?.code !== 4902) throw err;
+    await walletRequest(provider, {
+      method: "wallet_addEthereumChain",
+      params: [
+        {
+          chainId: chain.chainIdHex,
+          chainName: chain.name,
+          rpcUrls: [chain.rpcUrl],
+          blockExplorerUrls: [chain.blockExplorer],
+          nativeCurrency: chain.nativeCurrency,
+        },
+      ],
+    });
+  }
+}
+
+// Sends `count` strikes on `chain`: switches the wallet over, checks the
+// account can pay (balance and gas via `reader`), then asks for the
+// transaction(s). onStatus gets progress text, onCost the preflight result,
+// onSent each submitted hash and onProgress batch item updates.
+// Returns { hash } for a single strike, sendStrikeBatch's result for several.
+export async function sendStrike({
+  provider,
+  reader = provider,
+  account,
+  chain,
+  count = 1,
+  onStatus = () => {},
+  onCost = () => {},
+  onSent = () => {},
+  onProgress = () => {},
+}) {
+  onStatus(count > 1 ? `Preparing ${count} strikes on ${chain.name}…` : `Preparing strike on ${chain.name}…`);
+  await switchOrAddChain(provider, chain);
+
+  onStatus("Checking your balance…");
+  const cost = await preflightStrike({ provider, reader, account, chain, count });
+  onCost(cost);
+  if (!cost.enough) {
+    throw new WalletError(`Balance ${cost.balance} < ${cost.total}`, { code: "INSUFFICIENT_FUNDS" });
+  }
+
+  if (count > 1) {
+    onStatus("Confirm the strikes in your wallet…");
+    return sendStrikeBatch({ provider, account, chain, count, onSent, onProgress });
+  }
+
+  onStatus("Confirm the transaction in your wallet…");
+  const hash = await walletRequest(provider, {
+    method: "eth_sendTransaction",
+    params: [{ from: account, ...strikeCall(chain) }],
+  });
+  onSent(hash);
+  return { hash };
+}
@@ -0,0 +1,127 @@
+// Turns wallet / RPC failures into something a player can act on. Wallets
+// disagree on how they report errors (EIP-1193 codes, JSON-RPC codes, ethers
+// codes, or just a message, sometimes nested a few levels deep), so every
+// catch in the app goes through classifyError instead of guessing inline.
+
+export const RPC_TIMEOUT_MS = 15000;
+
+// Thrown by our own checks (and walletRequest) so they classify like wallet errors.
+export class WalletError extends Error {
+  constructor(message, { code, method, cause } = {}) {
+    super(message);
+    this.name = "WalletError";
+    this.code = code;
+    this.method = method;
+    this.cause = cause;
+  }
+}
+
+// provider.request, remembering which method failed; `timeoutMs` bounds calls
+// that never prompt the user (reads, estimates).
+export async function walletRequest(provider, { method, params }, { timeoutMs } = {}) {
+  let timer;
+  try {
+    const request = provider.request(params === undefined ? { method } : { method, params });
+    if (!timeoutMs) return await request;
+    const timeout = new Promise((_, reject) => {
+      timer = setTimeout(
+        () => reject(new WalletError(`${method} timed out`, { code: "TIMEOUT", method })),
+        timeoutMs
+      );
+    });
+    return await Promise.race([request, timeout]);
+  } catch (err) {
+    if (err instanceof WalletError) throw err;
+    throw new WalletError(err?.message || `${method} failed`, { code: err?.code, method, cause: err });
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// Every { code, message } along the error's cause chain (WalletError.cause,
+// ethers' error / info.error, MetaMask's data.originalError, viem's cause).
+function layers(err) {
+  const out = [];
+  const seen = new Set();
+  const walk = (e) => {
+    if (!e || typeof e !== "object" || seen.has(e) || out.length > 10) return;
+    seen.add(e);
+    out.push({ code: e.code, message: typeof e.message === "string" ? e.message : "", method: e.method });
+    walk(e.cause);
+    walk(e.error);
+    walk(e.info?.error);
+    walk(e.data?.originalError);
+  };
+  if (typeof err === "string") out.push({ code: undefined, message: err });
+  else walk(err);
+  return out;
+}
+
+const UNSUPPORTED_METHOD = [4200, -32601, "UNSUPPORTED_OPERATION"];
+
+function kindOf(err) {
+  const all = layers(err);
+  const codes = all.map((l) => l.code);
+  const text = all.map((l) => l.message).join(" | ");
+  const method = all.find((l) => l.method)?.method;
+
+  if (codes.includes(4001) || codes.includes("ACTION_REJECTED") || /user (rejected|denied|cancel)/i.test(text)) {
+    return "rejected";
+  }
+  if (codes.includes(-32002) || /already pending/i.test(text)) return "pending";
+  if (codes.includes("INSUFFICIENT_FUNDS") || /insufficient (funds|balance)|exceeds balance/i.test(text)) {
+    return "insufficientFunds";
+  }
+  if (codes.includes("TIMEOUT") || /timed? ?out|timeout/i.test(text)) return "timeout";
+  // Anything but a rejection from wallet_addEthereumChain means the wallet won't add the chain.
+  if (method === "wallet_addEthereumChain") return "addChainUnsupported";
+  const unsupported =
+    UNSUPPORTED_METHOD.some((c) => codes.includes(c)) || /not (supported|available)|unsupported|does not exist/i.test(text);
+  if (unsupported && /wallet_addEthereumChain/.test(text)) return "addChainUnsupported";
+  if (
+    codes.includes("WRONG_CHAIN") ||
+    codes.includes(4901) ||
+    (method === "wallet_switchEthereumChain" && unsupported) ||
+    /chain ?id.*(mismatch|does not match)|does not match the target chain|wrong (network|chain)|unrecognized chain/i.test(text)
+  ) {
+    return "wrongChain";
+  }
+  return "unknown";
+}
+
+const clip = (s, max) => (s.length > max ? `${s.slice(0, max - 1)}…` : s);
+
+// { kind, message } for display, kind being one of rejected, pending,
+// insufficientFunds, wrongChain, addChainUnsupported, timeout or unknown. `chain` (the registry entry the action was
+// for) and `action` ("connect" | "strike") sharpen the wording.
+export function classifyError(err, { chain, action = "strike" } = {}) {
+  const kind = kindOf(err);
+  const name = chain?.name || "this chain";
+  const symbol = chain?.nativeCurrency?.symbol || "funds";
+
+  switch (kind) {
+    case "rejected":
+      return {
+        kind,
+        message: action === "connect" ? "You declined the connection in your wallet." : "You rejected the transaction in your wallet.",
+      };
+    case "pending":
+      return { kind, message: "Your wallet already has a request waiting — open it to approve or dismiss it." };
+    case "insufficientFunds":
+      return { kind, message: `Not enough ${symbol} on ${name} to cover the strike and gas.` };
+    case "wrongChain":
+      return { kind, message: `Your wallet is not on ${name}. Switch to it in your wallet, then try again.` };
+    case "addChainUnsupported":
+      return {
+        kind,
+        message: `Your wallet can't add ${name} automatically. Add it manually${chain?.rpcUrl ? ` (RPC ${chain.rpcUrl})` : ""}, then try again.`,
+      };
+    case "timeout":
+      return { kind, message: `${chain ? `The ${name} RPC` : "Your wallet"} didn't respond in time. It may be busy — try again.` };
+    default: {
+      const detail = layers(err).find((l) => l.message)?.message;
+      const what = action === "connect" ? "Could not connect to your wallet" : "The transaction failed";
+      return { kind, message: detail ? `${what}: ${clip(detail, 120)}` : `${what}.` };
+    }
+  }
+}
@@ -0,0 +1,116 @@
+import { describe, expect, it, vi } from "vitest";
+import { classifyError, walletRequest, WalletError } from "./walletErrors";
+
+const base = {
+  name: "Base",
+  rpcUrl: "https://mainnet.base.org",
+  nativeCurrency: { name: "ETH", symbol: "ETH", decimals: 18 },
+};
+
+const kind = (err, context) => classifyError(err, context).kind;
+
+describe("classifyError", () => {
+  it("recognises user rejection across wallets", () => {
+    expect(kind({ code: 4001, message: "User rejected the request." })).toBe("rejected");
+    expect(kind({ code: "ACTION_REJECTED", message: "user rejected action" })).toBe("rejected");
+    // Coinbase Wallet style: code only on the nested error
+    expect(kind({ code: -32603, message: "Internal error", data: { originalError: { code: 4001 } } })).toBe("rejected");
+    expect(kind(new Error("User denied transaction signature"))).toBe("rejected");
+  });
+
+  it("words rejection by action", () => {
+    expect(classifyError({ code: 4001 }, { action: "connect" }).message).toMatch(/declined the connection/);
+    expect(classifyError({ code: 4001 }, { chain: base }).message).toMatch(/rejected the transaction/);
+  });
+
+  it("recognises insufficient funds from the node or our own check", () => {
+    expect(kind({ code: -32000, message: "insufficient funds for gas * price + value" })).toBe("insufficientFunds");
+    expect(kind({ code: "INSUFFICIENT_FUNDS" })).toBe("insufficientFunds");
+    expect(kind(new WalletError("short", { code: "INSUFFICIENT_FUNDS" }))).toBe("insufficientFunds");
+    expect(kind({ code: -32603, message: "Internal JSON-RPC error.", data: { originalError: { message: "gas required exceeds balance" } } })).toBe(
+      "insufficientFunds"
+    );
+    expect(classifyError({ code: "INSUFFICIENT_FUNDS" }, { chain: base }).message).toBe(
+      "Not enough ETH on Base to cover the strike and gas."
+    );
+  });
+
+  it("recognises a wallet on the wrong chain", () => {
+    expect(kind(new WalletError("on 0x1", { code: "WRONG_CHAIN" }))).toBe("wrongChain");
+    expect(kind({ code: 4901, message: "Chain disconnected" })).toBe("wrongChain");
+    expect(kind(new Error("The current chain of the wallet (id: 1) does not match the target chain for the transaction (id: 8453)"))).toBe(
+      "wrongChain"
+    );
+    expect(
+      kind(new WalletError("nope", { code: 4200, method: "wallet_switchEthereumChain", cause: { code: 4200 } }))
+    ).toBe("wrongChain");
+  });
+
+  it("recognises a wallet that can't add the chain", () => {
+    expect(kind(new WalletError("Unsupported", { code: 4200, method: "wallet_addEthereumChain" }))).toBe("addChainUnsupported");
+    expect(kind({ code: -32601, message: 'The method "wallet_addEthereumChain" does not exist / is not available.' })).toBe(
+      "addChainUnsupported"
+    );
+    // a rejected add prompt is still a rejection
+    expect(kind(new WalletError("rejected", { code: 4001, method: "wallet_addEthereumChain" }))).toBe("rejected");
+    expect(classifyError({ code: 4200, method: "wallet_addEthereumChain" }, { chain: base }).message).toContain(
+      "https://mainnet.base.org"
+    );
+  });
+
+  it("recognises RPC timeouts", () => {
+    expect(kind(new WalletError("eth_estimateGas timed out", { code: "TIMEOUT" }))).toBe("timeout");
+    expect(kind({ code: "TIMEOUT", message: "request timeout" })).toBe("timeout");
+    expect(kind({ code: -32603, message: "Request timed out" })).toBe("timeout");
+    expect(classifyError({ code: "TIMEOUT" }, { chain: base }).message).toMatch(/^The Base RPC didn't respond/);
+  });
+
+  it("recognises a request already waiting in the wallet", () => {
+    expect(kind({ code: -32002, message: "Request of type 'wallet_requestPermissions' already pending" })).toBe("pending");
+  });
+
+  it("falls back to the wallet's own message", () => {
+    const c = classifyError(new Error("execution reverted"), { chain: base });
+    expect(c.kind).toBe("unknown");
+    expect(c.message).toBe("The transaction failed: execution reverted");
+    expect(classifyError({}, { action: "connect" }).message).toBe("Could not connect to your wallet.");
+    expect(classifyError("x".repeat(300)).message.length).toBeLessThan(160);
+  });
+
+  it("survives odd inputs", () => {
+    for (const err of [undefined, null, 42, "", { cause: {} }]) expect(kind(err)).toBe("unknown");
+    const loop = { message: "loop" };
+    loop.cause = loop;
+    expect(kind(loop)).toBe("unknown");
+  });
+});
+
+describe("walletRequest", () => {
+  it("returns the provider's result", async () => {
+    const provider = { request: vi.fn(async () => "0x2105") };
+    await expect(walletRequest(provider, { method: "eth_chainId" })).resolves.toBe("0x2105");
+    expect(provider.request).toHaveBeenCalledWith({ method: "eth_chainId" });
+  });
+
+  it("tags failures with the method", async () => {
+    const provider = { request: async () => Promise.reject(Object.assign(new Error("nope"), { code: 4200 })) };
+    const err = await walletRequest(provider, { method: "wallet_addEthereumChain", params: [{}] }).catch((e) => e);
+    expect(err).toBeInstanceOf(WalletError);
+    expect(err.method).toBe("wallet_addEthereumChain");
+    expect(err.code).toBe(4200);
+    expect(classifyError(err).kind).toBe("addChainUnsupported");
+  });
+
+  it("times out calls that never answer", async () => {
+    vi.useFakeTimers();
+    try {
+      const provider = { request: () => new Promise(() => {}) };
+      const pending = walletRequest(provider, { method: "eth_getBalance", params: [] }, { timeoutMs: 1000 }).catch((e) => e);
+      await vi.advanceTimersByTimeAsync(1000);
+      const err = await pending;
+      expect(classifyError(err, { chain: base }).kind).toBe("timeout");
+    } finally {
+      vi.useRealTimers();
+    }
+  });
+});